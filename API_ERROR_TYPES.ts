@@ -88,7 +88,9 @@ export interface ErrorDetails {
   userRole?: string;
   
   // Business Logic Error Details
-  businessRule?: 'PASSWORD_POLICY' | 'AGE_RESTRICTION' | 'FUTURE_DATE_NOT_ALLOWED' | 'INVALID_OPERATION';
+  businessRule?: 'PASSWORD_POLICY' | 'AGE_RESTRICTION' | 'FUTURE_DATE_NOT_ALLOWED' | 'INVALID_OPERATION' | 'PRICE_MISMATCH'
+    | 'PRESCRIPTION_REQUIRED' | 'PRESCRIPTION_INVALID' | 'PRESCRIPTION_COVERAGE'
+    | 'INVALID_STATUS_TRANSITION' | 'INSUFFICIENT_STOCK';
   ruleDetails?: {
     requirements?: string[];
     currentLength?: number;
@@ -97,13 +99,39 @@ export interface ErrorDetails {
     field?: string;
     operation?: string;
     reason?: string;
+    mismatches?: Array<{
+      field: string;
+      productId?: number;
+      submitted: number;
+      expected: number;
+    }>;
+    expected?: {
+      subtotal: number;
+      shippingCost: number;
+      totalAmount: number;
+    };
+    productIds?: number[];
+    prescriptionId?: number;
+    uncoveredItems?: Array<{
+      productId: number;
+      requested: number;
+      covered: number;
+      nextRefillAt: string | null;
+    }>;
+    fromStatus?: string;
+    toStatus?: string;
+    allowedStatuses?: string[];
+    productId?: number;
+    available?: number;
+    requested?: number;
   };
   
   // External Service Error Details
-  service?: 'AWS_S3' | 'DATABASE' | 'AUTH_SERVICE';
+  service?: 'AWS_S3' | 'DATABASE' | 'AUTH_SERVICE' | 'PAYMENT_PROVIDER';
   serviceDetails?: {
     operation?: string;
     originalError?: string;
+    provider?: string;
   };
   
   // Database Error Details
@@ -60,6 +60,11 @@ class App {
         const OrderRoutes = require('../routes/OrderRoutes');
         const PrescriptionRoutes = require('../routes/PrescriptionRoutes');
         const CartRoutes = require('../routes/CartRoutes');
+        const PaymentRoutes = require('../routes/PaymentRoutes');
+        const SupplierRoutes = require('../routes/SupplierRoutes');
+        const PurchaseOrderRoutes = require('../routes/PurchaseOrderRoutes');
+        const PromotionRoutes = require('../routes/PromotionRoutes');
+        const ShippingRateRoutes = require('../routes/ShippingRateRoutes');
         
         // Initialize route instances
         const productRoutes = new ProductRoutes();
@@ -70,6 +75,11 @@ class App {
         const orderRoutes = new OrderRoutes();
         const prescriptionRoutes = new PrescriptionRoutes();
         const cartRoutes = new CartRoutes();
+        const paymentRoutes = new PaymentRoutes();
+        const supplierRoutes = new SupplierRoutes();
+        const purchaseOrderRoutes = new PurchaseOrderRoutes();
+        const promotionRoutes = new PromotionRoutes();
+        const shippingRateRoutes = new ShippingRateRoutes();
 
         // Mount routes
         this.app.use('/products', productRoutes.getRouter());
@@ -80,6 +90,18 @@ class App {
         this.app.use('/orders', orderRoutes.getRouter());
         this.app.use('/prescriptions', prescriptionRoutes.getRouter());
         this.app.use('/cart', cartRoutes.getRouter());
+        this.app.use('/payments', paymentRoutes.getRouter());
+        this.app.use('/management/suppliers', supplierRoutes.getRouter());
+        this.app.use('/management/purchase-orders', purchaseOrderRoutes.getRouter());
+        this.app.use('/management/promotions', promotionRoutes.getRouter());
+        this.app.use('/management/shipping-rates', shippingRateRoutes.getRouter());
+
+        // Files are only served by the app when they are stored on local disk
+        const ServiceManager = require('../core/ServiceManager');
+        if (ServiceManager.getInstance().getStorageService().name === 'local') {
+            const FileRoutes = require('../routes/FileRoutes');
+            this.app.use('/files', new FileRoutes().getRouter());
+        }
     }
 
     setupErrorHandling() {
@@ -94,6 +116,29 @@ class App {
         this.app.listen(this.port, () => {
             this.logger.info(`Server running on http://localhost:${this.port}`);
         });
+
+        this.recoverInterruptedImports();
+        this.startJobs();
+    }
+
+    recoverInterruptedImports() {
+        // Product imports run in-process and do not survive a restart
+        const ProductImport = require('../models/ProductImport');
+        new ProductImport().failInterrupted().catch(() => {
+            // Already logged by the model; the server keeps running
+        });
+    }
+
+    startJobs() {
+        // Run background jobs in-process unless disabled (e.g. when a separate cron runs `npm run jobs`)
+        if (process.env.JOBS_ENABLED === 'false') {
+            this.logger.info('Scheduled jobs disabled (JOBS_ENABLED=false)');
+            return;
+        }
+
+        const { createJobScheduler } = require('../core/jobs');
+        this.jobScheduler = createJobScheduler();
+        this.jobScheduler.start();
     }
 
     getApp() {
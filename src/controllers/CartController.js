@@ -1,6 +1,10 @@
 const Logger = require('../core/Logger');
 const Database = require('../core/Database');
 const Validator = require('../core/Validator');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Promotion = require('../models/Promotion');
+const ShippingRate = require('../models/ShippingRate');
 const { 
     ValidationError, 
     NotFoundError, 
@@ -13,6 +17,10 @@ class CartController {
         this.db = new Database();
         this.logger = new Logger();
         this.validator = new Validator();
+        this.orderModel = new Order();
+        this.cartModel = new Cart();
+        this.promotionModel = new Promotion();
+        this.shippingRateModel = new ShippingRate();
     }
 
     async getCart(req, res, next) {
@@ -23,14 +31,8 @@ class CartController {
                 throw AuthenticationError.sessionRequired();
             }
 
-            // Get cart from session or initialize empty cart
-            const cart = req.session.cart || { items: [], totalAmount: 0, totalItems: 0 };
-            
-            // Validate cart items against current product data
-            const validatedCart = await this.validateCartItems(cart);
-            
-            // Update session with validated cart
-            req.session.cart = validatedCart;
+            // Load persisted cart validated against current product data
+            const validatedCart = await this.loadCart(req);
 
             res.json({
                 success: true,
@@ -77,19 +79,11 @@ class CartController {
                 );
             }
 
-            // Initialize cart if not exists
-            if (!req.session.cart) {
-                req.session.cart = { items: [], totalAmount: 0, totalItems: 0 };
-            }
-
-            const cart = req.session.cart;
-            
             // Check if item already exists in cart
-            const existingItemIndex = cart.items.findIndex(item => item.id === productId);
+            const currentCart = await this.loadCart(req);
+            const existingItem = currentCart.items.find(item => item.id === product.id);
             
-            if (existingItemIndex > -1) {
-                // Update existing item
-                const existingItem = cart.items[existingItemIndex];
+            if (existingItem) {
                 const newQuantity = existingItem.quantity + quantity;
                 
                 // Check total quantity against stock
@@ -99,35 +93,15 @@ class CartController {
                         `Cannot add ${quantity} more items. Current cart: ${existingItem.quantity}, Available: ${product.stock_quantity}`
                     );
                 }
-                
-                existingItem.quantity = newQuantity;
-                existingItem.updatedAt = new Date().toISOString();
-            } else {
-                // Add new item
-                const cartItem = {
-                    id: product.id,
-                    title: product.title,
-                    priceValue: parseFloat(product.price_value),
-                    quantity: quantity,
-                    stockQuantity: product.stock_quantity,
-                    requiresPrescription: product.requires_prescription,
-                    image: product.images && product.images.length > 0 
-                        ? product.images[product.main_image_index || 0] 
-                        : '/img/products/placeholder-product.jpg',
-                    manufacturer: product.manufacturer,
-                    category: product.category,
-                    addedAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                };
-                
-                cart.items.push(cartItem);
             }
 
-            // Recalculate totals
-            this.recalculateCartTotals(cart);
+            // Persist item (adds to the existing quantity if already in cart)
+            await this.cartModel.addItem(req.session.userId, product.id, quantity);
 
-            // Save cart to session
-            req.session.cart = cart;
+            const cart = await this.validateCartItems(
+                await this.cartModel.getItems(req.session.userId),
+                req.session.userId
+            );
 
             this.logger.info(`Product added to cart - User: ${req.session.userId}, Product: ${productId}, Quantity: ${quantity}`);
 
@@ -136,7 +110,7 @@ class CartController {
                 message: 'Product added to cart successfully',
                 data: {
                     cart: cart,
-                    addedItem: cart.items.find(item => item.id === productId)
+                    addedItem: cart.items.find(item => item.id === product.id)
                 }
             });
 
@@ -162,25 +136,17 @@ class CartController {
                 throw ValidationError.invalidFormat('quantity', 'positive integer');
             }
 
-            // Initialize cart if not exists
-            if (!req.session.cart) {
-                req.session.cart = { items: [], totalAmount: 0, totalItems: 0 };
-            }
+            const currentCart = await this.loadCart(req);
+            const item = currentCart.items.find(item => item.id === parseInt(productId));
 
-            const cart = req.session.cart;
-            const itemIndex = cart.items.findIndex(item => item.id === parseInt(productId));
-
-            if (itemIndex === -1) {
+            if (!item) {
                 throw NotFoundError.product(productId);
             }
 
             if (quantity === 0) {
                 // Remove item from cart
-                cart.items.splice(itemIndex, 1);
+                await this.cartModel.removeItem(req.session.userId, item.id);
             } else {
-                // Update quantity
-                const item = cart.items[itemIndex];
-                
                 // Check stock availability
                 const { rows: products } = await this.db.query(
                     'SELECT stock_quantity, status FROM products WHERE id = $1 AND status = $2',
@@ -199,15 +165,14 @@ class CartController {
                     );
                 }
 
-                item.quantity = quantity;
-                item.updatedAt = new Date().toISOString();
+                // Update quantity
+                await this.cartModel.setItemQuantity(req.session.userId, item.id, quantity);
             }
 
-            // Recalculate totals
-            this.recalculateCartTotals(cart);
-
-            // Save cart to session
-            req.session.cart = cart;
+            const cart = await this.validateCartItems(
+                await this.cartModel.getItems(req.session.userId),
+                req.session.userId
+            );
 
             this.logger.info(`Cart item updated - User: ${req.session.userId}, Product: ${productId}, Quantity: ${quantity}`);
 
@@ -233,26 +198,24 @@ class CartController {
 
             const { productId } = req.params;
 
-            // Initialize cart if not exists
-            if (!req.session.cart) {
-                req.session.cart = { items: [], totalAmount: 0, totalItems: 0 };
-            }
-
-            const cart = req.session.cart;
-            const itemIndex = cart.items.findIndex(item => item.id === parseInt(productId));
+            const currentCart = await this.loadCart(req);
+            const removedItem = currentCart.items.find(item => item.id === parseInt(productId));
 
-            if (itemIndex === -1) {
+            if (!removedItem) {
                 throw NotFoundError.product(productId);
             }
 
-            const removedItem = cart.items[itemIndex];
-            cart.items.splice(itemIndex, 1);
+            await this.cartModel.removeItem(req.session.userId, removedItem.id);
 
-            // Recalculate totals
-            this.recalculateCartTotals(cart);
+            const cart = {
+                items: currentCart.items.filter(item => item.id !== removedItem.id),
+                couponCode: currentCart.couponCode,
+                totalAmount: 0,
+                totalItems: 0
+            };
 
-            // Save cart to session
-            req.session.cart = cart;
+            // Recalculate totals
+            await this.recalculateCartTotals(cart, req.session.userId);
 
             this.logger.info(`Product removed from cart - User: ${req.session.userId}, Product: ${productId}`);
 
@@ -279,15 +242,16 @@ class CartController {
                 throw AuthenticationError.sessionRequired();
             }
 
-            // Clear cart
-            req.session.cart = { items: [], totalAmount: 0, totalItems: 0 };
+            // Clear cart (including any legacy session cart)
+            await this.cartModel.clear(req.session.userId);
+            delete req.session.cart;
 
             this.logger.info(`Cart cleared - User: ${req.session.userId}`);
 
             res.json({
                 success: true,
                 message: 'Cart cleared successfully',
-                data: req.session.cart
+                data: { items: [], totalAmount: 0, totalItems: 0 }
             });
 
         } catch (error) {
@@ -296,28 +260,199 @@ class CartController {
         }
     }
 
-    async validateCartItems(cart) {
+    async applyCoupon(req, res, next) {
+        try {
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            const couponCode = this.promotionModel.normalizeCode(req.body.code);
+            if (!couponCode) {
+                throw ValidationError.missingFields(['code']);
+            }
+
+            // Only keep the code if it applies to the cart as it is now
+            const cart = await this.loadCart(req);
+            cart.couponCode = couponCode;
+            await this.recalculateCartTotals(cart, req.session.userId);
+
+            if (cart.couponError) {
+                throw BusinessLogicError.invalidCoupon(couponCode, cart.couponError);
+            }
+
+            await this.cartModel.setCouponCode(req.session.userId, couponCode);
+
+            this.logger.info(`Coupon applied to cart - User: ${req.session.userId}, Code: ${couponCode}`);
+
+            res.json({
+                success: true,
+                message: 'Coupon applied successfully',
+                data: cart
+            });
+
+        } catch (error) {
+            this.logger.error('Apply coupon controller error:', error);
+            next(error);
+        }
+    }
+
+    async removeCoupon(req, res, next) {
+        try {
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            await this.cartModel.setCouponCode(req.session.userId, null);
+
+            const cart = await this.loadCart(req);
+
+            res.json({
+                success: true,
+                message: 'Coupon removed successfully',
+                data: cart
+            });
+
+        } catch (error) {
+            this.logger.error('Remove coupon controller error:', error);
+            next(error);
+        }
+    }
+
+    // Shipping options for the current cart; Order.create prices the chosen one the same way
+    async getShippingQuote(req, res, next) {
         try {
-            if (!cart.items || cart.items.length === 0) {
-                return { items: [], totalAmount: 0, totalItems: 0 };
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            const { shippingAddress } = req.body;
+
+            if (!shippingAddress || typeof shippingAddress !== 'object') {
+                throw ValidationError.missingFields(['shippingAddress']);
+            }
+
+            const cart = await this.loadCart(req);
+            const orderableItems = cart.items.filter(item => item.quantity > 0);
+
+            if (orderableItems.length === 0) {
+                throw BusinessLogicError.invalidOperation('quote shipping', 'Cart is empty');
+            }
+
+            const quotes = await this.shippingRateModel.quote(this.db, {
+                shippingAddress,
+                items: orderableItems,
+                orderValue: cart.totalAmount
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    subtotal: cart.subtotal,
+                    discountAmount: cart.discountAmount,
+                    orderValue: cart.totalAmount,
+                    quotes: quotes.map(quote => ({
+                        ...quote,
+                        totalAmount: quote.available ? Math.round((cart.totalAmount + quote.cost) * 100) / 100 : null
+                    }))
+                }
+            });
+
+        } catch (error) {
+            this.logger.error('Shipping quote controller error:', error);
+            next(error);
+        }
+    }
+
+    async checkout(req, res, next) {
+        try {
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            const { shippingAddress, paymentMethod, shippingMethod, prescriptionId } = req.body;
+
+            if (!shippingAddress) {
+                throw ValidationError.missingFields(['shippingAddress']);
+            }
+
+            // Re-validate cart against current product data before ordering
+            const validatedCart = await this.loadCart(req);
+            const orderableItems = validatedCart.items.filter(item => item.quantity > 0);
+
+            if (orderableItems.length === 0) {
+                throw BusinessLogicError.invalidOperation('checkout', 'Cart is empty');
             }
 
+            // Order.create prices every line server-side and commits before returning
+            const result = await this.orderModel.create({
+                items: orderableItems.map(item => ({
+                    productId: item.id,
+                    quantity: item.quantity
+                })),
+                shippingAddress,
+                paymentMethod,
+                shippingMethod,
+                prescriptionId,
+                couponCode: validatedCart.couponCode
+            }, req.session.userId);
+
+            // Clear cart only once the order has been committed
+            await this.cartModel.clear(req.session.userId);
+
+            this.logger.info(`Cart checked out - User: ${req.session.userId}, Order: ${result.data.id}`);
+
+            res.status(201).json(result);
+
+        } catch (error) {
+            this.logger.error('Checkout cart controller error:', error);
+            next(error);
+        }
+    }
+
+    // Load the persisted cart for the session user, folding in any legacy session cart first
+    async loadCart(req) {
+        await this.cartModel.mergeSessionCart(req.session.userId, req.session);
+
+        const cart = await this.cartModel.getItems(req.session.userId);
+        return await this.validateCartItems(cart, req.session.userId);
+    }
+
+    // When userId is given, removals and stock clamping are written back to the persisted cart
+    async validateCartItems(cart, userId = null) {
+        try {
             const validatedItems = [];
             
-            for (const item of cart.items) {
+            for (const item of cart.items || []) {
                 // Get current product data
                 const { rows: products } = await this.db.query(
-                    'SELECT id, title, price_value, stock_quantity, requires_prescription, images, main_image_index, manufacturer, category, status FROM products WHERE id = $1',
+                    'SELECT id, title, price_value, stock_quantity, requires_prescription, images, main_image_index, manufacturer, category, status, weight_grams FROM products WHERE id = $1',
                     [item.id]
                 );
 
                 if (products.length === 0 || products[0].status !== 'active') {
                     // Product no longer exists or is inactive - skip it
                     this.logger.warn(`Product ${item.id} no longer available or inactive, removing from cart`);
+                    if (userId) {
+                        await this.cartModel.removeItem(userId, item.id);
+                    }
                     continue;
                 }
 
                 const product = products[0];
+
+                // Adjust quantity if exceeds current stock
+                const quantity = Math.min(item.quantity, product.stock_quantity);
+                if (userId && quantity !== item.quantity) {
+                    await this.cartModel.setItemQuantity(userId, item.id, quantity);
+                }
                 
                 // Update item with current product data
                 const validatedItem = {
@@ -331,8 +466,8 @@ class CartController {
                         : '/img/products/placeholder-product.jpg',
                     manufacturer: product.manufacturer,
                     category: product.category,
-                    // Adjust quantity if exceeds current stock
-                    quantity: Math.min(item.quantity, product.stock_quantity)
+                    weightGrams: product.weight_grams,
+                    quantity: quantity
                 };
 
                 validatedItems.push(validatedItem);
@@ -340,11 +475,12 @@ class CartController {
 
             const validatedCart = {
                 items: validatedItems,
+                couponCode: cart.couponCode || null,
                 totalAmount: 0,
                 totalItems: 0
             };
 
-            this.recalculateCartTotals(validatedCart);
+            await this.recalculateCartTotals(validatedCart, userId);
             
             return validatedCart;
 
@@ -355,14 +491,35 @@ class CartController {
         }
     }
 
-    recalculateCartTotals(cart) {
-        cart.totalAmount = cart.items.reduce((total, item) => {
+    // Discounts shown on the cart are a preview; Order.create works them out again at checkout
+    async recalculateCartTotals(cart, userId = null) {
+        const roundAmount = amount => Math.round(amount * 100) / 100;
+
+        cart.subtotal = roundAmount(cart.items.reduce((total, item) => {
             return total + (item.priceValue * item.quantity);
-        }, 0);
+        }, 0));
         
         cart.totalItems = cart.items.reduce((total, item) => {
             return total + item.quantity;
         }, 0);
+
+        const { discounts, discountAmount, couponError } = cart.items.length > 0
+            ? await this.promotionModel.calculateDiscounts(this.db, {
+                items: cart.items.map(item => ({
+                    productId: item.id,
+                    parentId: item.parentId,
+                    category: item.category,
+                    totalPrice: roundAmount(item.priceValue * item.quantity)
+                })),
+                userId,
+                couponCode: cart.couponCode
+            })
+            : { discounts: [], discountAmount: 0, couponError: cart.couponCode ? 'cart is empty' : null };
+
+        cart.discounts = discounts;
+        cart.discountAmount = discountAmount;
+        cart.couponError = couponError;
+        cart.totalAmount = roundAmount(cart.subtotal - discountAmount);
     }
 
     async syncCartWithLocalStorage(req, res, next) {
@@ -379,38 +536,14 @@ class CartController {
                 throw ValidationError.invalidFormat('localCartItems', 'array');
             }
 
-            // Initialize session cart if not exists
-            if (!req.session.cart) {
-                req.session.cart = { items: [], totalAmount: 0, totalItems: 0 };
-            }
-
-            const sessionCart = req.session.cart;
-
-            // Merge local cart items with session cart
-            for (const localItem of localCartItems) {
-                if (!localItem.id || !localItem.quantity) continue;
-
-                // Check if item exists in session cart
-                const existingItemIndex = sessionCart.items.findIndex(item => item.id === localItem.id);
-                
-                if (existingItemIndex > -1) {
-                    // Use the higher quantity
-                    const existingItem = sessionCart.items[existingItemIndex];
-                    existingItem.quantity = Math.max(existingItem.quantity, localItem.quantity);
-                    existingItem.updatedAt = new Date().toISOString();
-                } else {
-                    // Add new item from local storage
-                    sessionCart.items.push({
-                        ...localItem,
-                        addedAt: localItem.addedAt || new Date().toISOString(),
-                        updatedAt: new Date().toISOString()
-                    });
-                }
-            }
+            // Merge local cart items with persisted cart (higher quantity wins for duplicates)
+            await this.cartModel.mergeItems(
+                req.session.userId,
+                localCartItems.filter(localItem => localItem.id && localItem.quantity)
+            );
 
             // Validate and update cart
-            const validatedCart = await this.validateCartItems(sessionCart);
-            req.session.cart = validatedCart;
+            const validatedCart = await this.loadCart(req);
 
             this.logger.info(`Cart synced with local storage - User: ${req.session.userId}, Items: ${validatedCart.items.length}`);
 
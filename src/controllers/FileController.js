@@ -0,0 +1,45 @@
+const ServiceManager = require('../core/ServiceManager');
+const { NotFoundError, AuthenticationError } = require('../core/errors');
+
+class FileController {
+    constructor() {
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+        this.storageService = serviceManager.getStorageService();
+    }
+
+    // Serve a locally stored file; private files need the signature from getSignedUrl
+    async serveFile(req, res, next) {
+        try {
+            const key = [].concat(req.params.key).join('/');
+            const { expires, signature } = req.query;
+
+            let file;
+            try {
+                file = await this.storageService.resolveFile(key, { expires, signature });
+            } catch (error) {
+                // Keys that escape the storage root are treated as missing
+                throw NotFoundError.file(key);
+            }
+
+            if (!file) {
+                throw signature ? AuthenticationError.invalidSignature() : NotFoundError.file(key);
+            }
+
+            res.set('X-Content-Type-Options', 'nosniff');
+            res.set('Cache-Control', file.visibility === 'private' ? 'private, no-store' : 'public, max-age=86400');
+
+            res.sendFile(file.filePath, error => {
+                if (error && !res.headersSent) {
+                    next(error);
+                }
+            });
+        } catch (error) {
+            this.logger.error('Serve file controller error:', error);
+            next(error);
+        }
+    }
+}
+
+module.exports = FileController;
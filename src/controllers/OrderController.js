@@ -1,9 +1,11 @@
 const Order = require('../models/Order');
+const Refund = require('../models/Refund');
 const Logger = require('../core/Logger');
 
 class OrderController {
     constructor() {
         this.orderModel = new Order();
+        this.refundModel = new Refund();
         this.logger = new Logger();
     }
 
@@ -59,6 +61,42 @@ class OrderController {
         }
     }
 
+    async getOrderHistory(req, res, next) {
+        try {
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            const { id } = req.params;
+
+            // For regular users, filter by their user ID
+            // For superusers/pharmacists, allow access to all orders
+            let userId = null;
+
+            const { rows: superuser } = await this.orderModel.db.query(
+                'SELECT user_id FROM superusers WHERE user_id = $1 AND is_active = TRUE',
+                [req.session.userId]
+            );
+
+            const { rows: pharmacist } = await this.orderModel.db.query(
+                'SELECT user_id FROM users WHERE user_id = $1 AND role = $2 AND is_active = TRUE',
+                [req.session.userId, 'pharmacist']
+            );
+
+            if (superuser.length === 0 && pharmacist.length === 0) {
+                userId = req.session.userId;
+            }
+
+            const result = await this.orderModel.getStatusHistory(id, userId);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Get order history controller error:', error);
+            next(error);
+        }
+    }
+
     async listOrders(req, res, next) {
         try {
             // Check if user is authenticated
@@ -70,6 +108,7 @@ class OrderController {
             const filters = {
                 page: req.query.page,
                 limit: req.query.limit,
+                cursor: req.query.cursor,
                 status: req.query.status,
                 paymentStatus: req.query.payment_status,
                 startDate: req.query.start_date,
@@ -113,7 +152,7 @@ class OrderController {
             }
 
             const { id } = req.params;
-            const { status } = req.body;
+            const { status, notes } = req.body;
 
             // Check if user has permission to update order status
             const { rows: superuser } = await this.orderModel.db.query(
@@ -132,7 +171,12 @@ class OrderController {
                 throw AuthorizationError.insufficientPermissions('update order status');
             }
 
-            const result = await this.orderModel.updateStatus(id, status);
+            const actor = {
+                id: req.session.userId,
+                role: superuser.length > 0 ? 'superuser' : 'pharmacist'
+            };
+
+            const result = await this.orderModel.updateStatus(id, status, actor, notes || null);
             res.json(result);
         } catch (error) {
             this.logger.error('Update order status controller error:', error);
@@ -153,6 +197,7 @@ class OrderController {
 
             // Check if user is superuser or pharmacist
             let isStaffOrSuperuser = false;
+            let actorRole = 'customer';
             
             try {
                 // Check if user is a superuser
@@ -163,6 +208,7 @@ class OrderController {
 
                 if (superuser.length > 0) {
                     isStaffOrSuperuser = true;
+                    actorRole = 'superuser';
                 } else {
                     // Check if user is a pharmacist
                     const { rows: pharmacist } = await this.orderModel.db.query(
@@ -172,6 +218,7 @@ class OrderController {
 
                     if (pharmacist.length > 0) {
                         isStaffOrSuperuser = true;
+                        actorRole = 'pharmacist';
                     }
                 }
             } catch (roleCheckError) {
@@ -179,7 +226,7 @@ class OrderController {
                 // Continue with regular user permissions if role check fails
             }
 
-            const result = await this.orderModel.cancel(id, req.session.userId, reasonText, reasonCode, isStaffOrSuperuser);
+            const result = await this.orderModel.cancel(id, req.session.userId, reasonText, reasonCode, isStaffOrSuperuser, actorRole);
             res.json(result);
         } catch (error) {
             this.logger.error('Cancel order controller error:', error);
@@ -187,6 +234,77 @@ class OrderController {
         }
     }
 
+    async refundOrder(req, res, next) {
+        try {
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            const { id } = req.params;
+            const { items, reason, restock } = req.body;
+
+            // Only superusers and pharmacists can issue refunds
+            const { rows: superuser } = await this.orderModel.db.query(
+                'SELECT user_id FROM superusers WHERE user_id = $1 AND is_active = TRUE',
+                [req.session.userId]
+            );
+
+            const { rows: pharmacist } = await this.orderModel.db.query(
+                'SELECT user_id FROM users WHERE user_id = $1 AND role = $2 AND is_active = TRUE',
+                [req.session.userId, 'pharmacist']
+            );
+
+            if (superuser.length === 0 && pharmacist.length === 0) {
+                const { AuthorizationError } = require('../core/errors');
+                throw AuthorizationError.insufficientPermissions('refund orders');
+            }
+
+            const result = await this.refundModel.create(id, { items, reason, restock }, req.session.userId);
+            res.status(201).json(result);
+        } catch (error) {
+            this.logger.error('Refund order controller error:', error);
+            next(error);
+        }
+    }
+
+    async listOrderRefunds(req, res, next) {
+        try {
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            const { id } = req.params;
+
+            // For regular users, filter by their user ID
+            // For superusers/pharmacists, allow access to all orders
+            let userId = null;
+
+            const { rows: superuser } = await this.orderModel.db.query(
+                'SELECT user_id FROM superusers WHERE user_id = $1 AND is_active = TRUE',
+                [req.session.userId]
+            );
+
+            const { rows: pharmacist } = await this.orderModel.db.query(
+                'SELECT user_id FROM users WHERE user_id = $1 AND role = $2 AND is_active = TRUE',
+                [req.session.userId, 'pharmacist']
+            );
+
+            if (superuser.length === 0 && pharmacist.length === 0) {
+                userId = req.session.userId;
+            }
+
+            const result = await this.refundModel.listForOrder(id, userId);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('List order refunds controller error:', error);
+            next(error);
+        }
+    }
+
     async getOrderStatistics(req, res, next) {
         try {
             // Check if user is authenticated and has permission
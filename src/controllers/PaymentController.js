@@ -0,0 +1,104 @@
+const Payment = require('../models/Payment');
+const Logger = require('../core/Logger');
+
+class PaymentController {
+    constructor() {
+        this.paymentModel = new Payment();
+        this.logger = new Logger();
+    }
+
+    async initiatePayment(req, res, next) {
+        try {
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            const { orderId } = req.params;
+
+            // Customers can only pay for their own orders
+            const userId = await this.isStaff(req.session.userId) ? null : req.session.userId;
+
+            const result = await this.paymentModel.initiate(orderId, userId, req.session.userId);
+            res.status(201).json(result);
+        } catch (error) {
+            this.logger.error('Initiate payment controller error:', error);
+            next(error);
+        }
+    }
+
+    async confirmPayment(req, res, next) {
+        try {
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            const { id } = req.params;
+
+            // Staff-only route: the provider verifies the payment on its side, nothing from the request is trusted
+            const result = await this.paymentModel.confirm(id);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Confirm payment controller error:', error);
+            next(error);
+        }
+    }
+
+    async failPayment(req, res, next) {
+        try {
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            const { id } = req.params;
+            const { reason } = req.body;
+
+            const result = await this.paymentModel.fail(id, null, reason);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Fail payment controller error:', error);
+            next(error);
+        }
+    }
+
+    async listOrderPayments(req, res, next) {
+        try {
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            const { orderId } = req.params;
+            const userId = await this.isStaff(req.session.userId) ? null : req.session.userId;
+
+            const result = await this.paymentModel.listForOrder(orderId, userId);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('List order payments controller error:', error);
+            next(error);
+        }
+    }
+
+    // Superusers and pharmacists can act on any order's payments
+    async isStaff(userId) {
+        const { rows: superuser } = await this.paymentModel.db.query(
+            'SELECT user_id FROM superusers WHERE user_id = $1 AND is_active = TRUE',
+            [userId]
+        );
+
+        const { rows: pharmacist } = await this.paymentModel.db.query(
+            'SELECT user_id FROM users WHERE user_id = $1 AND role = $2 AND is_active = TRUE',
+            [userId, 'pharmacist']
+        );
+
+        return superuser.length > 0 || pharmacist.length > 0;
+    }
+}
+
+module.exports = PaymentController;
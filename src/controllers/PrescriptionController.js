@@ -70,6 +70,7 @@ class PrescriptionController {
             const filters = {
                 page: req.query.page,
                 limit: req.query.limit,
+                cursor: req.query.cursor,
                 status: req.query.status,
                 patientName: req.query.patient_name,
                 doctorName: req.query.doctor_name,
@@ -133,7 +134,9 @@ class PrescriptionController {
                 throw AuthorizationError.insufficientPermissions('update prescription status');
             }
 
-            const result = await this.prescriptionModel.updateStatus(id, status, req.session.userId, reviewNotes);
+            const result = await this.prescriptionModel.updateStatus(
+                id, status, req.session.userId, reviewNotes, superuser.length > 0
+            );
             res.json(result);
         } catch (error) {
             this.logger.error('Update prescription status controller error:', error);
@@ -141,6 +144,130 @@ class PrescriptionController {
         }
     }
 
+    async getReviewQueue(req, res, next) {
+        try {
+            const reviewer = await this.requireReviewer(req, 'view prescription review queue');
+
+            const filters = {
+                page: req.query.page,
+                limit: req.query.limit,
+                assigned: req.query.assigned,
+                overdueOnly: req.query.overdueOnly
+            };
+
+            const result = await this.prescriptionModel.getReviewQueue(filters, reviewer.userId);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Get prescription review queue controller error:', error);
+            next(error);
+        }
+    }
+
+    async claimPrescription(req, res, next) {
+        try {
+            const reviewer = await this.requireReviewer(req, 'claim prescription');
+
+            const result = await this.prescriptionModel.claim(req.params.id, reviewer.userId);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Claim prescription controller error:', error);
+            next(error);
+        }
+    }
+
+    async assignPrescription(req, res, next) {
+        try {
+            const reviewer = await this.requireReviewer(req, 'assign prescription');
+
+            const result = await this.prescriptionModel.assign(req.params.id, req.body.assigneeId, reviewer.userId);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Assign prescription controller error:', error);
+            next(error);
+        }
+    }
+
+    async releasePrescription(req, res, next) {
+        try {
+            const reviewer = await this.requireReviewer(req, 'release prescription');
+
+            const result = await this.prescriptionModel.release(req.params.id, reviewer.userId, reviewer.isSuperuser);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Release prescription controller error:', error);
+            next(error);
+        }
+    }
+
+    async getProductSuggestions(req, res, next) {
+        try {
+            await this.requireReviewer(req, 'view prescription product suggestions');
+
+            const result = await this.prescriptionModel.getProductSuggestions(req.params.id);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Get prescription product suggestions controller error:', error);
+            next(error);
+        }
+    }
+
+    async mapItemProduct(req, res, next) {
+        try {
+            const reviewer = await this.requireReviewer(req, 'map prescription item');
+
+            const { id, itemId } = req.params;
+            const result = await this.prescriptionModel.mapItemProduct(id, itemId, req.body.productId, reviewer.userId);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Map prescription item product controller error:', error);
+            next(error);
+        }
+    }
+
+    async addItemsToCart(req, res, next) {
+        try {
+            // Check if user is authenticated
+            if (!req.session.authenticated || !req.session.userId) {
+                const { AuthenticationError } = require('../core/errors');
+                throw AuthenticationError.sessionRequired();
+            }
+
+            const result = await this.prescriptionModel.addItemsToCart(req.params.id, req.session.userId);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Add prescription items to cart controller error:', error);
+            next(error);
+        }
+    }
+
+    // Resolve the session user as an active superuser or pharmacist, or reject the request
+    async requireReviewer(req, action) {
+        if (!req.session.authenticated || !req.session.userId) {
+            const { AuthenticationError } = require('../core/errors');
+            throw AuthenticationError.sessionRequired();
+        }
+
+        const { rows: superuser } = await this.prescriptionModel.db.query(
+            'SELECT user_id FROM superusers WHERE user_id = $1 AND is_active = TRUE',
+            [req.session.userId]
+        );
+
+        const { rows: pharmacist } = await this.prescriptionModel.db.query(
+            'SELECT user_id FROM users WHERE user_id = $1 AND role = $2 AND is_active = TRUE',
+            [req.session.userId, 'pharmacist']
+        );
+
+        if (superuser.length === 0 && pharmacist.length === 0) {
+            const { AuthorizationError } = require('../core/errors');
+            throw AuthorizationError.insufficientPermissions(action);
+        }
+
+        return {
+            userId: req.session.userId,
+            isSuperuser: superuser.length > 0
+        };
+    }
+
     async deletePrescription(req, res, next) {
         try {
             // Check if user is authenticated
@@ -168,43 +295,10 @@ class PrescriptionController {
             }
 
             const { prescriptionId } = req.params;
-            
-            if (!req.file) {
-                const { ValidationError } = require('../core/errors');
-                throw ValidationError.missingFields(['file']);
-            }
-
-            // Check if prescription exists and belongs to user
-            const prescriptionResult = await this.prescriptionModel.getById(prescriptionId, req.session.userId);
-            
-            // Upload image to S3
-            const uploadResult = await this.prescriptionModel.s3Service.uploadImage(
-                req.file, 
-                `prescriptions/${req.session.userId}`
-            );
 
-            // Get current prescription data
-            const currentPrescription = prescriptionResult.data;
-            const currentImages = currentPrescription.images || [];
-            
-            // Add new image to the array
-            const updatedImages = [...currentImages, uploadResult.url];
-            
-            // Update prescription with new image array using PostgreSQL array syntax
-            await this.prescriptionModel.db.query(
-                'UPDATE prescriptions SET images = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-                [updatedImages, prescriptionId]
-            );
-
-            res.json({
-                success: true,
-                message: 'Prescription image uploaded successfully',
-                data: {
-                    imageUrl: uploadResult.url,
-                    imageKey: uploadResult.key,
-                    updatedImages: updatedImages
-                }
-            });
+            // Only the prescription owner can add images
+            const result = await this.prescriptionModel.addImage(prescriptionId, req.session.userId, req.file);
+            res.json(result);
         } catch (error) {
             this.logger.error('Upload prescription image controller error:', error);
             next(error);
@@ -220,61 +314,10 @@ class PrescriptionController {
             }
 
             const { prescriptionId, imageIndex } = req.params;
-            
-            // Check if prescription exists and belongs to user
-            const prescriptionResult = await this.prescriptionModel.getById(prescriptionId, req.session.userId);
-            
-            const currentPrescription = prescriptionResult.data;
-            const currentImages = currentPrescription.images || [];
-            
-            if (imageIndex < 0 || imageIndex >= currentImages.length) {
-                const { ValidationError } = require('../core/errors');
-                throw ValidationError.invalidNumber('imageIndex', imageIndex, 0, currentImages.length - 1);
-            }
 
-            const imageUrl = currentImages[imageIndex];
-            let s3DeleteSuccess = false;
-            let s3DeleteError = null;
-
-            // Attempt to delete image from S3
-            try {
-                await this.prescriptionModel.s3Service.deleteImageFromUrl(imageUrl);
-                s3DeleteSuccess = true;
-                this.logger.info(`Successfully deleted prescription image from S3: ${imageUrl}`);
-            } catch (s3Error) {
-                s3DeleteError = s3Error.message;
-                this.logger.warn(`Failed to delete prescription image from S3: ${imageUrl}. Error: ${s3Error.message}`);
-            }
-            
-            // Always proceed with database cleanup regardless of S3 deletion result
-            // Remove image from array
-            const updatedImages = currentImages.filter((_, index) => index !== parseInt(imageIndex));
-            
-            // Update prescription in database
-            await this.prescriptionModel.db.query(
-                'UPDATE prescriptions SET images = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-                [updatedImages, prescriptionId]
-            );
-
-            // Prepare response based on S3 deletion result
-            const responseData = {
-                success: true,
-                message: s3DeleteSuccess 
-                    ? 'Prescription image deleted successfully from both S3 and database'
-                    : 'Prescription image removed from database (S3 deletion failed but database was cleaned up)',
-                data: {
-                    deletedImageUrl: imageUrl,
-                    updatedImages: updatedImages,
-                    s3DeleteSuccess: s3DeleteSuccess
-                }
-            };
-
-            // Add warning if S3 deletion failed
-            if (!s3DeleteSuccess) {
-                responseData.warning = `S3 deletion failed: ${s3DeleteError}. Image was removed from database but may still exist in S3.`;
-            }
-
-            res.json(responseData);
+            // Only the prescription owner can remove images
+            const result = await this.prescriptionModel.removeImage(prescriptionId, req.session.userId, imageIndex);
+            res.json(result);
         } catch (error) {
             this.logger.error('Delete prescription image controller error:', error);
             next(error);
@@ -396,13 +439,14 @@ class PrescriptionController {
             const userId = req.session.userId;
 
             // Get user's prescription summary
+            // Approved prescriptions past expiry_date count as expired even before the expiry job has run
             const { rows: summary } = await this.prescriptionModel.db.query(`
                 SELECT 
                     COUNT(*) as total_prescriptions,
                     COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_prescriptions,
-                    COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved_prescriptions,
+                    COUNT(CASE WHEN status = 'approved' AND (expiry_date IS NULL OR expiry_date >= CURRENT_DATE) THEN 1 END) as approved_prescriptions,
                     COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_prescriptions,
-                    COUNT(CASE WHEN status = 'expired' THEN 1 END) as expired_prescriptions
+                    COUNT(CASE WHEN status = 'expired' OR (status = 'approved' AND expiry_date < CURRENT_DATE) THEN 1 END) as expired_prescriptions
                 FROM prescriptions 
                 WHERE user_id = $1
             `, [userId]);
@@ -1,14 +1,26 @@
 const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const ProductBatch = require('../models/ProductBatch');
+const ProductImport = require('../models/ProductImport');
 const ServiceManager = require('../core/ServiceManager');
+const ImageProcessor = require('../core/ImageProcessor');
+const Csv = require('../core/Csv');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { BaseError } = require('../core/errors');
 
 class ProductController {
     constructor() {
         this.productModel = new Product();
+        this.inventoryModel = new Inventory();
+        this.batchModel = new ProductBatch();
+        this.importModel = new ProductImport();
         
         // Use ServiceManager to get shared service instances
         const serviceManager = ServiceManager.getInstance();
         this.logger = serviceManager.getLogger();
-        this.s3Service = serviceManager.getS3Service();
+        this.storageService = serviceManager.getStorageService();
+        this.imageProcessor = new ImageProcessor();
     }
 
     async createProduct(req, res, next) {
@@ -16,7 +28,7 @@ class ProductController {
             // First create the product without images to get the ID
             const { images, ...productDataWithoutImages } = req.body;
             
-            const result = await this.productModel.create(productDataWithoutImages);
+            const result = await this.productModel.create(productDataWithoutImages, req.session.userId);
             const productId = result.data.id;
             
             // Process images if provided
@@ -27,6 +39,7 @@ class ProductController {
                 if (processedData.images && processedData.images.length > 0) {
                     await this.productModel.update(productId, {
                         images: processedData.images,
+                        imageVariants: processedData.imageVariants,
                         mainImageIndex: req.body.mainImageIndex || 0
                     });
                     
@@ -52,7 +65,7 @@ class ProductController {
             // Process any base64 images before updating the product
             const productData = await this.processBase64Images(req.body, id);
             
-            const result = await this.productModel.update(id, productData);
+            const result = await this.productModel.update(id, productData, req.session.userId);
             res.json(result);
         } catch (error) {
             this.logger.error('Update product controller error:', error);
@@ -64,24 +77,31 @@ class ProductController {
         try {
             const { id } = req.params;
             
-            // First, get the product to retrieve its images
-            const productResult = await this.productModel.getById(id);
+            // First, get the images stored on this product row (a variant's listing images are not its own)
+            const productResult = await this.productModel.getOwnImages(id);
             if (!productResult.success) {
                 const { NotFoundError } = require('../core/errors');
                 throw NotFoundError.product(id);
             }
 
             const product = productResult.data;
-            const images = product.images || [];
+            const images = product.images;
+
+            // Delete the product from the database first: if it cannot be deleted (e.g. it still has variants), its images stay
+            const result = await this.productModel.delete(id);
             
-            // Clean up S3 images before deleting the product
+            // Clean up S3 images (and their resized variants) of the deleted product
             const s3DeleteResults = [];
             if (images.length > 0) {
                 this.logger.info(`Cleaning up ${images.length} images for product ${id}`);
                 
-                for (const imageUrl of images) {
+                const imageUrls = images.flatMap((imageUrl, index) =>
+                    this.getStoredImageUrls(imageUrl, product.imageVariants[index])
+                );
+
+                for (const imageUrl of imageUrls) {
                     try {
-                        await this.s3Service.deleteImageFromUrl(imageUrl);
+                        await this.storageService.deleteImageFromUrl(imageUrl);
                         s3DeleteResults.push({ url: imageUrl, success: true });
                         this.logger.info(`Successfully deleted image: ${imageUrl}`);
                     } catch (s3Error) {
@@ -91,9 +111,6 @@ class ProductController {
                 }
             }
             
-            // Delete the product from database regardless of S3 cleanup results
-            const result = await this.productModel.delete(id);
-            
             // Enhance response with S3 cleanup information
             const enhancedResult = {
                 ...result,
@@ -116,6 +133,17 @@ class ProductController {
         }
     }
 
+    async createVariant(req, res, next) {
+        try {
+            const { id } = req.params;
+            const result = await this.productModel.createVariant(id, req.body, req.session.userId);
+            res.status(201).json(result);
+        } catch (error) {
+            this.logger.error('Create product variant controller error:', error);
+            next(error);
+        }
+    }
+
     async getProduct(req, res, next) {
         try {
             const { id } = req.params;
@@ -132,10 +160,17 @@ class ProductController {
             const filters = {
                 page: req.query.page,
                 limit: req.query.limit,
+                cursor: req.query.cursor,
+                fields: req.query.fields,
                 search: req.query.search,
                 category: req.query.category,
                 status: req.query.status,
                 manufacturer: req.query.manufacturer,
+                origin: req.query.origin,
+                minPrice: req.query.minPrice,
+                maxPrice: req.query.maxPrice,
+                requiresPrescription: req.query.requiresPrescription,
+                inStock: req.query.inStock,
                 sort: req.query.sort
             };
             
@@ -157,6 +192,198 @@ class ProductController {
         }
     }
 
+    async getStockHistory(req, res, next) {
+        try {
+            const { id } = req.params;
+            const filters = {
+                page: req.query.page,
+                limit: req.query.limit,
+                reason: req.query.reason
+            };
+
+            const result = await this.inventoryModel.getStockHistory(id, filters);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Get stock history controller error:', error);
+            next(error);
+        }
+    }
+
+    async adjustStock(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { quantityChange, reason, notes, batchId } = req.body;
+
+            const result = await this.inventoryModel.recordAdjustment(
+                id,
+                { quantityChange, reason, notes, batchId },
+                req.session.userId
+            );
+            res.status(201).json(result);
+        } catch (error) {
+            this.logger.error('Adjust stock controller error:', error);
+            next(error);
+        }
+    }
+
+    async listLowStock(req, res, next) {
+        try {
+            const filters = {
+                page: req.query.page,
+                limit: req.query.limit,
+                category: req.query.category,
+                outOfStockOnly: req.query.outOfStockOnly
+            };
+
+            const result = await this.inventoryModel.listLowStock(filters);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('List low stock controller error:', error);
+            next(error);
+        }
+    }
+
+    async listBatches(req, res, next) {
+        try {
+            const { id } = req.params;
+            const result = await this.batchModel.listForProduct(id, { includeEmpty: req.query.includeEmpty });
+            res.json(result);
+        } catch (error) {
+            this.logger.error('List batches controller error:', error);
+            next(error);
+        }
+    }
+
+    async receiveBatch(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { lotNumber, quantity, expiryDate, supplier } = req.body;
+
+            const result = await this.batchModel.receive(
+                id,
+                { lotNumber, quantity, expiryDate, supplier },
+                req.session.userId
+            );
+            res.status(201).json(result);
+        } catch (error) {
+            this.logger.error('Receive batch controller error:', error);
+            next(error);
+        }
+    }
+
+    async listExpiringBatches(req, res, next) {
+        try {
+            const result = await this.batchModel.listExpiring(req.query.days);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('List expiring batches controller error:', error);
+            next(error);
+        }
+    }
+
+    async importProducts(req, res, next) {
+        try {
+            const { ValidationError } = require('../core/errors');
+
+            if (!req.file) {
+                throw ValidationError.missingFields(['file']);
+            }
+
+            // Format from the form field, else the file extension
+            const extension = (req.file.originalname.split('.').pop() || '').toLowerCase();
+            const format = (req.body.format || extension).toLowerCase();
+            if (!['csv', 'json'].includes(format)) {
+                throw ValidationError.invalidEnum('format', format, ['csv', 'json']);
+            }
+
+            const dryRun = [req.body.dryRun, req.query.dryRun].includes('true');
+            const rows = this.importModel.parseFile(req.file.buffer, format);
+
+            const result = await this.importModel.start({
+                format,
+                fileName: req.file.originalname,
+                rows,
+                dryRun
+            }, req.session.userId);
+
+            res.status(202).json({
+                success: true,
+                message: dryRun ? 'Import validation started' : 'Import started',
+                data: result.data
+            });
+        } catch (error) {
+            this.logger.error('Import products controller error:', error);
+            next(error);
+        }
+    }
+
+    async getImportStatus(req, res, next) {
+        try {
+            const result = await this.importModel.getById(req.params.importId);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Get import status controller error:', error);
+            next(error);
+        }
+    }
+
+    async exportProducts(req, res, next) {
+        try {
+            const format = req.query.format || 'csv';
+            if (!['csv', 'json'].includes(format)) {
+                const { ValidationError } = require('../core/errors');
+                throw ValidationError.invalidEnum('format', format, ['csv', 'json']);
+            }
+
+            const fields = ProductImport.FIELDS;
+            const fileName = `products-${new Date().toISOString().split('T')[0]}.${format}`;
+
+            res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+            // Same columns as the import, so an export can be edited and re-imported
+            const productModel = this.productModel;
+            async function* exportChunks() {
+                let written = 0;
+                yield format === 'csv' ? Csv.formatRow(fields) : '[';
+
+                for await (const products of productModel.exportBatches()) {
+                    yield products.map(product => {
+                        if (format === 'json') {
+                            return `${written++ > 0 ? ',' : ''}${JSON.stringify(product)}`;
+                        }
+                        // Free-text cells must not run as formulas when the file is opened in a spreadsheet
+                        return Csv.formatRow(fields.map(field =>
+                            ProductImport.LIST_FIELDS.includes(field)
+                                ? ProductImport.formatList(product[field])
+                                : product[field]
+                        ), { escapeFormulas: true });
+                    }).join('');
+                }
+
+                if (format === 'json') {
+                    yield ']';
+                }
+            }
+
+            // pipeline respects backpressure so a slow client doesn't buffer the whole catalog,
+            // and stops reading batches as soon as the client disconnects
+            await pipeline(Readable.from(exportChunks()), res);
+        } catch (error) {
+            if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+                this.logger.info('Product export aborted: client disconnected');
+                return;
+            }
+            this.logger.error('Export products controller error:', error);
+            if (res.headersSent) {
+                // Part of the file is already out; cut the download short rather than send a broken file as complete
+                res.destroy(error);
+            } else {
+                next(error);
+            }
+        }
+    }
+
     async uploadImage(req, res, next) {
         try {
             const { productId } = req.params;
@@ -169,28 +396,31 @@ class ProductController {
             // Check if product exists
             const productResult = await this.productModel.getById(productId);
             
-            // Upload image to S3
-            const uploadResult = await this.s3Service.uploadImage(req.file, productId);
+            // Validate, resize and upload the image variants
+            const variants = await this.storeImageVariants(req.file.buffer, productId);
             
             // Get current product data
             const currentProduct = productResult.data;
             const currentImages = currentProduct.images || [];
             
-            // Add new image to the array
-            const updatedImages = [...currentImages, uploadResult.url];
+            // Add new image to the array; the large variant is the image itself
+            const updatedImages = [...currentImages, variants.large];
+            const updatedImageVariants = [...currentProduct.imageVariants, variants];
             
             // Update product with new image array
             const updateResult = await this.productModel.update(productId, {
-                images: updatedImages
+                images: updatedImages,
+                imageVariants: updatedImageVariants
             });
 
             res.json({
                 success: true,
                 message: 'Image uploaded successfully',
                 data: {
-                    imageUrl: uploadResult.url,
-                    imageKey: uploadResult.key,
-                    updatedImages: updatedImages
+                    imageUrl: variants.large,
+                    variants: variants,
+                    updatedImages: updatedImages,
+                    updatedImageVariants: updatedImageVariants
                 }
             });
         } catch (error) {
@@ -204,14 +434,20 @@ class ProductController {
             const { productId, imageIndex } = req.params;
             
             // Check if product exists
-            const productResult = await this.productModel.getById(productId);
+            const productResult = await this.productModel.getOwnImages(productId);
             if (!productResult.success) {
                 const { NotFoundError } = require('../core/errors');
                 throw NotFoundError.product(productId);
             }
 
             const currentProduct = productResult.data;
-            const currentImages = currentProduct.images || [];
+            const currentImages = currentProduct.images;
+
+            // A variant shows its listing's images; those are managed on the listing
+            if (currentProduct.parentId) {
+                const { BusinessLogicError } = require('../core/errors');
+                throw BusinessLogicError.invalidOperation('delete image', `images must be managed on the parent product (ID: ${currentProduct.parentId})`);
+            }
             
             if (imageIndex < 0 || imageIndex >= currentImages.length) {
                 const { ValidationError } = require('../core/errors');
@@ -222,9 +458,11 @@ class ProductController {
             let s3DeleteSuccess = false;
             let s3DeleteError = null;
 
-            // Attempt to delete image from S3 using the URL (which contains bucket info)
+            // Attempt to delete image (and any resized variants) from S3 using the URL (which contains bucket info)
             try {
-                await this.s3Service.deleteImageFromUrl(imageUrl);
+                for (const url of this.getStoredImageUrls(imageUrl, currentProduct.imageVariants[imageIndex])) {
+                    await this.storageService.deleteImageFromUrl(url);
+                }
                 s3DeleteSuccess = true;
                 this.logger.info(`Successfully deleted image from S3: ${imageUrl}`);
             } catch (s3Error) {
@@ -236,6 +474,7 @@ class ProductController {
             // Always proceed with database cleanup regardless of S3 deletion result
             // Remove image from array
             const updatedImages = currentImages.filter((_, index) => index !== parseInt(imageIndex));
+            const updatedImageVariants = currentProduct.imageVariants.filter((_, index) => index !== parseInt(imageIndex));
             
             // Update main image index if necessary
             let mainImageIndex = currentProduct.mainImageIndex || 0;
@@ -248,6 +487,7 @@ class ProductController {
             // Update product in database
             const updateResult = await this.productModel.update(productId, {
                 images: updatedImages,
+                imageVariants: updatedImageVariants,
                 mainImageIndex: mainImageIndex
             });
 
@@ -282,14 +522,20 @@ class ProductController {
             const { productId, imageIndex } = req.params;
             
             // Check if product exists
-            const productResult = await this.productModel.getById(productId);
+            const productResult = await this.productModel.getOwnImages(productId);
             if (!productResult.success) {
                 const { NotFoundError } = require('../core/errors');
                 throw NotFoundError.product(productId);
             }
 
             const currentProduct = productResult.data;
-            const currentImages = currentProduct.images || [];
+            const currentImages = currentProduct.images;
+
+            // A variant shows its listing's images; those are managed on the listing
+            if (currentProduct.parentId) {
+                const { BusinessLogicError } = require('../core/errors');
+                throw BusinessLogicError.invalidOperation('delete image', `images must be managed on the parent product (ID: ${currentProduct.parentId})`);
+            }
             
             if (imageIndex < 0 || imageIndex >= currentImages.length) {
                 const { ValidationError } = require('../core/errors');
@@ -323,10 +569,20 @@ class ProductController {
             }
 
             const uploadedImageUrls = [];
+            const imageVariants = [];
             
             // Use provided productId or create a temporary one
             const uploadProductId = productId || Date.now();
 
+            // Existing images are sent back as URLs; keep the variants already stored for them
+            const existingVariants = new Map();
+            if (productId) {
+                const currentResult = await this.productModel.getById(productId);
+                currentResult.data.images.forEach((imageUrl, index) => {
+                    existingVariants.set(imageUrl, currentResult.data.imageVariants[index]);
+                });
+            }
+
             for (let i = 0; i < productData.images.length; i++) {
                 const imageData = productData.images[i];
                 
@@ -335,27 +591,15 @@ class ProductController {
                     // Extract mime type and base64 data
                     const matches = imageData.match(/^data:([^;]+);base64,(.+)$/);
                     if (matches) {
-                        const mimeType = matches[1];
-                        const base64Data = matches[2];
-                        
-                        // Convert base64 to buffer
-                        const buffer = Buffer.from(base64Data, 'base64');
-                        
-                        // Determine file extension from mime type
-                        const fileExtension = mimeType.split('/')[1] || 'jpg';
-                        
-                        // Create a fake file object for the S3Service
-                        const fakeFile = {
-                            buffer: buffer,
-                            mimetype: mimeType,
-                            originalname: `image_${i}.${fileExtension}`
-                        };
+                        // Convert base64 to buffer; the declared mime type is not trusted
+                        const buffer = Buffer.from(matches[2], 'base64');
                         
-                        // Upload to S3
-                        const uploadResult = await this.s3Service.uploadImage(fakeFile, uploadProductId);
-                        uploadedImageUrls.push(uploadResult.url);
+                        // Validate, resize and upload the image variants
+                        const variants = await this.storeImageVariants(buffer, uploadProductId);
+                        uploadedImageUrls.push(variants.large);
+                        imageVariants.push(variants);
                         
-                        this.logger.info(`Converted base64 image ${i} to S3 URL: ${uploadResult.url}`);
+                        this.logger.info(`Converted base64 image ${i} to S3 URL: ${variants.large}`);
                     } else {
                         // If it's not a valid base64 image, skip it
                         this.logger.warn(`Invalid base64 image format at index ${i}`);
@@ -363,6 +607,7 @@ class ProductController {
                 } else if (typeof imageData === 'string' && imageData.startsWith('http')) {
                     // If it's already a URL, keep it as is
                     uploadedImageUrls.push(imageData);
+                    imageVariants.push(existingVariants.get(imageData) || null);
                 } else {
                     this.logger.warn(`Unknown image format at index ${i}: ${typeof imageData}`);
                 }
@@ -371,15 +616,52 @@ class ProductController {
             // Replace the images array with S3 URLs
             return {
                 ...productData,
-                images: uploadedImageUrls
+                images: uploadedImageUrls,
+                imageVariants: imageVariants
             };
             
         } catch (error) {
             this.logger.error('Error processing base64 images:', error);
+            if (error instanceof BaseError) {
+                throw error;
+            }
             throw new Error(`Failed to process images: ${error.message}`);
         }
     }
 
+    /**
+     * Validate an uploaded image and store its thumbnail, medium and large renditions
+     * @returns {Promise<{ thumbnail: string, medium: string, large: string }>} variant URLs
+     */
+    async storeImageVariants(buffer, productId) {
+        const renditions = await this.imageProcessor.createVariants(buffer);
+        const variants = {};
+
+        try {
+            for (const [name, rendition] of Object.entries(renditions)) {
+                const uploadResult = await this.storageService.uploadImage({
+                    buffer: rendition.buffer,
+                    mimetype: 'image/webp',
+                    originalname: `${name}.webp`
+                }, productId);
+                variants[name] = uploadResult.url;
+            }
+        } catch (error) {
+            // Don't leave a partial set of variants behind
+            for (const url of Object.values(variants)) {
+                await this.storageService.deleteImageFromUrl(url).catch(() => {});
+            }
+            throw error;
+        }
+
+        return variants;
+    }
+
+    // Every stored object behind one entry in images[]
+    getStoredImageUrls(imageUrl, variants) {
+        return [...new Set([imageUrl, ...Object.values(variants || {})])];
+    }
+
     async checkAvailability(req, res, next) {
         try {
             const { productIds } = req.body;
@@ -392,7 +674,9 @@ class ProductController {
             // Get product availability information
             const placeholders = productIds.map((_, index) => `$${index + 1}`).join(',');
             const { rows: products } = await this.productModel.db.query(
-                `SELECT id, stock_quantity, status FROM products WHERE id IN (${placeholders})`,
+                `SELECT id, stock_quantity, status, parent_id, variant_label,
+                    EXISTS (SELECT 1 FROM products v WHERE v.parent_id = products.id) AS has_variants
+                FROM products WHERE id IN (${placeholders})`,
                 productIds
             );
 
@@ -402,7 +686,10 @@ class ProductController {
                     id: parseInt(id),
                     stockQuantity: product ? product.stock_quantity : 0,
                     isActive: product ? product.status === 'active' : false,
-                    exists: !!product
+                    exists: !!product,
+                    parentId: product ? product.parent_id : null,
+                    variantLabel: product ? product.variant_label : null,
+                    hasVariants: product ? product.has_variants : false
                 };
             });
 
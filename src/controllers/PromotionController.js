@@ -0,0 +1,65 @@
+const Promotion = require('../models/Promotion');
+const ServiceManager = require('../core/ServiceManager');
+
+class PromotionController {
+    constructor() {
+        this.promotionModel = new Promotion();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    async createPromotion(req, res, next) {
+        try {
+            const result = await this.promotionModel.create(req.body, req.session.userId);
+            res.status(201).json(result);
+        } catch (error) {
+            this.logger.error('Create promotion controller error:', error);
+            next(error);
+        }
+    }
+
+    async updatePromotion(req, res, next) {
+        try {
+            const { id } = req.params;
+            const result = await this.promotionModel.update(id, req.body);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Update promotion controller error:', error);
+            next(error);
+        }
+    }
+
+    async getPromotion(req, res, next) {
+        try {
+            const { id } = req.params;
+            const result = await this.promotionModel.getById(id);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Get promotion controller error:', error);
+            next(error);
+        }
+    }
+
+    async listPromotions(req, res, next) {
+        try {
+            const filters = {
+                page: req.query.page,
+                limit: req.query.limit,
+                cursor: req.query.cursor,
+                search: req.query.search,
+                isActive: req.query.isActive,
+                type: req.query.type
+            };
+
+            const result = await this.promotionModel.list(filters);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('List promotions controller error:', error);
+            next(error);
+        }
+    }
+}
+
+module.exports = PromotionController;
@@ -0,0 +1,98 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+const ServiceManager = require('../core/ServiceManager');
+
+class PurchaseOrderController {
+    constructor() {
+        this.purchaseOrderModel = new PurchaseOrder();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    async createPurchaseOrder(req, res, next) {
+        try {
+            const result = await this.purchaseOrderModel.create(req.body, req.session.userId);
+            res.status(201).json(result);
+        } catch (error) {
+            this.logger.error('Create purchase order controller error:', error);
+            next(error);
+        }
+    }
+
+    async updatePurchaseOrder(req, res, next) {
+        try {
+            const { id } = req.params;
+            const result = await this.purchaseOrderModel.update(id, req.body);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Update purchase order controller error:', error);
+            next(error);
+        }
+    }
+
+    async deletePurchaseOrder(req, res, next) {
+        try {
+            const { id } = req.params;
+            const result = await this.purchaseOrderModel.delete(id);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Delete purchase order controller error:', error);
+            next(error);
+        }
+    }
+
+    async placePurchaseOrder(req, res, next) {
+        try {
+            const { id } = req.params;
+            const result = await this.purchaseOrderModel.placeOrder(id, req.session.userId);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Place purchase order controller error:', error);
+            next(error);
+        }
+    }
+
+    async receivePurchaseOrder(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { items } = req.body;
+
+            const result = await this.purchaseOrderModel.receive(id, { items }, req.session.userId);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Receive purchase order controller error:', error);
+            next(error);
+        }
+    }
+
+    async getPurchaseOrder(req, res, next) {
+        try {
+            const { id } = req.params;
+            const result = await this.purchaseOrderModel.getById(id);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Get purchase order controller error:', error);
+            next(error);
+        }
+    }
+
+    async listPurchaseOrders(req, res, next) {
+        try {
+            const filters = {
+                page: req.query.page,
+                limit: req.query.limit,
+                status: req.query.status,
+                supplierId: req.query.supplierId
+            };
+
+            const result = await this.purchaseOrderModel.list(filters);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('List purchase orders controller error:', error);
+            next(error);
+        }
+    }
+}
+
+module.exports = PurchaseOrderController;
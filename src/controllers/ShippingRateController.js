@@ -0,0 +1,51 @@
+const ShippingRate = require('../models/ShippingRate');
+const ServiceManager = require('../core/ServiceManager');
+
+class ShippingRateController {
+    constructor() {
+        this.shippingRateModel = new ShippingRate();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    async createShippingRate(req, res, next) {
+        try {
+            const result = await this.shippingRateModel.create(req.body);
+            res.status(201).json(result);
+        } catch (error) {
+            this.logger.error('Create shipping rate controller error:', error);
+            next(error);
+        }
+    }
+
+    async updateShippingRate(req, res, next) {
+        try {
+            const { id } = req.params;
+            const result = await this.shippingRateModel.update(id, req.body);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Update shipping rate controller error:', error);
+            next(error);
+        }
+    }
+
+    async listShippingRates(req, res, next) {
+        try {
+            const filters = {
+                shippingMethod: req.query.shippingMethod,
+                province: req.query.province,
+                isActive: req.query.isActive
+            };
+
+            const result = await this.shippingRateModel.list(filters);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('List shipping rates controller error:', error);
+            next(error);
+        }
+    }
+}
+
+module.exports = ShippingRateController;
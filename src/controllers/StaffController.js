@@ -12,6 +12,7 @@ class StaffController {
             const filters = {
                 page: req.query.page,
                 limit: req.query.limit,
+                cursor: req.query.cursor,
                 search: req.query.search,
                 role: req.query.role,
                 isActive: req.query.is_active
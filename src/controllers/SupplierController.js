@@ -0,0 +1,61 @@
+const Supplier = require('../models/Supplier');
+const ServiceManager = require('../core/ServiceManager');
+
+class SupplierController {
+    constructor() {
+        this.supplierModel = new Supplier();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    async createSupplier(req, res, next) {
+        try {
+            const result = await this.supplierModel.create(req.body);
+            res.status(201).json(result);
+        } catch (error) {
+            this.logger.error('Create supplier controller error:', error);
+            next(error);
+        }
+    }
+
+    async updateSupplier(req, res, next) {
+        try {
+            const { id } = req.params;
+            const result = await this.supplierModel.update(id, req.body);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Update supplier controller error:', error);
+            next(error);
+        }
+    }
+
+    async getSupplier(req, res, next) {
+        try {
+            const { id } = req.params;
+            const result = await this.supplierModel.getById(id);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('Get supplier controller error:', error);
+            next(error);
+        }
+    }
+
+    async listSuppliers(req, res, next) {
+        try {
+            const filters = {
+                search: req.query.search,
+                isActive: req.query.isActive
+            };
+
+            const result = await this.supplierModel.list(filters);
+            res.json(result);
+        } catch (error) {
+            this.logger.error('List suppliers controller error:', error);
+            next(error);
+        }
+    }
+}
+
+module.exports = SupplierController;
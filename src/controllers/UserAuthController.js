@@ -1,9 +1,11 @@
 const UserAuth = require('../models/UserAuth');
+const Cart = require('../models/Cart');
 const Logger = require('../core/Logger');
 
 class UserAuthController {
     constructor() {
         this.userAuthModel = new UserAuth();
+        this.cartModel = new Cart();
         this.logger = new Logger();
     }
 
@@ -46,6 +48,13 @@ class UserAuthController {
             req.session.userId = result.user.id;
             req.session.authTime = Date.now();
 
+            // Merge any cart carried by this session into the user's persisted cart
+            try {
+                await this.cartModel.mergeSessionCart(result.user.id, req.session);
+            } catch (cartError) {
+                this.logger.warn('Cart merge error during login:', cartError);
+            }
+
             res.json(result);
         } catch (error) {
             this.logger.error('Login error:', error);
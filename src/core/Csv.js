@@ -0,0 +1,93 @@
+/**
+ * Csv - minimal RFC 4180 reader/writer for catalog import and export
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+ * With escapeFormulas, cells that a spreadsheet would run as a formula are written with a
+ * leading apostrophe, and parse takes that apostrophe off again.
+ */
+// Leading characters that make Excel, Sheets and LibreOffice treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class Csv {
+    /**
+     * @param {string} text
+     * @param {Object} [options] - { escapeFormulas: strip the apostrophe formatRow added }
+     * @returns {Array<Object>} one object per data row, keyed by the header row
+     */
+    static parse(text, { escapeFormulas = false } = {}) {
+        const records = Csv.parseRecords(text.replace(/^\uFEFF/, ''));
+        if (records.length === 0) {
+            return [];
+        }
+
+        const headers = records[0].map(header => header.trim());
+
+        return records.slice(1)
+            // Skip blank lines
+            .filter(record => record.some(value => value.trim() !== ''))
+            .map(record => Object.fromEntries(headers.map((header, index) => {
+                const value = record[index] ?? '';
+                return [header, escapeFormulas && value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))
+                    ? value.slice(1)
+                    : value];
+            })));
+    }
+
+    static parseRecords(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * @param {Array} values
+     * @param {Object} [options] - { escapeFormulas: prefix formula-like cells with an apostrophe }
+     * @returns {string} one CSV line including the trailing CRLF
+     */
+    static formatRow(values, { escapeFormulas = false } = {}) {
+        return values.map(value => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (escapeFormulas && FORMULA_PREFIX.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',') + '\r\n';
+    }
+}
+
+module.exports = Csv;
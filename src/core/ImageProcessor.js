@@ -0,0 +1,70 @@
+const sharp = require('sharp');
+const { ValidationError } = require('./errors');
+
+// Longest edge in pixels for each stored variant; "large" is what product pages show
+const IMAGE_VARIANTS = {
+    thumbnail: 150,
+    medium: 600,
+    large: 1200
+};
+
+// Leading bytes of the formats we accept; the client's mimetype and extension are ignored
+const SIGNATURES = [
+    { format: 'jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+    { format: 'png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { format: 'webp', offset: 0, bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } }
+];
+
+// Reject decompression bombs before decoding
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * ImageProcessor - validates uploaded product images and renders the stored variants
+ * Output is always WebP with metadata (EXIF, GPS, ICC comments) stripped.
+ */
+class ImageProcessor {
+    detectFormat(buffer) {
+        const matches = (offset, bytes) =>
+            buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+        const signature = SIGNATURES.find(entry =>
+            matches(entry.offset, entry.bytes) && (!entry.extra || matches(entry.extra.offset, entry.extra.bytes))
+        );
+
+        return signature ? signature.format : null;
+    }
+
+    /**
+     * @param {Buffer} buffer - raw upload
+     * @returns {Promise<Object<string, { buffer: Buffer, width: number, height: number }>>} keyed by variant name
+     */
+    async createVariants(buffer) {
+        if (!Buffer.isBuffer(buffer) || !this.detectFormat(buffer)) {
+            throw ValidationError.invalidFormat('image', 'JPEG, PNG or WebP image');
+        }
+
+        let source;
+        try {
+            // rotate() applies the EXIF orientation before the metadata is dropped
+            source = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate().toBuffer();
+        } catch (error) {
+            throw ValidationError.invalidFormat('image', 'readable JPEG, PNG or WebP image');
+        }
+
+        const variants = {};
+        for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+            const { data, info } = await sharp(source)
+                .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer({ resolveWithObject: true });
+
+            variants[name] = { buffer: data, width: info.width, height: info.height };
+        }
+
+        return variants;
+    }
+}
+
+ImageProcessor.VARIANT_NAMES = Object.keys(IMAGE_VARIANTS);
+
+module.exports = ImageProcessor;
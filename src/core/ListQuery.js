@@ -0,0 +1,202 @@
+const { ValidationError } = require('./errors');
+
+const MAX_LIMIT = 100;
+
+/**
+ * ListQuery - shared filtering and pagination for list endpoints
+ *
+ * Pages can be requested two ways:
+ * - ?page=N (offset): also returns totalRecords/totalPages
+ * - ?cursor=... (keyset): continues after the last row of a previous page; stable when rows
+ *   are inserted between requests and skips the COUNT(*)
+ * Every page returns nextCursor, so a client may start with ?page=1 and continue by cursor.
+ *
+ * Usage:
+ *   const listQuery = new ListQuery(filters);
+ *   listQuery.where(`o.status = ${listQuery.param(status)}`);
+ *   const { rows, pagination } = await listQuery.fetch(this.db, {
+ *       select: 'o.id, o.status', from: 'orders o',
+ *       orderBy: [{ expression: 'o.created_at', direction: 'DESC' }, { expression: 'o.id', direction: 'DESC' }]
+ *   });
+ */
+class ListQuery {
+    /**
+     * @param {Object} filters - request filters; reads page, limit and cursor
+     */
+    constructor(filters = {}) {
+        this.limit = parseInt(filters.limit) || 10;
+        this.cursor = filters.cursor ? this.decodeCursor(filters.cursor) : null;
+        this.page = this.cursor ? null : (parseInt(filters.page) || 1);
+
+        // Validate pagination parameters
+        if ((this.page !== null && this.page < 1) || !(this.limit >= 1 && this.limit <= MAX_LIMIT)) {
+            throw ValidationError.invalidNumber('pagination', `page: ${filters.page}, limit: ${filters.limit}`, null, null);
+        }
+
+        this.params = [];
+        this.conditions = [];
+        this.filterParamCount = 0;
+    }
+
+    /**
+     * Add a query parameter
+     * @returns {string} its placeholder, e.g. "$3"
+     */
+    param(value) {
+        this.params.push(value);
+        return `$${this.params.length}`;
+    }
+
+    /**
+     * Add a filter condition (ANDed with the others). Parameters used only by the
+     * select list or sort keys must be added after the last condition.
+     */
+    where(condition) {
+        this.conditions.push(condition);
+        // The count query is sent only the parameters its conditions reference
+        this.filterParamCount = this.params.length;
+        return this;
+    }
+
+    get whereClause() {
+        return this.conditions.length > 0 ? `WHERE ${this.conditions.join(' AND ')}` : '';
+    }
+
+    /**
+     * Run the count (offset pages only) and page queries.
+     * @param {Object} db - Database instance
+     * @param {Object} options
+     * @param {string} options.select - column list
+     * @param {string} options.from - FROM clause including joins
+     * @param {string} [options.groupBy] - GROUP BY expressions
+     * @param {string} [options.countFrom] - FROM clause for the count, defaults to `from`
+     * @param {Array<{ expression: string, direction: 'ASC'|'DESC' }>} options.orderBy - sort keys;
+     *   must be non-null and the last one unique, or keyset pages will skip or repeat rows
+     * @returns {Promise<{ rows: Array, pagination: Object }>}
+     */
+    async fetch(db, { select, from, groupBy = '', countFrom = from, orderBy }) {
+        if (this.cursor && this.cursor.length !== orderBy.length) {
+            throw ValidationError.invalidFormat('cursor', 'cursor returned by a previous page with the same sort');
+        }
+
+        let totalRecords = null;
+        if (!this.cursor) {
+            const { rows: countResult } = await db.query(`
+                SELECT COUNT(*) as total
+                FROM ${countFrom}
+                ${this.whereClause}
+            `, this.params.slice(0, this.filterParamCount));
+            totalRecords = parseInt(countResult[0].total);
+        }
+
+        const conditions = this.cursor ? [...this.conditions, this.buildKeysetCondition(orderBy)] : this.conditions;
+
+        // Cursor values are read back as text so timestamps keep their full precision
+        const cursorColumns = orderBy.map((key, index) => `(${key.expression})::text AS cursor_${index}`).join(', ');
+
+        // One extra row tells us whether there is a next page
+        const { rows } = await db.query(`
+            SELECT ${select}, ${cursorColumns}
+            FROM ${from}
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ${groupBy ? `GROUP BY ${groupBy}` : ''}
+            ORDER BY ${orderBy.map(key => `${key.expression} ${key.direction}`).join(', ')}
+            LIMIT ${this.param(this.limit + 1)}
+            ${this.page !== null ? `OFFSET ${this.param((this.page - 1) * this.limit)}` : ''}
+        `, this.params);
+
+        const hasNextPage = rows.length > this.limit;
+        if (hasNextPage) {
+            rows.pop();
+        }
+
+        const lastRow = rows[rows.length - 1];
+        const totalPages = totalRecords !== null ? Math.ceil(totalRecords / this.limit) : null;
+
+        return {
+            rows,
+            pagination: {
+                currentPage: this.page,
+                totalPages,
+                totalRecords,
+                limit: this.limit,
+                hasNextPage,
+                hasPrevPage: this.cursor ? true : this.page > 1,
+                nextCursor: hasNextPage ? this.encodeCursor(orderBy.map((_, index) => lastRow[`cursor_${index}`])) : null
+            }
+        };
+    }
+
+    /**
+     * Rows strictly after the cursor in sort order:
+     * (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... with < for DESC keys
+     */
+    buildKeysetCondition(orderBy) {
+        const values = this.cursor.map(value => this.param(value));
+
+        const branches = orderBy.map((key, index) => {
+            const equalities = orderBy.slice(0, index).map((previous, previousIndex) =>
+                `${previous.expression} = ${values[previousIndex]}`
+            );
+            const operator = key.direction === 'DESC' ? '<' : '>';
+            return [...equalities, `${key.expression} ${operator} ${values[index]}`].join(' AND ');
+        });
+
+        return `((${branches.join(') OR (')}))`;
+    }
+
+    encodeCursor(values) {
+        return Buffer.from(JSON.stringify(values)).toString('base64url');
+    }
+
+    decodeCursor(cursor) {
+        try {
+            const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            if (Array.isArray(values) && values.length > 0 && values.every(value => typeof value === 'string')) {
+                return values;
+            }
+        } catch (error) {
+            // Fall through to the validation error
+        }
+
+        throw ValidationError.invalidFormat('cursor', 'cursor returned by a previous page');
+    }
+
+    /**
+     * Parse a ?fields= projection against the fields a list can return
+     * @param {string|Array|undefined} fields - comma-separated or repeated
+     * @param {Array<string>} allowedFields
+     * @returns {Array<string>|null} null when no projection was requested
+     */
+    static parseFields(fields, allowedFields) {
+        if (fields === undefined || fields === null || fields === '') {
+            return null;
+        }
+
+        const requested = [...new Set(
+            (Array.isArray(fields) ? fields : String(fields).split(','))
+                .map(field => String(field).trim())
+                .filter(Boolean)
+        )];
+
+        const unknown = requested.find(field => !allowedFields.includes(field));
+        if (unknown) {
+            throw ValidationError.invalidEnum('fields', unknown, allowedFields);
+        }
+
+        return requested.length > 0 ? requested : null;
+    }
+
+    /**
+     * Keep only the requested fields of each item
+     */
+    static project(items, fields) {
+        if (!fields) {
+            return items;
+        }
+
+        return items.map(item => Object.fromEntries(fields.map(field => [field, item[field]])));
+    }
+}
+
+module.exports = ListQuery;
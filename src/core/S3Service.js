@@ -1,9 +1,14 @@
-const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, CopyObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const Logger = require('./Logger');
+const StorageDriver = require('./storage/StorageDriver');
 
-class S3Service {
+/**
+ * S3Service - AWS S3 storage driver (STORAGE_DRIVER=s3)
+ */
+class S3Service extends StorageDriver {
     constructor() {
+        super('s3');
         this.logger = new Logger();
         
         // Configure S3 client
@@ -33,8 +38,7 @@ class S3Service {
 
 
 
-            const fileExtension = file.originalname.split('.').pop();
-            const fileName = `products/${productId}/${Date.now()}-${Math.random().toString(36).substring(2)}.${fileExtension}`;
+            const fileName = this.generateKey(`products/${productId}`, file.originalname);
             
             const uploadParams = {
                 Bucket: this.bucketName,
@@ -73,6 +77,76 @@ class S3Service {
         }
     }
 
+    /**
+     * Upload a file that must never be publicly readable (e.g. prescription scans).
+     * Only the object key is returned; read access goes through getSignedUrl.
+     * Keep keyPrefix outside any prefix the bucket policy makes public (products/ is public).
+     */
+    async uploadPrivateFile(file, keyPrefix) {
+        try {
+            if (!file) {
+                throw new Error('No file provided');
+            }
+
+            const key = this.generateKey(keyPrefix, file.originalname);
+
+            const command = new PutObjectCommand({
+                Bucket: this.bucketName,
+                Key: key,
+                Body: file.buffer,
+                ContentType: file.mimetype,
+                ServerSideEncryption: 'AES256'
+            });
+
+            // Add timeout wrapper to prevent hanging
+            const uploadPromise = this.s3Client.send(command);
+            const timeoutPromise = new Promise((_, reject) => {
+                setTimeout(() => {
+                    reject(new Error('S3 upload timeout after 30 seconds'));
+                }, 30000);
+            });
+
+            await Promise.race([uploadPromise, timeoutPromise]);
+
+            this.logger.info(`Private file uploaded successfully: ${key}`);
+
+            return {
+                success: true,
+                key
+            };
+        } catch (error) {
+            this.logger.error('S3 private upload error:', error);
+            throw new Error(`Failed to upload file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Copy an object to a key outside the public prefixes. The copy does not inherit the
+     * source's ACL, so it is private whether the bucket uses ACLs or a bucket policy.
+     */
+    async copyToPrivate(sourceKey, targetKey) {
+        try {
+            const command = new CopyObjectCommand({
+                Bucket: this.bucketName,
+                CopySource: encodeURI(`${this.bucketName}/${sourceKey}`),
+                Key: targetKey,
+                ServerSideEncryption: 'AES256'
+            });
+
+            await this.s3Client.send(command);
+
+            this.logger.info(`Object copied to private key: ${sourceKey} -> ${targetKey}`);
+
+            return {
+                success: true,
+                key: targetKey
+            };
+        } catch (error) {
+            this.logger.error(`S3 copy error for key ${sourceKey}:`, error);
+            throw new Error(`Failed to copy file: ${error.message}`);
+        }
+    }
+
     async deleteImage(imageKey, bucketName = null) {
         try {
             if (!imageKey) {
@@ -156,13 +230,26 @@ class S3Service {
     extractKeyFromUrl(url) {
         try {
             const urlObj = new URL(url);
-            return urlObj.pathname.substring(1); // Remove leading slash
+            const key = urlObj.pathname.substring(1); // Remove leading slash
+
+            // Path-style URLs (https://s3.<region>.amazonaws.com/<bucket>/<key>, LocalStack, MinIO)
+            // start the path with the bucket; virtual-hosted URLs carry it in the hostname
+            const bucketPrefix = `${this.bucketName}/`;
+            if (!urlObj.hostname.startsWith(`${this.bucketName}.`) && key.startsWith(bucketPrefix)) {
+                return key.substring(bucketPrefix.length);
+            }
+
+            return key;
         } catch (error) {
             this.logger.error('URL parsing error:', error);
             return null;
         }
     }
 
+    ownsUrl(url) {
+        return typeof url === 'string' && url.startsWith('http') && this.extractBucketFromUrl(url) === this.bucketName;
+    }
+
     extractBucketFromUrl(url) {
         try {
             const urlObj = new URL(url);
@@ -1,6 +1,7 @@
 const Logger = require('./Logger');
-const S3Service = require('./S3Service');
+const { createStorageDriver } = require('./storage');
 const Database = require('./Database');
+const { createPaymentProvider } = require('./payments');
 
 /**
  * ServiceManager - Singleton class to manage shared service instances
@@ -14,8 +15,9 @@ class ServiceManager {
 
         // Initialize shared services once
         this._logger = null;
-        this._s3Service = null;
+        this._storageService = null;
         this._database = null;
+        this._paymentProvider = null;
 
         ServiceManager.instance = this;
     }
@@ -32,14 +34,22 @@ class ServiceManager {
     }
 
     /**
-     * Get shared S3Service instance
-     * @returns {S3Service}
+     * Get shared file storage instance (selected by STORAGE_DRIVER)
+     * @returns {StorageDriver}
      */
-    getS3Service() {
-        if (!this._s3Service) {
-            this._s3Service = new S3Service();
+    getStorageService() {
+        if (!this._storageService) {
+            this._storageService = createStorageDriver();
         }
-        return this._s3Service;
+        return this._storageService;
+    }
+
+    /**
+     * @deprecated use getStorageService - kept for callers written before local storage existed
+     * @returns {StorageDriver}
+     */
+    getS3Service() {
+        return this.getStorageService();
     }
 
     /**
@@ -53,13 +63,25 @@ class ServiceManager {
         return this._database;
     }
 
+    /**
+     * Get shared PaymentProvider instance (selected by PAYMENT_PROVIDER)
+     * @returns {PaymentProvider}
+     */
+    getPaymentProvider() {
+        if (!this._paymentProvider) {
+            this._paymentProvider = createPaymentProvider();
+        }
+        return this._paymentProvider;
+    }
+
     /**
      * Reset all services (useful for testing)
      */
     reset() {
         this._logger = null;
-        this._s3Service = null;
+        this._storageService = null;
         this._database = null;
+        this._paymentProvider = null;
     }
 
     /**
@@ -61,6 +61,15 @@ class AuthenticationError extends BaseError {
             'Authentication challenge has expired'
         );
     }
+
+    /**
+     * Create AuthenticationError for an invalid or expired signed URL
+     */
+    static invalidSignature() {
+        return new AuthenticationError(
+            'Signed URL is invalid or has expired'
+        );
+    }
 }
 
 module.exports = AuthenticationError;
\ No newline at end of file
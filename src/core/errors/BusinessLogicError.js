@@ -54,6 +54,94 @@ class BusinessLogicError extends BaseError {
             { operation, reason }
         );
     }
+
+    /**
+     * Create BusinessLogicError for submitted prices that differ from server-side prices
+     */
+    static priceMismatch(mismatches = [], expected = null) {
+        return new BusinessLogicError(
+            'Submitted prices do not match current product prices',
+            'PRICE_MISMATCH',
+            { mismatches, expected }
+        );
+    }
+
+    /**
+     * Create BusinessLogicError for prescription-only products ordered without a prescription
+     */
+    static prescriptionRequired(productIds = []) {
+        return new BusinessLogicError(
+            'A prescription is required for prescription-only products',
+            'PRESCRIPTION_REQUIRED',
+            { productIds }
+        );
+    }
+
+    /**
+     * Create BusinessLogicError for a prescription that cannot be used (not approved, expired)
+     */
+    static invalidPrescription(prescriptionId, reason) {
+        return new BusinessLogicError(
+            `Prescription ${prescriptionId} cannot be used: ${reason}`,
+            'PRESCRIPTION_INVALID',
+            { prescriptionId, reason }
+        );
+    }
+
+    /**
+     * Create BusinessLogicError for ordered items not covered by the prescription
+     */
+    static prescriptionCoverage(prescriptionId, uncoveredItems = []) {
+        return new BusinessLogicError(
+            'Prescription does not cover all prescription-only items',
+            'PRESCRIPTION_COVERAGE',
+            { prescriptionId, uncoveredItems }
+        );
+    }
+
+    /**
+     * Create BusinessLogicError for a status change not allowed by the status graph
+     */
+    static invalidStatusTransition(fromStatus, toStatus, allowedStatuses = []) {
+        return new BusinessLogicError(
+            `Cannot change status from '${fromStatus}' to '${toStatus}'`,
+            'INVALID_STATUS_TRANSITION',
+            { fromStatus, toStatus, allowedStatuses }
+        );
+    }
+
+    /**
+     * Create BusinessLogicError for a stock reservation larger than the stock on hand
+     */
+    static insufficientStock(productId, available, requested) {
+        return new BusinessLogicError(
+            `Insufficient stock for product ${productId}. Available: ${available}, Requested: ${requested}`,
+            'INSUFFICIENT_STOCK',
+            { productId, available, requested }
+        );
+    }
+
+    /**
+     * Create BusinessLogicError for a coupon code that cannot be applied
+     */
+    static invalidCoupon(code, reason) {
+        return new BusinessLogicError(
+            `Coupon code ${code} cannot be applied: ${reason}`,
+            'COUPON_INVALID',
+            { code, reason }
+        );
+    }
+
+    /**
+     * Create BusinessLogicError for a shipping method that can't deliver this order
+     */
+    static shippingUnavailable(shippingMethod, reason) {
+        return new BusinessLogicError(
+            `Shipping method ${shippingMethod} is not available: ${reason}`,
+            'SHIPPING_UNAVAILABLE',
+            { shippingMethod, reason }
+        );
+    }
 }
 
 module.exports = BusinessLogicError;
\ No newline at end of file
@@ -43,6 +43,17 @@ class ExternalServiceError extends BaseError {
             { operation, originalError: originalError?.message }
         );
     }
+
+    /**
+     * Create ExternalServiceError for payment gateway operations
+     */
+    static paymentProviderError(provider, operation, originalError = null) {
+        return new ExternalServiceError(
+            `Payment provider ${provider} failed to ${operation}`,
+            'PAYMENT_PROVIDER',
+            { provider, operation, originalError: originalError?.message }
+        );
+    }
 }
 
 module.exports = ExternalServiceError;
\ No newline at end of file
@@ -35,6 +35,76 @@ class NotFoundError extends BaseError {
     static staff(staffId = null) {
         return new NotFoundError('Staff', staffId);
     }
+
+    /**
+     * Create NotFoundError for order
+     */
+    static order(orderId = null) {
+        return new NotFoundError('Order', orderId);
+    }
+
+    /**
+     * Create NotFoundError for payment
+     */
+    static payment(paymentId = null) {
+        return new NotFoundError('Payment', paymentId);
+    }
+
+    /**
+     * Create NotFoundError for prescription
+     */
+    static prescription(prescriptionId = null) {
+        return new NotFoundError('Prescription', prescriptionId);
+    }
+
+    /**
+     * Create NotFoundError for product batch
+     */
+    static batch(batchId = null) {
+        return new NotFoundError('Product batch', batchId);
+    }
+
+    /**
+     * Create NotFoundError for supplier
+     */
+    static supplier(supplierId = null) {
+        return new NotFoundError('Supplier', supplierId);
+    }
+
+    /**
+     * Create NotFoundError for purchase order
+     */
+    static purchaseOrder(purchaseOrderId = null) {
+        return new NotFoundError('Purchase order', purchaseOrderId);
+    }
+
+    /**
+     * Create NotFoundError for a stored file
+     */
+    static file(key = null) {
+        return new NotFoundError('File', key);
+    }
+
+    /**
+     * Create NotFoundError for product import
+     */
+    static productImport(importId = null) {
+        return new NotFoundError('Product import', importId);
+    }
+
+    /**
+     * Create NotFoundError for promotion
+     */
+    static promotion(promotionId = null) {
+        return new NotFoundError('Promotion', promotionId);
+    }
+
+    /**
+     * Create NotFoundError for shipping rate
+     */
+    static shippingRate(rateId = null) {
+        return new NotFoundError('Shipping rate', rateId);
+    }
 }
 
 module.exports = NotFoundError;
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * Job - base class for scheduled background work
+ * Concrete jobs override run(); the JobScheduler handles timing, overlap and logging
+ */
+class Job {
+    /**
+     * @param {string} name - unique job name, also used to select the job from the CLI
+     * @param {number} intervalMs - how often the scheduler runs the job
+     */
+    constructor(name, intervalMs) {
+        this.name = name;
+        this.intervalMs = intervalMs;
+    }
+
+    /**
+     * Do one pass of the job's work
+     * @returns {Promise<Object>} summary of what changed, written to the log
+     */
+    async run() {
+        throw new Error(`${this.name} job does not implement run`);
+    }
+}
+
+module.exports = Job;
@@ -0,0 +1,104 @@
+const ServiceManager = require('../ServiceManager');
+
+/**
+ * JobScheduler - runs registered jobs in-process on fixed intervals
+ * A job is never started again while its previous run is still in progress,
+ * and a failing run is logged without stopping the schedule.
+ */
+class JobScheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.timers = new Map();
+        this.running = new Set();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    /**
+     * @param {Job} job
+     * @returns {JobScheduler}
+     */
+    register(job) {
+        if (this.jobs.has(job.name)) {
+            throw new Error(`Job '${job.name}' is already registered`);
+        }
+        this.jobs.set(job.name, job);
+        return this;
+    }
+
+    getJobNames() {
+        return Array.from(this.jobs.keys());
+    }
+
+    /**
+     * Run every job once now, then on its interval
+     */
+    start() {
+        for (const job of this.jobs.values()) {
+            if (this.timers.has(job.name)) continue;
+
+            this.runJob(job.name);
+
+            const timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+            // Scheduled jobs must not keep the process alive on shutdown
+            timer.unref();
+            this.timers.set(job.name, timer);
+
+            this.logger.info(`Job scheduled: ${job.name} (every ${Math.round(job.intervalMs / 60000)} min)`);
+        }
+    }
+
+    stop() {
+        for (const timer of this.timers.values()) {
+            clearInterval(timer);
+        }
+        this.timers.clear();
+    }
+
+    /**
+     * Run a single job once
+     * @param {string} name
+     * @returns {Promise<{ name: string, success: boolean, skipped?: boolean, result?: Object, error?: string }>}
+     */
+    async runJob(name) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job '${name}'. Available: ${this.getJobNames().join(', ')}`);
+        }
+
+        if (this.running.has(name)) {
+            this.logger.warn(`Job skipped: ${name} is still running`);
+            return { name, success: true, skipped: true };
+        }
+
+        this.running.add(name);
+        const startedAt = Date.now();
+
+        try {
+            const result = await job.run();
+            this.logger.info(`Job completed: ${name} in ${Date.now() - startedAt}ms`, result);
+            return { name, success: true, result };
+        } catch (error) {
+            this.logger.error(`Job failed: ${name}`, { message: error.message });
+            return { name, success: false, error: error.message };
+        } finally {
+            this.running.delete(name);
+        }
+    }
+
+    /**
+     * Run the given jobs (or all jobs) once, one after another
+     * @param {string[]} names
+     */
+    async runOnce(names = this.getJobNames()) {
+        const results = [];
+        for (const name of names) {
+            results.push(await this.runJob(name));
+        }
+        return results;
+    }
+}
+
+module.exports = JobScheduler;
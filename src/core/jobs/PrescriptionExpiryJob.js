@@ -0,0 +1,35 @@
+const Job = require('./Job');
+const Prescription = require('../../models/Prescription');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_STALE_PENDING_DAYS = 30;
+
+/**
+ * PrescriptionExpiryJob - moves prescriptions to 'expired'
+ * - approved or pending prescriptions whose expiry_date has passed
+ * - pending prescriptions not reviewed within PRESCRIPTION_STALE_PENDING_DAYS of submission
+ */
+class PrescriptionExpiryJob extends Job {
+    constructor() {
+        const intervalMinutes = parseInt(process.env.PRESCRIPTION_EXPIRY_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+        super('prescription-expiry', intervalMinutes * 60 * 1000);
+
+        this.stalePendingDays = parseInt(process.env.PRESCRIPTION_STALE_PENDING_DAYS) || DEFAULT_STALE_PENDING_DAYS;
+        this.prescriptionModel = new Prescription();
+    }
+
+    async run() {
+        const expired = await this.prescriptionModel.expireOverdue();
+        const stalePending = await this.prescriptionModel.expireStalePending(this.stalePendingDays);
+
+        return {
+            expiredCount: expired.length,
+            expiredIds: expired.map(prescription => prescription.id),
+            stalePendingCount: stalePending.length,
+            stalePendingIds: stalePending.map(prescription => prescription.id),
+            stalePendingDays: this.stalePendingDays
+        };
+    }
+}
+
+module.exports = PrescriptionExpiryJob;
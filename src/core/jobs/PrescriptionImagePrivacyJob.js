@@ -0,0 +1,31 @@
+const Job = require('./Job');
+const Prescription = require('../../models/Prescription');
+
+const INTERVAL_MINUTES = 24 * 60;
+
+/**
+ * PrescriptionImagePrivacyJob - moves prescription images uploaded before scans were private
+ * out of the public products/ prefix into prescriptions/<userId>/ and deletes the public copies.
+ * Finds nothing to do once every stored image is under prescriptions/.
+ */
+class PrescriptionImagePrivacyJob extends Job {
+    constructor() {
+        super('prescription-image-privacy', INTERVAL_MINUTES * 60 * 1000);
+
+        this.prescriptionModel = new Prescription();
+    }
+
+    async run() {
+        const { moved, failed } = await this.prescriptionModel.movePublicImagesToPrivate();
+
+        return {
+            movedCount: moved.length,
+            movedIds: moved.map(prescription => prescription.id),
+            imageCount: moved.reduce((total, prescription) => total + prescription.imageCount, 0),
+            failedCount: failed.length,
+            failedIds: failed
+        };
+    }
+}
+
+module.exports = PrescriptionImagePrivacyJob;
@@ -0,0 +1,27 @@
+/**
+ * Jobs index - centralized export and registration of scheduled jobs
+ * Started in-process by App (disable with JOBS_ENABLED=false) or run once with `npm run jobs`
+ */
+
+const Job = require('./Job');
+const JobScheduler = require('./JobScheduler');
+const PrescriptionExpiryJob = require('./PrescriptionExpiryJob');
+const PrescriptionImagePrivacyJob = require('./PrescriptionImagePrivacyJob');
+
+/**
+ * Create a scheduler with every job registered
+ * @returns {JobScheduler}
+ */
+function createJobScheduler() {
+    return new JobScheduler()
+        .register(new PrescriptionExpiryJob())
+        .register(new PrescriptionImagePrivacyJob());
+}
+
+module.exports = {
+    Job,
+    JobScheduler,
+    PrescriptionExpiryJob,
+    PrescriptionImagePrivacyJob,
+    createJobScheduler
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+// The mock gateway captures every payment, so it must never run outside these environments
+const ALLOWED_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * MockPaymentProvider - offline gateway for development and testing
+ * Every confirmation succeeds; use the fail endpoint to simulate a declined payment
+ */
+class MockPaymentProvider extends PaymentProvider {
+    constructor() {
+        if (!ALLOWED_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+            throw new Error(
+                `Mock payment provider is only available when NODE_ENV is ${ALLOWED_ENVIRONMENTS.join(' or ')} ` +
+                `(current: '${process.env.NODE_ENV || 'unset'}'). Configure a real PAYMENT_PROVIDER.`
+            );
+        }
+
+        super('mock', ['bank_transfer', 'credit_card', 'e_wallet']);
+    }
+
+    async createPayment({ paymentId, orderId, amount, currency, paymentMethod }) {
+        const providerReference = `MOCK-${orderId}-${paymentId}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+        const instructions = {
+            bank_transfer: {
+                bankName: 'Mock Bank',
+                accountNumber: '0000000000',
+                accountName: 'PHARMACY MOCK ACCOUNT',
+                transferContent: providerReference,
+                amount,
+                currency
+            },
+            credit_card: {
+                checkoutUrl: `/payments/mock/checkout/${providerReference}`,
+                amount,
+                currency
+            },
+            e_wallet: {
+                qrPayload: `mockwallet://pay?ref=${providerReference}&amount=${amount}&currency=${currency}`,
+                amount,
+                currency
+            }
+        };
+
+        return {
+            providerReference,
+            instructions: instructions[paymentMethod] || { amount, currency }
+        };
+    }
+
+    async confirmPayment({ providerReference }) {
+        return { status: 'captured' };
+    }
+
+    async refundPayment({ providerReference, amount }) {
+        return {
+            status: 'completed',
+            providerReference: `${providerReference}-R${crypto.randomBytes(3).toString('hex').toUpperCase()}`
+        };
+    }
+}
+
+module.exports = MockPaymentProvider;
@@ -0,0 +1,49 @@
+/**
+ * PaymentProvider - base class for payment gateway integrations
+ * Concrete providers override the methods below; the Payment model only talks to this interface
+ */
+class PaymentProvider {
+    constructor(name, supportedMethods = []) {
+        this.name = name;
+        this.supportedMethods = supportedMethods;
+    }
+
+    /**
+     * Check whether this provider can process the given order payment method
+     * @param {string} paymentMethod
+     * @returns {boolean}
+     */
+    supports(paymentMethod) {
+        return this.supportedMethods.includes(paymentMethod);
+    }
+
+    /**
+     * Register a payment with the gateway
+     * @param {Object} payment - { paymentId, orderId, amount, currency, paymentMethod }
+     * @returns {Promise<{ providerReference: string, instructions: Object }>}
+     */
+    async createPayment(payment) {
+        throw new Error(`${this.name} provider does not implement createPayment`);
+    }
+
+    /**
+     * Verify a payment with the gateway once the customer has completed it
+     * The outcome must come from the gateway itself, never from data supplied by the customer
+     * @param {Object} payment - { providerReference, amount }
+     * @returns {Promise<{ status: 'captured'|'failed', failureReason?: string }>}
+     */
+    async confirmPayment(payment) {
+        throw new Error(`${this.name} provider does not implement confirmPayment`);
+    }
+
+    /**
+     * Return all or part of a captured payment to the customer
+     * @param {Object} refund - { providerReference, amount, currency, reason }
+     * @returns {Promise<{ status: 'completed'|'failed', providerReference?: string, failureReason?: string }>}
+     */
+    async refundPayment(refund) {
+        throw new Error(`${this.name} provider does not implement refundPayment`);
+    }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,32 @@
+/**
+ * Payment providers index - centralized export and lookup for payment gateways
+ * Select the active provider with the PAYMENT_PROVIDER environment variable (default: mock)
+ * The mock provider refuses to be created unless NODE_ENV is development or test; models look the
+ * provider up per request, so that refusal fails the payment or refund rather than server startup
+ */
+
+const PaymentProvider = require('./PaymentProvider');
+const MockPaymentProvider = require('./MockPaymentProvider');
+
+const providers = {
+    mock: MockPaymentProvider
+};
+
+/**
+ * Create the configured payment provider instance
+ * @param {string} name - provider name, defaults to PAYMENT_PROVIDER or 'mock'
+ * @returns {PaymentProvider}
+ */
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+    const Provider = providers[name];
+    if (!Provider) {
+        throw new Error(`Unknown payment provider '${name}'. Available: ${Object.keys(providers).join(', ')}`);
+    }
+    return new Provider();
+}
+
+module.exports = {
+    PaymentProvider,
+    MockPaymentProvider,
+    createPaymentProvider
+};
@@ -0,0 +1,227 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const StorageDriver = require('./StorageDriver');
+const Logger = require('../Logger');
+
+/**
+ * LocalStorageDriver - keeps files on local disk for development and tests
+ * Public and private files live in separate directories under STORAGE_LOCAL_ROOT and are
+ * served by the /files route. Private files need an HMAC-signed, expiring URL, mirroring S3 presigning.
+ */
+class LocalStorageDriver extends StorageDriver {
+    constructor() {
+        super('local');
+        this.logger = new Logger();
+
+        this.rootDir = path.resolve(process.env.STORAGE_LOCAL_ROOT || 'storage');
+        this.baseUrl = `${process.env.STORAGE_PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`}/files`;
+        this.signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.SESSION_SECRET;
+
+        // There is no fallback secret: a well-known one would let anyone forge signed URLs for private
+        // files. Without a secret public files still work; only signing and serving private files fail.
+        if (!this.signingSecret) {
+            this.logger.warn('LocalStorageDriver has no STORAGE_SIGNING_SECRET or SESSION_SECRET; private files are unavailable');
+        }
+
+        this.logger.info(`LocalStorageDriver initialized - Root: ${this.rootDir}`);
+    }
+
+    // Resolve a key inside the visibility directory, refusing anything that escapes it
+    resolvePath(visibility, key) {
+        const baseDir = path.join(this.rootDir, visibility);
+        const filePath = path.resolve(baseDir, key);
+
+        if (!filePath.startsWith(baseDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+
+        return filePath;
+    }
+
+    async writeFile(visibility, key, buffer) {
+        const filePath = this.resolvePath(visibility, key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+    }
+
+    async uploadImage(file, productId) {
+        try {
+            if (!file) {
+                throw new Error('No file provided');
+            }
+
+            const key = this.generateKey(`products/${productId}`, file.originalname);
+            await this.writeFile('public', key, file.buffer);
+
+            const url = `${this.baseUrl}/${key}`;
+            this.logger.info(`Image stored locally: ${url}`);
+
+            return {
+                success: true,
+                url,
+                key
+            };
+        } catch (error) {
+            this.logger.error('Local upload error:', error);
+            throw new Error(`Failed to upload image: ${error.message}`);
+        }
+    }
+
+    async uploadPrivateFile(file, keyPrefix) {
+        try {
+            if (!file) {
+                throw new Error('No file provided');
+            }
+
+            const key = this.generateKey(keyPrefix, file.originalname);
+            await this.writeFile('private', key, file.buffer);
+
+            this.logger.info(`Private file stored locally: ${key}`);
+
+            return {
+                success: true,
+                key
+            };
+        } catch (error) {
+            this.logger.error('Local private upload error:', error);
+            throw new Error(`Failed to upload file: ${error.message}`);
+        }
+    }
+
+    async copyToPrivate(sourceKey, targetKey) {
+        try {
+            let buffer = null;
+            for (const visibility of ['public', 'private']) {
+                try {
+                    buffer = await fs.readFile(this.resolvePath(visibility, sourceKey));
+                    break;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            }
+
+            if (!buffer) {
+                throw new Error(`File not found: ${sourceKey}`);
+            }
+
+            await this.writeFile('private', targetKey, buffer);
+
+            this.logger.info(`Local file copied to private key: ${sourceKey} -> ${targetKey}`);
+
+            return {
+                success: true,
+                key: targetKey
+            };
+        } catch (error) {
+            this.logger.error(`Local copy error for key ${sourceKey}:`, error);
+            throw new Error(`Failed to copy file: ${error.message}`);
+        }
+    }
+
+    async deleteImage(key) {
+        try {
+            if (!key) {
+                throw new Error('Image key is required');
+            }
+
+            let deleted = false;
+            for (const visibility of ['public', 'private']) {
+                try {
+                    await fs.unlink(this.resolvePath(visibility, key));
+                    deleted = true;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            }
+
+            if (!deleted) {
+                throw new Error(`File not found: ${key}`);
+            }
+
+            this.logger.info(`Local file deleted: ${key}`);
+
+            return {
+                success: true,
+                message: 'Image deleted successfully'
+            };
+        } catch (error) {
+            this.logger.error(`Local delete error for key ${key}:`, error);
+            throw new Error(`Failed to delete image: ${error.message}`);
+        }
+    }
+
+    sign(key, expires) {
+        if (!this.signingSecret) {
+            throw new Error('STORAGE_SIGNING_SECRET or SESSION_SECRET environment variable is required to sign private file URLs');
+        }
+        return crypto.createHmac('sha256', this.signingSecret).update(`${key}:${expires}`).digest('hex');
+    }
+
+    async getSignedUrl(key, expiresIn = 3600) {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+        return {
+            success: true,
+            signedUrl: `${this.baseUrl}/${encodedKey}?expires=${expires}&signature=${this.sign(key, expires)}`
+        };
+    }
+
+    verifySignature(key, expires, signature) {
+        const expiresAt = parseInt(expires);
+        if (!this.signingSecret || !expiresAt || expiresAt < Math.floor(Date.now() / 1000) || typeof signature !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.sign(key, expiresAt), 'hex');
+        const provided = Buffer.from(signature, 'hex');
+
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    }
+
+    /**
+     * Find the file to serve for a /files request. Private files are only returned for a
+     * valid signature; public files are returned to anyone.
+     * @returns {Promise<{ filePath: string, visibility: string }|null>}
+     */
+    async resolveFile(key, { expires, signature } = {}) {
+        const visibilities = this.verifySignature(key, expires, signature) ? ['private', 'public'] : ['public'];
+
+        for (const visibility of visibilities) {
+            const filePath = this.resolvePath(visibility, key);
+            try {
+                const stats = await fs.stat(filePath);
+                if (stats.isFile()) {
+                    return { filePath, visibility };
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+
+        return null;
+    }
+
+    extractKeyFromUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            const prefix = new URL(this.baseUrl).pathname + '/';
+
+            if (!urlObj.pathname.startsWith(prefix)) {
+                return null;
+            }
+
+            return decodeURIComponent(urlObj.pathname.substring(prefix.length));
+        } catch (error) {
+            this.logger.error('URL parsing error:', error);
+            return null;
+        }
+    }
+
+    ownsUrl(url) {
+        return typeof url === 'string' && url.startsWith(`${this.baseUrl}/`);
+    }
+}
+
+module.exports = LocalStorageDriver;
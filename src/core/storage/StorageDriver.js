@@ -0,0 +1,99 @@
+/**
+ * StorageDriver - base class for file storage backends
+ * Concrete drivers override the methods below; controllers and models only talk to this interface
+ */
+class StorageDriver {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Build a unique object key under the given prefix, keeping the file extension
+     * @param {string} keyPrefix
+     * @param {string} originalName
+     * @returns {string}
+     */
+    generateKey(keyPrefix, originalName) {
+        const fileExtension = originalName.split('.').pop();
+        return `${keyPrefix}/${Date.now()}-${Math.random().toString(36).substring(2)}.${fileExtension}`;
+    }
+
+    /**
+     * Store a publicly readable product image
+     * @param {Object} file - { buffer, mimetype, originalname }
+     * @param {string|number} productId
+     * @returns {Promise<{ success: boolean, url: string, key: string }>}
+     */
+    async uploadImage(file, productId) {
+        throw new Error(`${this.name} storage does not implement uploadImage`);
+    }
+
+    /**
+     * Store a file that is only readable through getSignedUrl
+     * @param {Object} file - { buffer, mimetype, originalname }
+     * @param {string} keyPrefix
+     * @returns {Promise<{ success: boolean, key: string }>}
+     */
+    async uploadPrivateFile(file, keyPrefix) {
+        throw new Error(`${this.name} storage does not implement uploadPrivateFile`);
+    }
+
+    /**
+     * Copy a stored object to a private key (e.g. to take a file out of a public prefix).
+     * The source is left in place; delete it once the new key has been recorded.
+     * @param {string} sourceKey
+     * @param {string} targetKey
+     * @returns {Promise<{ success: boolean, key: string }>}
+     */
+    async copyToPrivate(sourceKey, targetKey) {
+        throw new Error(`${this.name} storage does not implement copyToPrivate`);
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<{ success: boolean, message: string }>}
+     */
+    async deleteImage(key) {
+        throw new Error(`${this.name} storage does not implement deleteImage`);
+    }
+
+    /**
+     * @param {string} url - a URL previously returned by uploadImage
+     */
+    async deleteImageFromUrl(url) {
+        const key = this.extractKeyFromUrl(url);
+        if (!key) {
+            throw new Error('Could not extract image key from URL');
+        }
+        return await this.deleteImage(key);
+    }
+
+    /**
+     * Create a short-lived URL for reading a stored object
+     * @param {string} key
+     * @param {number} expiresIn - seconds
+     * @returns {Promise<{ success: boolean, signedUrl: string }>}
+     */
+    async getSignedUrl(key, expiresIn = 3600) {
+        throw new Error(`${this.name} storage does not implement getSignedUrl`);
+    }
+
+    /**
+     * @param {string} url
+     * @returns {string|null}
+     */
+    extractKeyFromUrl(url) {
+        throw new Error(`${this.name} storage does not implement extractKeyFromUrl`);
+    }
+
+    /**
+     * Whether a URL points at an object held by this storage
+     * @param {string} url
+     * @returns {boolean}
+     */
+    ownsUrl(url) {
+        throw new Error(`${this.name} storage does not implement ownsUrl`);
+    }
+}
+
+module.exports = StorageDriver;
@@ -0,0 +1,38 @@
+/**
+ * Storage index - centralized export and lookup for file storage drivers
+ * Select the driver with STORAGE_DRIVER (s3 | local). Without it, S3 is used when
+ * AWS_S3_BUCKET_NAME is set and local disk otherwise.
+ */
+
+const StorageDriver = require('./StorageDriver');
+const LocalStorageDriver = require('./LocalStorageDriver');
+const S3Service = require('../S3Service');
+
+const drivers = {
+    s3: S3Service,
+    local: LocalStorageDriver
+};
+
+function defaultDriverName() {
+    return process.env.STORAGE_DRIVER || (process.env.AWS_S3_BUCKET_NAME ? 's3' : 'local');
+}
+
+/**
+ * Create the configured storage driver instance
+ * @param {string} name - driver name, defaults to STORAGE_DRIVER
+ * @returns {StorageDriver}
+ */
+function createStorageDriver(name = defaultDriverName()) {
+    const Driver = drivers[name];
+    if (!Driver) {
+        throw new Error(`Unknown storage driver '${name}'. Available: ${Object.keys(drivers).join(', ')}`);
+    }
+    return new Driver();
+}
+
+module.exports = {
+    StorageDriver,
+    LocalStorageDriver,
+    S3Service,
+    createStorageDriver
+};
@@ -0,0 +1,40 @@
+-- Migration: Prescription dispensing and refills
+-- An item with a quantity allows quantity * (1 + refills_allowed) units in total. Units count as
+-- dispensed when a linked order is confirmed and are given back if that order is cancelled or the units are refunded.
+-- A new fill may only start refill_interval_days after the previous dispense.
+-- Orders confirmed before this migration are not backfilled.
+
+ALTER TABLE prescription_items ADD COLUMN IF NOT EXISTS dispensed_quantity INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE prescription_items ADD COLUMN IF NOT EXISTS refills_allowed INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE prescription_items ADD COLUMN IF NOT EXISTS refill_interval_days INTEGER;
+ALTER TABLE prescription_items ADD COLUMN IF NOT EXISTS last_dispensed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE prescription_items DROP CONSTRAINT IF EXISTS chk_prescription_items_dispensed_quantity;
+ALTER TABLE prescription_items DROP CONSTRAINT IF EXISTS chk_prescription_items_refills_allowed;
+ALTER TABLE prescription_items DROP CONSTRAINT IF EXISTS chk_prescription_items_refill_interval_days;
+
+ALTER TABLE prescription_items ADD CONSTRAINT chk_prescription_items_dispensed_quantity
+    CHECK (dispensed_quantity >= 0 AND (quantity IS NULL OR dispensed_quantity <= quantity * (1 + refills_allowed)));
+ALTER TABLE prescription_items ADD CONSTRAINT chk_prescription_items_refills_allowed CHECK (refills_allowed >= 0);
+ALTER TABLE prescription_items ADD CONSTRAINT chk_prescription_items_refill_interval_days
+    CHECK (refill_interval_days IS NULL OR refill_interval_days > 0);
+
+-- One row per order line drawn against a prescription item; reversed_at is set on cancellation or refund
+CREATE TABLE IF NOT EXISTS prescription_dispensings (
+    id SERIAL PRIMARY KEY,
+    prescription_item_id INTEGER NOT NULL,
+    order_id INTEGER NOT NULL,
+    order_item_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    dispensed_by INTEGER,
+    dispensed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    reversed_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT fk_prescription_dispensings_prescription_item_id FOREIGN KEY (prescription_item_id) REFERENCES prescription_items(id) ON DELETE CASCADE,
+    CONSTRAINT fk_prescription_dispensings_order_id FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    CONSTRAINT fk_prescription_dispensings_order_item_id FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    CONSTRAINT chk_prescription_dispensings_quantity CHECK (quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prescription_dispensings_prescription_item_id ON prescription_dispensings(prescription_item_id);
+CREATE INDEX IF NOT EXISTS idx_prescription_dispensings_order_id ON prescription_dispensings(order_id) WHERE reversed_at IS NULL;
@@ -0,0 +1,7 @@
+-- Migration: Pharmacist-confirmed product mapping for prescription items
+-- product_id may be set by the customer on upload; product_mapped_by/_at record a pharmacist's confirmation.
+
+ALTER TABLE prescription_items ADD COLUMN IF NOT EXISTS product_mapped_by INTEGER;
+ALTER TABLE prescription_items ADD COLUMN IF NOT EXISTS product_mapped_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_prescription_items_product_id ON prescription_items(product_id) WHERE product_id IS NOT NULL;
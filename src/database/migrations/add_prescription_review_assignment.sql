@@ -0,0 +1,16 @@
+-- Migration: Prescription review queue with pharmacist assignment
+-- Pending prescriptions are claimed by (or assigned to) a reviewer; the decision is still
+-- recorded in reviewed_by / reviewed_at / review_notes. Review SLA is measured from created_at.
+
+ALTER TABLE prescriptions ADD COLUMN IF NOT EXISTS assigned_to INTEGER;
+ALTER TABLE prescriptions ADD COLUMN IF NOT EXISTS assigned_by INTEGER;
+ALTER TABLE prescriptions ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP WITH TIME ZONE;
+
+-- Rejections must explain why (existing rows are not re-checked)
+ALTER TABLE prescriptions DROP CONSTRAINT IF EXISTS chk_prescriptions_rejection_notes;
+ALTER TABLE prescriptions ADD CONSTRAINT chk_prescriptions_rejection_notes
+    CHECK (status <> 'rejected' OR (review_notes IS NOT NULL AND LENGTH(TRIM(review_notes)) > 0)) NOT VALID;
+
+-- Review queue: pending prescriptions oldest first
+CREATE INDEX IF NOT EXISTS idx_prescriptions_review_queue ON prescriptions(created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_prescriptions_assigned_to ON prescriptions(assigned_to) WHERE status = 'pending';
@@ -0,0 +1,6 @@
+-- Migration: Product image variants
+-- Uploads are re-encoded into thumbnail, medium and large WebP renditions. image_variants is
+-- aligned by index with images (whose entry is the large URL): each element is
+-- {"thumbnail": url, "medium": url, "large": url}, or null for images uploaded before this migration.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS image_variants JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,41 @@
+-- Migration: Full-text product search
+-- products.search_vector is kept up to date by trigger and searched with the product_search
+-- text search configuration: the 'simple' parser (no stemming, so drug names match as typed)
+-- with unaccent in front, so "thuoc ho" matches "thuốc ho" and "đ" matches "d".
+-- Weights: A title/sku, B ingredients/uses, C description, D category/manufacturer.
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'product_search') THEN
+        CREATE TEXT SEARCH CONFIGURATION product_search (COPY = simple);
+        ALTER TEXT SEARCH CONFIGURATION product_search
+            ALTER MAPPING FOR hword, hword_part, word WITH unaccent, simple;
+    END IF;
+END
+$$;
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+CREATE OR REPLACE FUNCTION update_products_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector =
+        setweight(to_tsvector('product_search', COALESCE(NEW.title, '') || ' ' || COALESCE(NEW.sku, '')), 'A') ||
+        setweight(to_tsvector('product_search', COALESCE(NEW.ingredients::text, '') || ' ' || COALESCE(NEW.uses, '')), 'B') ||
+        setweight(to_tsvector('product_search', COALESCE(NEW.description, '')), 'C') ||
+        setweight(to_tsvector('product_search', COALESCE(NEW.category, '') || ' ' || COALESCE(NEW.subcategory, '') || ' ' || COALESCE(NEW.manufacturer, '')), 'D');
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_products_search_vector ON products;
+CREATE TRIGGER update_products_search_vector BEFORE INSERT OR UPDATE OF
+    title, sku, ingredients, uses, description, category, subcategory, manufacturer ON products
+    FOR EACH ROW EXECUTE FUNCTION update_products_search_vector();
+
+-- Backfill existing rows (fires the trigger)
+UPDATE products SET title = title;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
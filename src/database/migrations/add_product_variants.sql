@@ -0,0 +1,23 @@
+-- Migration: Product variants (pack sizes)
+-- A listing is a top-level product (parent_id IS NULL) and is itself its first variant. Further
+-- pack sizes are products rows with parent_id set: each has its own SKU, unit, price, stock,
+-- batches and inventory ledger, and carts/orders reference them by id like any product.
+-- Listing content (description, uses, ingredients, usage instructions, images) lives on the
+-- parent only; title, category, subcategory, manufacturer, requires_prescription and origin
+-- are copied onto variants and kept in sync so stock, order and prescription queries see them.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS parent_id INTEGER;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS variant_label VARCHAR(100);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS variant_position INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS fk_products_parent_id;
+ALTER TABLE products DROP CONSTRAINT IF EXISTS chk_products_parent_id;
+
+ALTER TABLE products ADD CONSTRAINT fk_products_parent_id
+    FOREIGN KEY (parent_id) REFERENCES products(id) ON DELETE RESTRICT;
+ALTER TABLE products ADD CONSTRAINT chk_products_parent_id CHECK (parent_id IS NULL OR parent_id <> id);
+
+CREATE INDEX IF NOT EXISTS idx_products_parent_id ON products(parent_id) WHERE parent_id IS NOT NULL;
+
+-- Which pack size was bought, alongside the existing title/SKU snapshot
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_label VARCHAR(100);
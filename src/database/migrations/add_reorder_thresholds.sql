@@ -0,0 +1,15 @@
+-- Migration: Per-product reorder thresholds and stock-driven status
+-- products.status now moves between 'active' and 'out_of_stock' automatically as stock changes;
+-- 'inactive' remains a manual hold.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_threshold INTEGER NOT NULL DEFAULT 10;
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS chk_products_reorder_threshold;
+ALTER TABLE products ADD CONSTRAINT chk_products_reorder_threshold CHECK (reorder_threshold >= 0);
+
+-- Serves the low-stock view (stock at or below threshold)
+CREATE INDEX IF NOT EXISTS idx_products_low_stock ON products(stock_quantity, reorder_threshold) WHERE status <> 'inactive';
+
+-- Bring existing statuses in line with stock on hand
+UPDATE products SET status = 'out_of_stock' WHERE status = 'active' AND stock_quantity = 0;
+UPDATE products SET status = 'active' WHERE status = 'out_of_stock' AND stock_quantity > 0;
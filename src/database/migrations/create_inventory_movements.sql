@@ -0,0 +1,50 @@
+-- Migration: Inventory ledger
+-- Every change to products.stock_quantity is recorded as a signed movement with a reason code
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL,
+    quantity_change INTEGER NOT NULL,
+    quantity_after INTEGER NOT NULL,
+    reason VARCHAR(50) NOT NULL,
+    reference_type VARCHAR(50),
+    reference_id INTEGER,
+    notes TEXT,
+    performed_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_inventory_movements_product_id FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    CONSTRAINT chk_inventory_movements_reason CHECK (reason IN (
+        'initial_stock', 'sale', 'cancellation', 'refund_restock',
+        'manual_adjustment', 'receipt', 'expiry_write_off'
+    )),
+    CONSTRAINT chk_inventory_movements_quantity_change CHECK (quantity_change <> 0),
+    CONSTRAINT chk_inventory_movements_quantity_after CHECK (quantity_after >= 0)
+);
+
+-- users and superusers have separate id sequences, so the performer's table is recorded with the id
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS performed_by_role VARCHAR(20);
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS chk_inventory_movements_performed_by_role;
+ALTER TABLE inventory_movements ADD CONSTRAINT chk_inventory_movements_performed_by_role
+    CHECK (performed_by_role IN ('user', 'superuser'));
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_product_id ON inventory_movements(product_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_reference ON inventory_movements(reference_type, reference_id);
+
+-- Stock can no longer go negative; reservations use conditional updates.
+-- Blind decrements used to allow negative stock, so clamp those rows before adding the check
+UPDATE products SET stock_quantity = 0 WHERE stock_quantity < 0;
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS chk_products_stock_quantity_non_negative;
+ALTER TABLE products ADD CONSTRAINT chk_products_stock_quantity_non_negative CHECK (stock_quantity >= 0);
+
+-- Open the ledger with the stock on hand so history always adds up to stock_quantity.
+-- Products that already have an opening balance are skipped so a rerun does not count it twice
+INSERT INTO inventory_movements (product_id, quantity_change, quantity_after, reason, notes)
+SELECT p.id, p.stock_quantity, p.stock_quantity, 'initial_stock', 'Opening balance'
+FROM products p
+WHERE p.stock_quantity > 0
+  AND NOT EXISTS (
+      SELECT 1 FROM inventory_movements im
+      WHERE im.product_id = p.id AND im.reason = 'initial_stock'
+  );
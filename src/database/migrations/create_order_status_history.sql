@@ -0,0 +1,26 @@
+-- Migration: Record every order status change with the actor who made it
+-- Transitions themselves are enforced by the Order model's status graph
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    changed_by INTEGER,
+    changed_by_role VARCHAR(50) NOT NULL DEFAULT 'system',
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_order_status_history_order_id FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    CONSTRAINT chk_order_status_history_to_status CHECK (to_status IN ('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled')),
+    CONSTRAINT chk_order_status_history_role CHECK (changed_by_role IN ('customer', 'pharmacist', 'superuser', 'system'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_created_at ON order_status_history(created_at);
+
+-- Backfill the current status of existing orders as their first history entry
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_by_role, notes, created_at)
+SELECT o.id, NULL, o.status, 'system', 'Backfilled from existing order status', o.updated_at
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id);
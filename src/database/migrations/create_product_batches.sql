@@ -0,0 +1,56 @@
+-- Migration: Batch/lot and expiry tracking
+-- products.stock_quantity stays the sellable total; product_batches breaks it down by lot and expiry.
+-- Stock added outside a batch (e.g. manual adjustments) is treated as unbatched stock.
+
+CREATE TABLE IF NOT EXISTS product_batches (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL,
+    lot_number VARCHAR(100) NOT NULL,
+    quantity_received INTEGER NOT NULL,
+    quantity_remaining INTEGER NOT NULL,
+    expiry_date DATE,
+    supplier VARCHAR(255),
+    received_by INTEGER,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_product_batches_product_id FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    CONSTRAINT uq_product_batches_product_lot UNIQUE (product_id, lot_number),
+    CONSTRAINT chk_product_batches_quantity_received CHECK (quantity_received > 0),
+    CONSTRAINT chk_product_batches_quantity_remaining CHECK (quantity_remaining >= 0)
+);
+
+-- FEFO lookups: earliest expiry first among batches with stock left
+CREATE INDEX IF NOT EXISTS idx_product_batches_fefo ON product_batches(product_id, expiry_date) WHERE quantity_remaining > 0;
+CREATE INDEX IF NOT EXISTS idx_product_batches_expiry_date ON product_batches(expiry_date) WHERE quantity_remaining > 0;
+
+DROP TRIGGER IF EXISTS update_product_batches_updated_at ON product_batches;
+CREATE TRIGGER update_product_batches_updated_at BEFORE UPDATE ON product_batches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Which batches each order line was filled from (a line may span several lots)
+CREATE TABLE IF NOT EXISTS order_item_batches (
+    id SERIAL PRIMARY KEY,
+    order_item_id INTEGER NOT NULL,
+    batch_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    returned_quantity INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_order_item_batches_order_item_id FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    CONSTRAINT fk_order_item_batches_batch_id FOREIGN KEY (batch_id) REFERENCES product_batches(id) ON DELETE RESTRICT,
+    CONSTRAINT uq_order_item_batches_item_batch UNIQUE (order_item_id, batch_id),
+    CONSTRAINT chk_order_item_batches_quantity CHECK (quantity > 0),
+    CONSTRAINT chk_order_item_batches_returned_quantity CHECK (returned_quantity >= 0 AND returned_quantity <= quantity)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_item_batches_order_item_id ON order_item_batches(order_item_id);
+CREATE INDEX IF NOT EXISTS idx_order_item_batches_batch_id ON order_item_batches(batch_id);
+
+-- Existing stock becomes one legacy batch per product, carrying the old single expiry date
+INSERT INTO product_batches (product_id, lot_number, quantity_received, quantity_remaining, expiry_date)
+SELECT id, 'LEGACY-' || id, stock_quantity, stock_quantity, expiry_date
+FROM products
+WHERE stock_quantity > 0
+ON CONFLICT (product_id, lot_number) DO NOTHING;
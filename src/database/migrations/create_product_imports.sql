@@ -0,0 +1,28 @@
+-- Migration: Bulk product imports
+-- One row per CSV/JSON catalog upload. The import runs in the background after the upload
+-- is accepted; processed_rows and the counters are updated as it goes so clients can poll.
+-- errors holds per-row validation/write failures (capped; error_count is the full total).
+
+CREATE TABLE IF NOT EXISTS product_imports (
+    id SERIAL PRIMARY KEY,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    format VARCHAR(10) NOT NULL,
+    file_name VARCHAR(255),
+    dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    processed_rows INTEGER NOT NULL DEFAULT 0,
+    created_count INTEGER NOT NULL DEFAULT 0,
+    updated_count INTEGER NOT NULL DEFAULT 0,
+    error_count INTEGER NOT NULL DEFAULT 0,
+    errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+    failure_message TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT chk_product_imports_status CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    CONSTRAINT chk_product_imports_format CHECK (format IN ('csv', 'json'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_imports_created_at ON product_imports(created_at DESC);
@@ -0,0 +1,72 @@
+-- Migration: Promotions and coupon codes
+-- A promotion without a code applies automatically to every qualifying cart/order; one with a
+-- code applies only when the customer enters it. Applied promotions are stored per order in
+-- order_discounts, which is also what usage limits count (orders that were not cancelled).
+
+-- Promotions table
+CREATE TABLE IF NOT EXISTS promotions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    code VARCHAR(50),
+    discount_type VARCHAR(20) NOT NULL,
+    discount_value DECIMAL(12, 2) NOT NULL,
+    max_discount_amount DECIMAL(12, 2),
+    scope VARCHAR(20) NOT NULL DEFAULT 'order',
+    categories TEXT[] NOT NULL DEFAULT '{}',
+    product_ids INTEGER[] NOT NULL DEFAULT '{}',
+    min_spend DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    usage_limit INTEGER,
+    usage_limit_per_user INTEGER,
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Codes are stored upper-case and matched case-insensitively
+    CONSTRAINT uq_promotions_code UNIQUE (code),
+    CONSTRAINT chk_promotions_code CHECK (code IS NULL OR code = UPPER(code)),
+    CONSTRAINT chk_promotions_discount_type CHECK (discount_type IN ('percentage', 'fixed')),
+    CONSTRAINT chk_promotions_discount_value CHECK (
+        discount_value > 0 AND (discount_type <> 'percentage' OR discount_value <= 100)
+    ),
+    CONSTRAINT chk_promotions_max_discount_amount CHECK (max_discount_amount IS NULL OR max_discount_amount > 0),
+    CONSTRAINT chk_promotions_scope CHECK (scope IN ('order', 'category', 'product')),
+    CONSTRAINT chk_promotions_min_spend CHECK (min_spend >= 0),
+    CONSTRAINT chk_promotions_usage_limit CHECK (usage_limit IS NULL OR usage_limit > 0),
+    CONSTRAINT chk_promotions_usage_limit_per_user CHECK (usage_limit_per_user IS NULL OR usage_limit_per_user > 0),
+    CONSTRAINT chk_promotions_validity CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_active ON promotions(is_active, starts_at, ends_at);
+
+-- Discount lines applied to an order
+CREATE TABLE IF NOT EXISTS order_discounts (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    promotion_id INTEGER NOT NULL,
+    code VARCHAR(50),
+    name VARCHAR(255) NOT NULL,
+    discount_type VARCHAR(20) NOT NULL,
+    discount_value DECIMAL(12, 2) NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_order_discounts_order_id FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    CONSTRAINT fk_order_discounts_promotion_id FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE RESTRICT,
+    CONSTRAINT chk_order_discounts_amount CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_discounts_order_id ON order_discounts(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_discounts_promotion_id ON order_discounts(promotion_id);
+
+-- Order totals: total_amount = subtotal - discount_amount + shipping_cost
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+-- Each line's share of the order's discounts, so partial refunds pay back what was actually charged
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+-- Coupon code entered on the cart, applied again at checkout
+ALTER TABLE carts ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
@@ -0,0 +1,66 @@
+-- Migration: Full and per-line partial refunds
+-- Refunds are recorded against the captured payment (or as manual refunds when there is none)
+
+-- Track refunded and restocked quantities per order line so nothing is refunded or restocked twice
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS refunded_quantity INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS restocked_quantity INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE order_items DROP CONSTRAINT IF EXISTS chk_order_items_refunded_quantity;
+ALTER TABLE order_items DROP CONSTRAINT IF EXISTS chk_order_items_restocked_quantity;
+
+ALTER TABLE order_items ADD CONSTRAINT chk_order_items_refunded_quantity
+    CHECK (refunded_quantity >= 0 AND refunded_quantity <= quantity);
+ALTER TABLE order_items ADD CONSTRAINT chk_order_items_restocked_quantity
+    CHECK (restocked_quantity >= 0 AND restocked_quantity <= quantity);
+
+-- Orders cancelled before this migration already had their stock restored
+UPDATE order_items oi SET restocked_quantity = oi.quantity
+FROM orders o
+WHERE oi.order_id = o.id AND o.status = 'cancelled';
+
+-- Refunds table
+-- Provider refunds are recorded as pending and settled after the recording transaction commits
+CREATE TABLE IF NOT EXISTS refunds (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    payment_id INTEGER,
+    provider VARCHAR(50) NOT NULL DEFAULT 'manual',
+    provider_reference VARCHAR(255),
+    amount DECIMAL(12, 2) NOT NULL,
+    shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    reason TEXT NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'completed',
+    failure_reason TEXT,
+    refunded_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_refunds_order_id FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    CONSTRAINT fk_refunds_payment_id FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+    CONSTRAINT chk_refunds_status CHECK (status IN ('pending', 'completed', 'failed')),
+    CONSTRAINT chk_refunds_amount CHECK (amount > 0),
+    CONSTRAINT chk_refunds_shipping_amount CHECK (shipping_amount >= 0)
+);
+
+-- Refund items table
+CREATE TABLE IF NOT EXISTS refund_items (
+    id SERIAL PRIMARY KEY,
+    refund_id INTEGER NOT NULL,
+    order_item_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    restocked BOOLEAN NOT NULL DEFAULT FALSE,
+
+    CONSTRAINT fk_refund_items_refund_id FOREIGN KEY (refund_id) REFERENCES refunds(id) ON DELETE CASCADE,
+    CONSTRAINT fk_refund_items_order_item_id FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    CONSTRAINT chk_refund_items_quantity CHECK (quantity > 0),
+    CONSTRAINT chk_refund_items_amount CHECK (amount >= 0)
+);
+
+-- Refunds tables created before pending refunds existed
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+ALTER TABLE refunds DROP CONSTRAINT IF EXISTS chk_refunds_status;
+ALTER TABLE refunds ADD CONSTRAINT chk_refunds_status CHECK (status IN ('pending', 'completed', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_refund_items_refund_id ON refund_items(refund_id);
+CREATE INDEX IF NOT EXISTS idx_refund_items_order_item_id ON refund_items(order_item_id);
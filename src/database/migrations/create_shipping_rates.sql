@@ -0,0 +1,61 @@
+-- Migration: Shipping rates and delivery estimates
+-- Shipping cost and estimated delivery date are computed server-side from this table.
+-- For an address, the most specific active rate of a method that the order qualifies for
+-- (weight limit, min_order_value) applies: district, then province, then the nationwide rate
+-- (province NULL); at the same level, the highest min_order_value reached.
+-- Provinces/districts are matched ignoring case, accents and prefixes such as "TP." or "Quận".
+
+-- Shipping weight per unit, used by weight-based rates (unset weights count as a default weight)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS weight_grams INTEGER;
+ALTER TABLE products DROP CONSTRAINT IF EXISTS chk_products_weight_grams;
+ALTER TABLE products ADD CONSTRAINT chk_products_weight_grams CHECK (weight_grams IS NULL OR weight_grams > 0);
+
+-- Shipping rates table
+CREATE TABLE IF NOT EXISTS shipping_rates (
+    id SERIAL PRIMARY KEY,
+    shipping_method VARCHAR(50) NOT NULL,
+    province VARCHAR(100),
+    district VARCHAR(100),
+    min_order_value DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    -- base_fee covers parcels up to base_weight_grams; each started kg above adds fee_per_extra_kg
+    base_fee DECIMAL(12, 2) NOT NULL,
+    base_weight_grams INTEGER NOT NULL DEFAULT 0,
+    fee_per_extra_kg DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    max_weight_grams INTEGER,
+    free_shipping_threshold DECIMAL(12, 2),
+    min_days INTEGER NOT NULL DEFAULT 0,
+    max_days INTEGER NOT NULL DEFAULT 0,
+    -- Local time after which orders are dispatched the next day (same_day rates are then unavailable)
+    cutoff_time TIME,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_shipping_rates_method CHECK (shipping_method IN ('standard', 'express', 'same_day', 'grab')),
+    CONSTRAINT chk_shipping_rates_district CHECK (district IS NULL OR province IS NOT NULL),
+    CONSTRAINT chk_shipping_rates_fees CHECK (base_fee >= 0 AND fee_per_extra_kg >= 0 AND min_order_value >= 0),
+    CONSTRAINT chk_shipping_rates_weights CHECK (
+        base_weight_grams >= 0 AND (max_weight_grams IS NULL OR max_weight_grams > 0)
+    ),
+    CONSTRAINT chk_shipping_rates_free_shipping_threshold CHECK (free_shipping_threshold IS NULL OR free_shipping_threshold >= 0),
+    CONSTRAINT chk_shipping_rates_days CHECK (min_days >= 0 AND max_days >= min_days)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_rates_method ON shipping_rates(shipping_method) WHERE is_active;
+
+DROP TRIGGER IF EXISTS update_shipping_rates_updated_at ON shipping_rates;
+CREATE TRIGGER update_shipping_rates_updated_at BEFORE UPDATE ON shipping_rates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Nationwide rates matching the previous flat fees (VND), for methods that have none yet
+INSERT INTO shipping_rates (shipping_method, base_fee, base_weight_grams, fee_per_extra_kg, min_days, max_days, cutoff_time)
+SELECT seed.shipping_method, seed.base_fee, seed.base_weight_grams, seed.fee_per_extra_kg, seed.min_days, seed.max_days, seed.cutoff_time
+FROM (VALUES
+    ('standard', 30000, 2000, 5000, 3, 5, NULL::TIME),
+    ('express', 50000, 2000, 10000, 1, 2, NULL::TIME),
+    ('same_day', 70000, 2000, 15000, 0, 0, '14:00'::TIME)
+) AS seed (shipping_method, base_fee, base_weight_grams, fee_per_extra_kg, min_days, max_days, cutoff_time)
+WHERE NOT EXISTS (
+    SELECT 1 FROM shipping_rates sr
+    WHERE sr.shipping_method = seed.shipping_method AND sr.province IS NULL
+);
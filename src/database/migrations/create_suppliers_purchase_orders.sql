@@ -0,0 +1,82 @@
+-- Migration: Suppliers and purchase orders
+-- Received purchase-order lines are posted into stock as product batches (reason 'receipt' in inventory_movements)
+
+-- Suppliers table
+CREATE TABLE IF NOT EXISTS suppliers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    contact_name VARCHAR(255),
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    address TEXT,
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT uq_suppliers_name UNIQUE (name)
+);
+
+-- Purchase orders table
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id SERIAL PRIMARY KEY,
+    supplier_id INTEGER NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'draft',
+    supplier_reference VARCHAR(100),
+    expected_date DATE,
+    notes TEXT,
+    total_cost DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    created_by INTEGER,
+    ordered_by INTEGER,
+    ordered_at TIMESTAMP WITH TIME ZONE,
+    received_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_purchase_orders_supplier_id FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE RESTRICT,
+    CONSTRAINT chk_purchase_orders_status CHECK (status IN ('draft', 'ordered', 'partially_received', 'received')),
+    CONSTRAINT chk_purchase_orders_total_cost CHECK (total_cost >= 0)
+);
+
+-- Purchase order items table
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+    id SERIAL PRIMARY KEY,
+    purchase_order_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    quantity_ordered INTEGER NOT NULL,
+    quantity_received INTEGER NOT NULL DEFAULT 0,
+    unit_cost DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_purchase_order_items_purchase_order_id FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    CONSTRAINT fk_purchase_order_items_product_id FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT,
+    CONSTRAINT uq_purchase_order_items_order_product UNIQUE (purchase_order_id, product_id),
+    CONSTRAINT chk_purchase_order_items_quantity_ordered CHECK (quantity_ordered > 0),
+    CONSTRAINT chk_purchase_order_items_quantity_received CHECK (quantity_received >= 0 AND quantity_received <= quantity_ordered),
+    CONSTRAINT chk_purchase_order_items_unit_cost CHECK (unit_cost >= 0)
+);
+
+-- Link received batches back to their supplier and purchase order
+ALTER TABLE product_batches ADD COLUMN IF NOT EXISTS supplier_id INTEGER;
+ALTER TABLE product_batches ADD COLUMN IF NOT EXISTS purchase_order_id INTEGER;
+
+ALTER TABLE product_batches DROP CONSTRAINT IF EXISTS fk_product_batches_supplier_id;
+ALTER TABLE product_batches DROP CONSTRAINT IF EXISTS fk_product_batches_purchase_order_id;
+
+ALTER TABLE product_batches ADD CONSTRAINT fk_product_batches_supplier_id
+    FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE SET NULL;
+ALTER TABLE product_batches ADD CONSTRAINT fk_product_batches_purchase_order_id
+    FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier_id ON purchase_orders(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders(status);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_items_purchase_order_id ON purchase_order_items(purchase_order_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_items_product_id ON purchase_order_items(product_id);
+
+DROP TRIGGER IF EXISTS update_suppliers_updated_at ON suppliers;
+CREATE TRIGGER update_suppliers_updated_at BEFORE UPDATE ON suppliers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_purchase_orders_updated_at ON purchase_orders;
+CREATE TRIGGER update_purchase_orders_updated_at BEFORE UPDATE ON purchase_orders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
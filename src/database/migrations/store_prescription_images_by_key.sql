@@ -0,0 +1,29 @@
+-- Migration: Private prescription images
+-- prescriptions.images now holds S3 object keys; URLs are presigned per request after an access check.
+-- Rewrite stored S3 URLs to their keys, in both shapes:
+--   virtual-hosted: https://<bucket>.s3.<region>.amazonaws.com/<key> (also <bucket>.s3.localhost.localstack.cloud)
+--   path-style:     https://s3.<region>.amazonaws.com/<bucket>/<key>, http://localhost:4566/<bucket>/<key> (LocalStack)
+-- Anything left as a URL is still resolved to a key by the application.
+--
+-- New uploads go under prescriptions/<userId>/, which must stay outside the bucket's public-read policy.
+-- Objects uploaded before this change live under products/prescriptions/ and are publicly readable.
+-- After this migration, run `npm run jobs prescription-image-privacy` to copy them to private keys
+-- under prescriptions/<userId>/ and delete the public originals (the scheduler also runs it daily).
+
+UPDATE prescriptions
+SET images = (
+    SELECT COALESCE(jsonb_agg(
+        CASE
+            WHEN image ~ '^https?://[^/]+\.s3[.-][^/]*/' THEN regexp_replace(image, '^https?://[^/]+/', '')
+            WHEN image ~ '^https?://' THEN regexp_replace(image, '^https?://[^/]+/[^/]+/', '')
+            ELSE image
+        END
+        ORDER BY position
+    ), '[]'::jsonb)
+    FROM jsonb_array_elements_text(images) WITH ORDINALITY AS stored(image, position)
+)
+WHERE jsonb_typeof(images) = 'array'
+    AND EXISTS (
+        SELECT 1 FROM jsonb_array_elements_text(images) AS stored(image)
+        WHERE image ~ '^https?://'
+    );
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+
+/**
+ * Run scheduled jobs once and exit (for cron or manual use)
+ *
+ * Usage: node src/jobs.js [job-name ...]
+ * With no names every registered job is run. Exits non-zero if any job fails.
+ */
+
+require('dotenv').config();
+const { createJobScheduler } = require('./core/jobs');
+
+async function main() {
+    const scheduler = createJobScheduler();
+    const names = process.argv.slice(2);
+
+    const results = await scheduler.runOnce(names.length > 0 ? names : undefined);
+
+    return results.every(result => result.success) ? 0 : 1;
+}
+
+// Exit explicitly: models keep their own connection pools open
+main()
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,223 @@
+const Database = require('../core/Database');
+const ServiceManager = require('../core/ServiceManager');
+const { ValidationError } = require('../core/errors');
+
+class Cart {
+    constructor() {
+        this.db = new Database();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    async getOrCreateCartId(userId, client = null) {
+        const executor = client || this.db;
+
+        const { rows: carts } = await executor.query(
+            `INSERT INTO carts (user_id) VALUES ($1)
+            ON CONFLICT (user_id) DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+            RETURNING id`,
+            [userId]
+        );
+
+        return carts[0].id;
+    }
+
+    async getItems(userId) {
+        try {
+            if (!userId) {
+                throw ValidationError.missingFields(['userId']);
+            }
+
+            const { rows: items } = await this.db.query(
+                `SELECT ci.product_id, ci.quantity, ci.added_at, ci.updated_at, p.parent_id, p.variant_label
+                FROM cart_items ci
+                JOIN carts c ON ci.cart_id = c.id
+                LEFT JOIN products p ON ci.product_id = p.id
+                WHERE c.user_id = $1
+                ORDER BY ci.added_at, ci.id`,
+                [userId]
+            );
+
+            const { rows: carts } = await this.db.query(
+                'SELECT coupon_code FROM carts WHERE user_id = $1',
+                [userId]
+            );
+
+            return {
+                couponCode: carts.length > 0 ? carts[0].coupon_code : null,
+                items: items.map(item => ({
+                    id: item.product_id,
+                    quantity: item.quantity,
+                    parentId: item.parent_id,
+                    variantLabel: item.variant_label,
+                    addedAt: item.added_at,
+                    updatedAt: item.updated_at
+                }))
+            };
+
+        } catch (error) {
+            this.logger.error('Get cart items error:', error);
+            throw error;
+        }
+    }
+
+    async addItem(userId, productId, quantity) {
+        try {
+            const cartId = await this.getOrCreateCartId(userId);
+
+            await this.db.query(
+                `INSERT INTO cart_items (cart_id, product_id, quantity)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (cart_id, product_id) DO UPDATE SET
+                    quantity = cart_items.quantity + EXCLUDED.quantity,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [cartId, productId, quantity]
+            );
+
+        } catch (error) {
+            this.logger.error('Add cart item error:', error);
+            throw error;
+        }
+    }
+
+    async setItemQuantity(userId, productId, quantity) {
+        try {
+            if (quantity <= 0) {
+                return await this.removeItem(userId, productId);
+            }
+
+            const { rowCount } = await this.db.query(
+                `UPDATE cart_items SET quantity = $1, updated_at = CURRENT_TIMESTAMP
+                WHERE product_id = $2 AND cart_id = (SELECT id FROM carts WHERE user_id = $3)`,
+                [quantity, productId, userId]
+            );
+
+            return rowCount > 0;
+
+        } catch (error) {
+            this.logger.error('Set cart item quantity error:', error);
+            throw error;
+        }
+    }
+
+    async removeItem(userId, productId) {
+        try {
+            const { rowCount } = await this.db.query(
+                `DELETE FROM cart_items
+                WHERE product_id = $1 AND cart_id = (SELECT id FROM carts WHERE user_id = $2)`,
+                [productId, userId]
+            );
+
+            return rowCount > 0;
+
+        } catch (error) {
+            this.logger.error('Remove cart item error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remember the coupon entered on the cart (null removes it)
+     */
+    async setCouponCode(userId, couponCode) {
+        try {
+            await this.getOrCreateCartId(userId);
+
+            await this.db.query(
+                'UPDATE carts SET coupon_code = $1, updated_at = CURRENT_TIMESTAMP WHERE user_id = $2',
+                [couponCode, userId]
+            );
+
+        } catch (error) {
+            this.logger.error('Set cart coupon code error:', error);
+            throw error;
+        }
+    }
+
+    async clear(userId) {
+        try {
+            await this.db.query(
+                'DELETE FROM cart_items WHERE cart_id = (SELECT id FROM carts WHERE user_id = $1)',
+                [userId]
+            );
+
+            await this.db.query(
+                'UPDATE carts SET coupon_code = NULL WHERE user_id = $1',
+                [userId]
+            );
+
+        } catch (error) {
+            this.logger.error('Clear cart error:', error);
+            throw error;
+        }
+    }
+
+    // Merge items into the persisted cart, keeping the higher quantity for duplicates
+    async mergeItems(userId, items) {
+        const client = await this.db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            const cartId = await this.getOrCreateCartId(userId, client);
+
+            for (const item of items) {
+                const productId = parseInt(item.id);
+                const quantity = parseInt(item.quantity);
+                if (!productId || !quantity || quantity <= 0) continue;
+
+                // Skip products that no longer exist rather than failing the whole merge
+                await client.query(
+                    `INSERT INTO cart_items (cart_id, product_id, quantity, added_at)
+                    SELECT $1, p.id, $3, COALESCE($4::timestamptz, CURRENT_TIMESTAMP)
+                    FROM products p WHERE p.id = $2
+                    ON CONFLICT (cart_id, product_id) DO UPDATE SET
+                        quantity = GREATEST(cart_items.quantity, EXCLUDED.quantity),
+                        updated_at = CURRENT_TIMESTAMP`,
+                    [cartId, productId, quantity, this.parseAddedAt(item.addedAt)]
+                );
+            }
+
+            await client.query('COMMIT');
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            this.logger.error('Merge cart items error:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Client-supplied added-at time: an ISO 8601 date in the past, otherwise null (added now)
+    parseAddedAt(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) {
+            return null;
+        }
+
+        const addedAt = new Date(value);
+        if (Number.isNaN(addedAt.getTime()) || addedAt > new Date()) {
+            return null;
+        }
+
+        return addedAt.toISOString();
+    }
+
+    // Move a legacy express-session cart blob into the persisted cart
+    async mergeSessionCart(userId, session) {
+        if (!session.cart || !Array.isArray(session.cart.items)) {
+            return;
+        }
+
+        if (session.cart.items.length > 0) {
+            await this.mergeItems(userId, session.cart.items);
+            this.logger.info(`Session cart merged into persisted cart - User: ${userId}, Items: ${session.cart.items.length}`);
+        }
+
+        delete session.cart;
+    }
+}
+
+module.exports = Cart;
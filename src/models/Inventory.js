@@ -0,0 +1,410 @@
+const Database = require('../core/Database');
+const ServiceManager = require('../core/ServiceManager');
+const {
+    ValidationError,
+    NotFoundError,
+    BusinessLogicError
+} = require('../core/errors');
+
+// Reason codes accepted by chk_inventory_movements_reason
+const MOVEMENT_REASONS = [
+    'initial_stock',
+    'sale',
+    'cancellation',
+    'refund_restock',
+    'manual_adjustment',
+    'receipt',
+    'expiry_write_off'
+];
+
+// Reasons staff may record by hand; the rest are written by orders, refunds and receiving
+const MANUAL_REASONS = ['manual_adjustment', 'expiry_write_off'];
+
+class Inventory {
+    constructor() {
+        this.db = new Database();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    /**
+     * Apply a signed stock change inside a caller-owned transaction and record it in the ledger.
+     * Decrements are conditional so stock can never be oversold, even under concurrent checkouts.
+     */
+    async adjustStock(client, productId, quantityChange, reason, options = {}) {
+        const { referenceType = null, referenceId = null, notes = null, performedBy = null } = options;
+
+        if (!MOVEMENT_REASONS.includes(reason)) {
+            throw ValidationError.invalidEnum('reason', reason, MOVEMENT_REASONS);
+        }
+
+        if (!Number.isInteger(quantityChange) || quantityChange === 0) {
+            throw ValidationError.invalidFormat('quantityChange', 'non-zero integer');
+        }
+
+        // Status follows stock: active <-> out_of_stock; inactive products are left alone
+        const { rows: updated } = await client.query(
+            `UPDATE products SET
+                stock_quantity = stock_quantity + $1,
+                status = CASE
+                    WHEN status = 'active' AND stock_quantity + $1 = 0 THEN 'out_of_stock'
+                    WHEN status = 'out_of_stock' AND stock_quantity + $1 > 0 THEN 'active'
+                    ELSE status
+                END
+            WHERE id = $2 AND stock_quantity + $1 >= 0
+            RETURNING stock_quantity, status`,
+            [quantityChange, productId]
+        );
+
+        if (updated.length === 0) {
+            const { rows: product } = await client.query(
+                'SELECT stock_quantity FROM products WHERE id = $1',
+                [productId]
+            );
+
+            if (product.length === 0) {
+                throw NotFoundError.product(productId);
+            }
+
+            throw BusinessLogicError.insufficientStock(productId, product[0].stock_quantity, -quantityChange);
+        }
+
+        const quantityAfter = updated[0].stock_quantity;
+
+        // Session ids are resolved the same way the controllers do: superusers first, then users
+        let performedByRole = null;
+        if (performedBy) {
+            const { rows: superuser } = await client.query(
+                'SELECT user_id FROM superusers WHERE user_id = $1',
+                [performedBy]
+            );
+            performedByRole = superuser.length > 0 ? 'superuser' : 'user';
+        }
+
+        await client.query(
+            `INSERT INTO inventory_movements (
+                product_id, quantity_change, quantity_after, reason, reference_type, reference_id, notes,
+                performed_by, performed_by_role
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [productId, quantityChange, quantityAfter, reason, referenceType, referenceId, notes, performedBy, performedByRole]
+        );
+
+        return quantityAfter;
+    }
+
+    // Same rule as adjustStock, for when status or stock was written directly
+    async syncStockStatus(client, productId) {
+        await client.query(
+            `UPDATE products SET status = CASE
+                WHEN status = 'active' AND stock_quantity = 0 THEN 'out_of_stock'
+                WHEN status = 'out_of_stock' AND stock_quantity > 0 THEN 'active'
+                ELSE status
+            END
+            WHERE id = $1`,
+            [productId]
+        );
+    }
+
+    /**
+     * Keep products.expiry_date pointing at the earliest sellable lot, for products tracked in batches.
+     */
+    async refreshProductExpiry(client, productId) {
+        await client.query(
+            `UPDATE products SET expiry_date = (
+                SELECT MIN(expiry_date) FROM product_batches
+                WHERE product_id = $1 AND quantity_remaining > 0 AND expiry_date >= CURRENT_DATE
+            )
+            WHERE id = $1 AND EXISTS (SELECT 1 FROM product_batches WHERE product_id = $1)`,
+            [productId]
+        );
+    }
+
+    /**
+     * Take a decrease that names no lot out of the product's batches first-expiry-first-out, so the
+     * lots never hold more than stock_quantity. Run inside the transaction that applied the decrease.
+     */
+    async drawFromBatches(client, productId, quantity) {
+        const { rows: batches } = await client.query(
+            `SELECT id, quantity_remaining FROM product_batches
+            WHERE product_id = $1 AND quantity_remaining > 0
+            ORDER BY expiry_date ASC NULLS LAST, received_at ASC, id ASC
+            FOR UPDATE`,
+            [productId]
+        );
+
+        let outstanding = quantity;
+
+        for (const batch of batches) {
+            if (outstanding === 0) break;
+
+            const take = Math.min(batch.quantity_remaining, outstanding);
+            await client.query(
+                'UPDATE product_batches SET quantity_remaining = quantity_remaining - $1 WHERE id = $2',
+                [take, batch.id]
+            );
+            outstanding -= take;
+        }
+
+        if (batches.length > 0) {
+            await this.refreshProductExpiry(client, productId);
+        }
+    }
+
+    async recordAdjustment(productId, adjustmentData = {}, performedBy = null) {
+        try {
+            const { quantityChange, reason = 'manual_adjustment', notes, batchId = null } = adjustmentData;
+
+            if (!MANUAL_REASONS.includes(reason)) {
+                throw ValidationError.invalidEnum('reason', reason, MANUAL_REASONS);
+            }
+
+            if (!Number.isInteger(quantityChange) || quantityChange === 0) {
+                throw ValidationError.invalidFormat('quantityChange', 'non-zero integer');
+            }
+
+            if (reason === 'expiry_write_off' && quantityChange > 0) {
+                throw BusinessLogicError.invalidOperation('record expiry write-off', 'Write-offs must reduce stock');
+            }
+
+            // A write-off is always against a specific lot
+            if (reason === 'expiry_write_off' && !batchId) {
+                throw ValidationError.missingFields(['batchId']);
+            }
+
+            if (!notes || String(notes).trim() === '') {
+                throw ValidationError.missingFields(['notes']);
+            }
+
+            const client = await this.db.getClient();
+
+            try {
+                await client.query('BEGIN');
+
+                if (batchId) {
+                    const { rows: batches } = await client.query(
+                        `UPDATE product_batches SET quantity_remaining = quantity_remaining + $1
+                        WHERE id = $2 AND product_id = $3 AND quantity_remaining + $1 >= 0
+                        RETURNING id`,
+                        [quantityChange, batchId, productId]
+                    );
+
+                    if (batches.length === 0) {
+                        const { rows: batch } = await client.query(
+                            'SELECT quantity_remaining FROM product_batches WHERE id = $1 AND product_id = $2',
+                            [batchId, productId]
+                        );
+
+                        if (batch.length === 0) {
+                            throw NotFoundError.batch(batchId);
+                        }
+
+                        throw BusinessLogicError.insufficientStock(parseInt(productId), batch[0].quantity_remaining, -quantityChange);
+                    }
+                }
+
+                const quantityAfter = await this.adjustStock(client, productId, quantityChange, reason, {
+                    referenceType: batchId ? 'batch' : 'manual',
+                    referenceId: batchId ? parseInt(batchId) : null,
+                    notes,
+                    performedBy
+                });
+
+                if (batchId) {
+                    await this.refreshProductExpiry(client, productId);
+                } else if (quantityChange < 0) {
+                    await this.drawFromBatches(client, productId, -quantityChange);
+                }
+
+                await client.query('COMMIT');
+
+                this.logger.info(`Stock adjusted - Product: ${productId}, Change: ${quantityChange}, Reason: ${reason}, By: ${performedBy}`);
+
+                return {
+                    success: true,
+                    message: 'Stock adjusted successfully',
+                    data: {
+                        productId: parseInt(productId),
+                        quantityChange,
+                        stockQuantity: quantityAfter,
+                        batchId: batchId ? parseInt(batchId) : null,
+                        reason,
+                        notes
+                    }
+                };
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+        } catch (error) {
+            this.logger.error('Record stock adjustment error:', error);
+            throw error;
+        }
+    }
+
+    async listLowStock(filters = {}) {
+        try {
+            const page = Math.max(parseInt(filters.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 200);
+            const offset = (page - 1) * limit;
+
+            let whereClause = `WHERE p.status <> 'inactive' AND p.stock_quantity <= p.reorder_threshold`;
+            const queryParams = [];
+
+            if (filters.category) {
+                queryParams.push(filters.category);
+                whereClause += ` AND p.category = $${queryParams.length}`;
+            }
+
+            if (filters.outOfStockOnly === 'true' || filters.outOfStockOnly === true) {
+                whereClause += ' AND p.stock_quantity = 0';
+            }
+
+            const { rows: countResult } = await this.db.query(
+                `SELECT COUNT(*) AS total FROM products p ${whereClause}`,
+                queryParams
+            );
+
+            // Out-of-stock first, then the largest shortfall against the threshold
+            const { rows: products } = await this.db.query(
+                `SELECT
+                    p.id, p.title, p.sku, p.category, p.manufacturer, p.status,
+                    p.stock_quantity, p.reorder_threshold, p.expiry_date,
+                    (SELECT MAX(m.created_at) FROM inventory_movements m
+                        WHERE m.product_id = p.id AND m.reason = 'receipt') AS last_received_at
+                FROM products p
+                ${whereClause}
+                ORDER BY (p.stock_quantity = 0) DESC, (p.reorder_threshold - p.stock_quantity) DESC, p.title ASC
+                LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+                [...queryParams, limit, offset]
+            );
+
+            const totalRecords = parseInt(countResult[0].total);
+            const totalPages = Math.ceil(totalRecords / limit);
+
+            return {
+                success: true,
+                data: {
+                    products: products.map(product => ({
+                        id: product.id,
+                        title: product.title,
+                        sku: product.sku,
+                        category: product.category,
+                        manufacturer: product.manufacturer,
+                        status: product.status,
+                        stockQuantity: product.stock_quantity,
+                        reorderThreshold: product.reorder_threshold,
+                        shortfall: product.reorder_threshold - product.stock_quantity,
+                        expiryDate: product.expiry_date ? new Date(product.expiry_date).toISOString().split('T')[0] : null,
+                        lastReceivedAt: product.last_received_at
+                    })),
+                    pagination: {
+                        currentPage: page,
+                        totalPages,
+                        totalRecords,
+                        limit,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('List low stock error:', error);
+            throw error;
+        }
+    }
+
+    async getStockHistory(productId, filters = {}) {
+        try {
+            const page = Math.max(parseInt(filters.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 200);
+            const offset = (page - 1) * limit;
+
+            const { rows: product } = await this.db.query(
+                'SELECT id, title, sku, stock_quantity FROM products WHERE id = $1',
+                [productId]
+            );
+
+            if (product.length === 0) {
+                throw NotFoundError.product(productId);
+            }
+
+            let whereClause = 'WHERE m.product_id = $1';
+            const queryParams = [productId];
+
+            if (filters.reason) {
+                if (!MOVEMENT_REASONS.includes(filters.reason)) {
+                    throw ValidationError.invalidEnum('reason', filters.reason, MOVEMENT_REASONS);
+                }
+                queryParams.push(filters.reason);
+                whereClause += ` AND m.reason = $${queryParams.length}`;
+            }
+
+            const { rows: countResult } = await this.db.query(
+                `SELECT COUNT(*) AS total FROM inventory_movements m ${whereClause}`,
+                queryParams
+            );
+
+            const { rows: movements } = await this.db.query(
+                `SELECT
+                    m.id, m.quantity_change, m.quantity_after, m.reason, m.reference_type, m.reference_id,
+                    m.notes, m.performed_by, m.created_at,
+                    COALESCE(u.full_name, s.full_name) AS performed_by_name
+                FROM inventory_movements m
+                LEFT JOIN users u ON m.performed_by_role IS DISTINCT FROM 'superuser' AND u.user_id = m.performed_by
+                LEFT JOIN superusers s ON m.performed_by_role = 'superuser' AND s.user_id = m.performed_by
+                ${whereClause}
+                ORDER BY m.created_at DESC, m.id DESC
+                LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+                [...queryParams, limit, offset]
+            );
+
+            const totalRecords = parseInt(countResult[0].total);
+            const totalPages = Math.ceil(totalRecords / limit);
+
+            return {
+                success: true,
+                data: {
+                    product: {
+                        id: product[0].id,
+                        title: product[0].title,
+                        sku: product[0].sku,
+                        stockQuantity: product[0].stock_quantity
+                    },
+                    movements: movements.map(movement => ({
+                        id: movement.id,
+                        quantityChange: movement.quantity_change,
+                        quantityAfter: movement.quantity_after,
+                        reason: movement.reason,
+                        referenceType: movement.reference_type,
+                        referenceId: movement.reference_id,
+                        notes: movement.notes,
+                        performedBy: movement.performed_by,
+                        performedByName: movement.performed_by_name,
+                        createdAt: movement.created_at
+                    })),
+                    pagination: {
+                        currentPage: page,
+                        totalPages,
+                        totalRecords,
+                        limit,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('Get stock history error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Inventory;
@@ -1,6 +1,13 @@
 const Database = require('../core/Database');
 const Logger = require('../core/Logger');
 const Validator = require('../core/Validator');
+const ListQuery = require('../core/ListQuery');
+const Refund = require('./Refund');
+const Inventory = require('./Inventory');
+const ProductBatch = require('./ProductBatch');
+const PrescriptionDispensing = require('./PrescriptionDispensing');
+const Promotion = require('./Promotion');
+const ShippingRate = require('./ShippingRate');
 const { 
     ValidationError, 
     NotFoundError, 
@@ -9,19 +16,36 @@ const {
     BusinessLogicError 
 } = require('../core/errors');
 
+// Allowed status transitions - statuses match chk_orders_status.
+// Cancellation goes through cancel() so stock is restored.
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
 class Order {
     constructor() {
         this.db = new Database();
         this.logger = new Logger();
         this.validator = new Validator();
+        this.refundModel = new Refund();
+        this.inventoryModel = new Inventory();
+        this.batchModel = new ProductBatch();
+        this.dispensingModel = new PrescriptionDispensing();
+        this.promotionModel = new Promotion();
+        this.shippingRateModel = new ShippingRate();
     }
 
     async create(orderData, userId) {
         try {
             this.validator.clearErrors();
 
-            // Validate required fields
-            const requiredFields = ['items', 'totalAmount', 'shippingAddress'];
+            // Validate required fields - totals are derived server-side
+            const requiredFields = ['items', 'shippingAddress'];
             if (!this.validator.validateRequired(orderData, requiredFields)) {
                 const missingFields = requiredFields.filter(field => 
                     orderData[field] === undefined || orderData[field] === null || orderData[field] === ''
@@ -34,17 +58,14 @@ class Order {
                 throw ValidationError.invalidFormat('items', 'non-empty array');
             }
 
-            // Validate total amount
+            // Validate submitted total amount if provided (only used for mismatch detection)
             if (!this.validator.validateNumber('totalAmount', orderData.totalAmount, 0)) {
                 throw ValidationError.invalidNumber('totalAmount', orderData.totalAmount, 0);
             }
 
-            // Validate order status
-            const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-            const status = orderData.status || 'pending';
-            if (!this.validator.validateEnum('status', status, validStatuses)) {
-                throw ValidationError.invalidEnum('status', status, validStatuses);
-            }
+            // New orders always start as pending - later statuses go through updateStatus,
+            // and payment_status is only moved by the Payment model
+            const status = 'pending';
 
             // Validate payment method
             const validPaymentMethods = ['cash_on_delivery', 'bank_transfer', 'credit_card', 'e_wallet'];
@@ -53,11 +74,21 @@ class Order {
                 throw ValidationError.invalidEnum('paymentMethod', paymentMethod, validPaymentMethods);
             }
 
-            // Validate shipping method
-            const validShippingMethods = ['standard', 'express', 'same_day'];
+            // Validate shipping method - whether it serves the address is checked against the rate table below
             const shippingMethod = orderData.shippingMethod || 'standard';
-            if (!this.validator.validateEnum('shippingMethod', shippingMethod, validShippingMethods)) {
-                throw ValidationError.invalidEnum('shippingMethod', shippingMethod, validShippingMethods);
+            if (!this.validator.validateEnum('shippingMethod', shippingMethod, ShippingRate.METHODS)) {
+                throw ValidationError.invalidEnum('shippingMethod', shippingMethod, ShippingRate.METHODS);
+            }
+
+            // Validate item structure
+            for (const item of orderData.items) {
+                if (!item.productId || !item.quantity) {
+                    throw ValidationError.missingFields(['productId', 'quantity']);
+                }
+
+                if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+                    throw ValidationError.invalidNumber('quantity', item.quantity, 1);
+                }
             }
 
             // Start transaction
@@ -66,102 +97,203 @@ class Order {
             try {
                 await client.query('BEGIN');
 
+                // Price every line from the catalog - client-submitted prices are never trusted
+                const pricedItems = [];
+                const mismatches = [];
+                for (const item of orderData.items) {
+                    // Verify product exists and get current data
+                    const { rows: product } = await client.query(
+                        `SELECT id, parent_id, title, sku, variant_label, category, price_value, stock_quantity,
+                            requires_prescription, weight_grams
+                        FROM products WHERE id = $1`,
+                        [item.productId]
+                    );
+
+                    if (product.length === 0) {
+                        throw NotFoundError.product(item.productId);
+                    }
+
+                    const productData = product[0];
+
+                    // Fail fast on stock; the reservation below is what actually guards against overselling
+                    if (productData.stock_quantity < item.quantity) {
+                        throw BusinessLogicError.insufficientStock(productData.id, productData.stock_quantity, item.quantity);
+                    }
+
+                    const unitPrice = this.roundAmount(parseFloat(productData.price_value));
+
+                    if (item.unitPrice !== undefined && item.unitPrice !== null &&
+                        !this.amountsMatch(item.unitPrice, unitPrice)) {
+                        mismatches.push({
+                            field: 'unitPrice',
+                            productId: productData.id,
+                            submitted: item.unitPrice,
+                            expected: unitPrice
+                        });
+                    }
+
+                    pricedItems.push({
+                        productId: productData.id,
+                        quantity: item.quantity,
+                        unitPrice: unitPrice,
+                        totalPrice: this.roundAmount(unitPrice * item.quantity),
+                        productTitle: productData.title,
+                        productSku: productData.sku || null,
+                        variantLabel: productData.variant_label || null,
+                        requiresPrescription: productData.requires_prescription,
+                        parentId: productData.parent_id,
+                        category: productData.category,
+                        weightGrams: productData.weight_grams
+                    });
+                }
+
+                // Derive order totals server-side
+                const subtotal = this.roundAmount(pricedItems.reduce((total, item) => total + item.totalPrice, 0));
+
+                // Promotions are re-checked here, with usage-limited ones locked until commit
+                const { discounts, discountAmount, itemDiscounts, couponError } = await this.promotionModel.calculateDiscounts(
+                    client,
+                    { items: pricedItems, userId, couponCode: orderData.couponCode, lock: true }
+                );
+
+                if (couponError) {
+                    throw BusinessLogicError.invalidCoupon(orderData.couponCode, couponError);
+                }
+
+                pricedItems.forEach((item, index) => {
+                    item.discountAmount = itemDiscounts[index];
+                });
+
+                // Shipping is priced from the rate table; client-sent costs and dates are never stored
+                const [shippingQuote] = await this.shippingRateModel.quote(client, {
+                    shippingAddress: orderData.shippingAddress,
+                    items: pricedItems,
+                    orderValue: this.roundAmount(subtotal - discountAmount),
+                    shippingMethods: [shippingMethod]
+                });
+
+                if (!shippingQuote.available) {
+                    throw BusinessLogicError.shippingUnavailable(shippingMethod, shippingQuote.reason);
+                }
+
+                const shippingCost = shippingQuote.cost;
+                const estimatedDeliveryDate = shippingQuote.estimatedDeliveryDate;
+                const totalAmount = this.roundAmount(subtotal - discountAmount + shippingCost);
+
+                if (orderData.shippingCost !== undefined && orderData.shippingCost !== null &&
+                    !this.amountsMatch(orderData.shippingCost, shippingCost)) {
+                    mismatches.push({ field: 'shippingCost', submitted: orderData.shippingCost, expected: shippingCost });
+                }
+
+                if (orderData.totalAmount !== undefined && orderData.totalAmount !== null &&
+                    !this.amountsMatch(orderData.totalAmount, totalAmount)) {
+                    mismatches.push({ field: 'totalAmount', submitted: orderData.totalAmount, expected: totalAmount });
+                }
+
+                if (mismatches.length > 0) {
+                    this.logger.warn(`Order price mismatch rejected - User: ${userId}`, { mismatches });
+                    throw BusinessLogicError.priceMismatch(mismatches, { subtotal, discountAmount, shippingCost, totalAmount });
+                }
+
+                const prescriptionRequired = pricedItems.some(item => item.requiresPrescription);
+
+                // Prescription-only items must be covered by an approved, unexpired prescription
+                if (prescriptionRequired || orderData.prescriptionId) {
+                    await this.verifyPrescription(
+                        client,
+                        orderData.prescriptionId,
+                        userId,
+                        pricedItems.filter(item => item.requiresPrescription)
+                    );
+                }
+
                 // Create order
                 const { rows: newOrder } = await client.query(
                     `INSERT INTO orders (
                         user_id, status, total_amount, shipping_address, billing_address,
                         payment_method, payment_status, shipping_method, shipping_cost,
-                        notes, estimated_delivery_date, prescription_required, prescription_id
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                        notes, estimated_delivery_date, prescription_required, prescription_id, discount_amount
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
                     RETURNING id, created_at`,
                     [
                         userId,
                         status,
-                        orderData.totalAmount,
+                        totalAmount,
                         JSON.stringify(orderData.shippingAddress),
                         JSON.stringify(orderData.billingAddress || orderData.shippingAddress),
                         paymentMethod,
-                        orderData.paymentStatus || 'pending',
+                        'pending',
                         shippingMethod,
-                        orderData.shippingCost || 0,
+                        shippingCost,
                         orderData.notes || null,
-                        orderData.estimatedDeliveryDate || null,
-                        orderData.prescriptionRequired || false,
-                        orderData.prescriptionId || null
+                        estimatedDeliveryDate,
+                        prescriptionRequired,
+                        orderData.prescriptionId || null,
+                        discountAmount
                     ]
                 );
 
                 const orderId = newOrder[0].id;
                 const orderCreatedAt = newOrder[0].created_at;
 
-                // Create order items
-                const orderItems = [];
-                console.log(orderData.items);
-                for (const item of orderData.items) {
-                    // Validate item structure
-                    if (!item.productId || !item.quantity || !item.unitPrice) {
-                        throw ValidationError.missingFields(['productId', 'quantity', 'unitPrice']);
-                    }
+                await this.recordStatusChange(client, orderId, null, status, { id: userId, role: 'customer' }, 'Order placed');
 
-                    // Verify product exists and get current data
-                    const { rows: product } = await client.query(
-                        'SELECT id, title, price_value, stock_quantity, requires_prescription FROM products WHERE id = $1',
-                        [item.productId]
+                for (const discount of discounts) {
+                    await client.query(
+                        `INSERT INTO order_discounts (order_id, promotion_id, code, name, discount_type, discount_value, amount)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                        [
+                            orderId, discount.promotionId, discount.code, discount.name,
+                            discount.discountType, discount.discountValue, discount.amount
+                        ]
                     );
+                }
 
-                    if (product.length === 0) {
-                        throw NotFoundError.product(item.productId);
-                    }
-
-                    const productData = product[0];
-
-                    // Check stock availability
-                    if (productData.stock_quantity < item.quantity) {
-                        throw BusinessLogicError.invalidOperation(
-                            'add product to order',
-                            `Insufficient stock for product ${productData.title}. Available: ${productData.stock_quantity}, Requested: ${item.quantity}`
-                        );
-                    }
-
+                // Create order items
+                const orderItems = [];
+                for (const item of pricedItems) {
                     // Insert order item
                     const { rows: orderItem } = await client.query(
                         `INSERT INTO order_items (
                             order_id, product_id, quantity, unit_price, total_price,
-                            product_title, product_sku, requires_prescription
-                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                            product_title, product_sku, requires_prescription, variant_label, discount_amount
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
                         RETURNING id`,
                         [
                             orderId,
                             item.productId,
                             item.quantity,
                             item.unitPrice,
-                            item.quantity * item.unitPrice,
-                            productData.title,
-                            item.productSku || null,
-                            productData.requires_prescription
+                            item.totalPrice,
+                            item.productTitle,
+                            item.productSku,
+                            item.requiresPrescription,
+                            item.variantLabel,
+                            item.discountAmount
                         ]
                     );
 
-                    // Update product stock
-                    await client.query(
-                        'UPDATE products SET stock_quantity = stock_quantity - $1 WHERE id = $2',
-                        [item.quantity, item.productId]
-                    );
+                    // Pick lots FEFO, then reserve stock - conditional decrement, recorded in the inventory ledger
+                    const allocations = await this.batchModel.allocate(client, item.productId, item.quantity);
+
+                    await this.inventoryModel.adjustStock(client, item.productId, -item.quantity, 'sale', {
+                        referenceType: 'order',
+                        referenceId: orderId,
+                        performedBy: userId
+                    });
+
+                    await this.batchModel.recordAllocations(client, orderItem[0].id, allocations);
 
                     orderItems.push({
                         id: orderItem[0].id,
-                        productId: item.productId,
-                        quantity: item.quantity,
-                        unitPrice: item.unitPrice,
-                        totalPrice: item.quantity * item.unitPrice,
-                        productTitle: productData.title,
-                        requiresPrescription: productData.requires_prescription
+                        ...item,
+                        batches: allocations
                     });
                 }
 
                 await client.query('COMMIT');
 
-                this.logger.info(`Order created successfully - ID: ${orderId}, User: ${userId}, Total: ${orderData.totalAmount}`);
+                this.logger.info(`Order created successfully - ID: ${orderId}, User: ${userId}, Total: ${totalAmount}`);
 
                 return {
                     success: true,
@@ -170,13 +302,20 @@ class Order {
                         id: orderId,
                         userId: userId,
                         status: status,
-                        totalAmount: orderData.totalAmount,
+                        subtotal: subtotal,
+                        discountAmount: discountAmount,
+                        discounts: discounts,
+                        shippingCost: shippingCost,
+                        totalAmount: totalAmount,
                         paymentMethod: paymentMethod,
-                        paymentStatus: orderData.paymentStatus || 'pending',
+                        paymentStatus: 'pending',
+                        shippingMethod: shippingMethod,
+                        estimatedDeliveryDate: estimatedDeliveryDate,
                         shippingAddress: orderData.shippingAddress,
                         items: orderItems,
                         createdAt: orderCreatedAt,
-                        prescriptionRequired: orderData.prescriptionRequired || false
+                        prescriptionRequired: prescriptionRequired,
+                        prescriptionId: orderData.prescriptionId || null
                     }
                 };
 
@@ -193,6 +332,60 @@ class Order {
         }
     }
 
+    async verifyPrescription(client, prescriptionId, userId, rxItems) {
+        if (!prescriptionId) {
+            throw BusinessLogicError.prescriptionRequired(rxItems.map(item => item.productId));
+        }
+
+        // Lock the prescription so it cannot be changed while this order is being placed
+        const { rows: prescriptions } = await client.query(
+            `SELECT id, user_id, status, expiry_date,
+                (expiry_date IS NOT NULL AND expiry_date < CURRENT_DATE) AS is_expired
+            FROM prescriptions
+            WHERE id = $1
+            FOR SHARE`,
+            [prescriptionId]
+        );
+
+        if (prescriptions.length === 0 || prescriptions[0].user_id !== parseInt(userId)) {
+            throw NotFoundError.prescription(prescriptionId);
+        }
+
+        // Linking a prescription to an order without Rx items only requires ownership
+        if (rxItems.length === 0) {
+            return;
+        }
+
+        const prescription = prescriptions[0];
+
+        if (prescription.status !== 'approved') {
+            throw BusinessLogicError.invalidPrescription(prescriptionId, `status is '${prescription.status}'`);
+        }
+
+        if (prescription.is_expired) {
+            throw BusinessLogicError.invalidPrescription(prescriptionId, 'prescription has expired');
+        }
+
+        // Only what is left after earlier dispensing (and open for refill now) counts as covered.
+        // Items with no quantity on the prescription cover the product without a quantity limit.
+        const coveringItems = await this.dispensingModel.getCoveringItems(
+            client, prescriptionId, rxItems.map(item => item.productId)
+        );
+        const uncoveredItems = this.dispensingModel.checkCoverage(rxItems, coveringItems);
+
+        if (uncoveredItems.length > 0) {
+            throw BusinessLogicError.prescriptionCoverage(prescriptionId, uncoveredItems);
+        }
+    }
+
+    roundAmount(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    amountsMatch(submitted, expected) {
+        return typeof submitted === 'number' && Math.abs(submitted - expected) < 0.01;
+    }
+
     async getById(orderId, userId = null) {
         try {
             if (!orderId) {
@@ -202,7 +395,7 @@ class Order {
             // Build query with optional user filter
             let query = `
                 SELECT 
-                    o.id, o.user_id, o.status, o.total_amount, o.shipping_address, o.billing_address,
+                    o.id, o.user_id, o.status, o.total_amount, o.discount_amount, o.shipping_address, o.billing_address,
                     o.payment_method, o.payment_status, o.shipping_method, o.shipping_cost,
                     o.notes, o.estimated_delivery_date, o.prescription_required, o.prescription_id, o.cancellation_reason_code, o.created_at, o.updated_at,
                     u.email as user_email, u.full_name as user_name, u.phone as user_phone
@@ -226,26 +419,57 @@ class Order {
 
             const order = orders[0];
 
-            // Get order items
+            // Get order items; variants show their listing's images
             const { rows: items } = await this.db.query(
                 `SELECT 
-                    oi.id, oi.product_id, oi.quantity, oi.unit_price, oi.total_price,
-                    oi.product_title, oi.product_sku, oi.requires_prescription,
-                    p.images, p.main_image_index
+                    oi.id, oi.product_id, oi.quantity, oi.unit_price, oi.total_price, oi.discount_amount,
+                    oi.product_title, oi.product_sku, oi.requires_prescription, oi.variant_label,
+                    COALESCE(listing.images, p.images) AS images,
+                    COALESCE(listing.main_image_index, p.main_image_index) AS main_image_index,
+                    COALESCE((
+                        SELECT JSON_AGG(JSON_BUILD_OBJECT(
+                            'batchId', b.id,
+                            'lotNumber', b.lot_number,
+                            'expiryDate', b.expiry_date,
+                            'quantity', oib.quantity,
+                            'returnedQuantity', oib.returned_quantity
+                        ) ORDER BY b.expiry_date, b.id)
+                        FROM order_item_batches oib
+                        JOIN product_batches b ON oib.batch_id = b.id
+                        WHERE oib.order_item_id = oi.id
+                    ), '[]') AS batches
                 FROM order_items oi
                 LEFT JOIN products p ON oi.product_id = p.id
+                LEFT JOIN products listing ON p.parent_id = listing.id
                 WHERE oi.order_id = $1
                 ORDER BY oi.id`,
                 [orderId]
             );
 
-                            return {
+            const { rows: discounts } = await this.db.query(
+                `SELECT promotion_id, code, name, discount_type, discount_value, amount
+                FROM order_discounts
+                WHERE order_id = $1
+                ORDER BY id`,
+                [orderId]
+            );
+
+            return {
                 success: true,
                 data: {
                     id: order.id,
                     userId: order.user_id,
                     status: order.status,
                     totalAmount: order.total_amount,
+                    discountAmount: order.discount_amount,
+                    discounts: discounts.map(discount => ({
+                        promotionId: discount.promotion_id,
+                        code: discount.code,
+                        name: discount.name,
+                        discountType: discount.discount_type,
+                        discountValue: discount.discount_value,
+                        amount: discount.amount
+                    })),
                     shippingAddress: order.shipping_address,
                     billingAddress: order.billing_address,
                     paymentMethod: order.payment_method,
@@ -270,11 +494,14 @@ class Order {
                         quantity: item.quantity,
                         unitPrice: item.unit_price,
                         totalPrice: item.total_price,
+                        discountAmount: item.discount_amount,
                         productTitle: item.product_title,
                         productSku: item.product_sku,
+                        variantLabel: item.variant_label,
                         requiresPrescription: item.requires_prescription,
                         productImages: item.images || [],
-                        mainImageIndex: item.main_image_index || 0
+                        mainImageIndex: item.main_image_index || 0,
+                        batches: item.batches
                     }))
                 }
             };
@@ -287,91 +514,54 @@ class Order {
 
     async list(filters = {}, userId = null) {
         try {
-            const page = parseInt(filters.page) || 1;
-            const limit = parseInt(filters.limit) || 10;
             const status = filters.status || '';
             const paymentStatus = filters.paymentStatus || '';
             const startDate = filters.startDate || '';
             const endDate = filters.endDate || '';
 
-            // Validate pagination parameters
-            if (page < 1 || limit < 1 || limit > 100) {
-                throw ValidationError.invalidNumber('pagination', `page: ${page}, limit: ${limit}`, null, null);
-            }
-
-            const offset = (page - 1) * limit;
-
-            // Build query conditions
-            let whereConditions = [];
-            let queryParams = [];
-            let paramCount = 0;
+            const listQuery = new ListQuery(filters);
 
             // User filter (if provided)
             if (userId) {
-                paramCount++;
-                whereConditions.push(`o.user_id = $${paramCount}`);
-                queryParams.push(userId);
+                listQuery.where(`o.user_id = ${listQuery.param(userId)}`);
             }
 
             // Status filter
             if (status) {
-                paramCount++;
-                whereConditions.push(`o.status = $${paramCount}`);
-                queryParams.push(status);
+                listQuery.where(`o.status = ${listQuery.param(status)}`);
             }
 
             // Payment status filter
             if (paymentStatus) {
-                paramCount++;
-                whereConditions.push(`o.payment_status = $${paramCount}`);
-                queryParams.push(paymentStatus);
+                listQuery.where(`o.payment_status = ${listQuery.param(paymentStatus)}`);
             }
 
             // Date range filter
             if (startDate) {
-                paramCount++;
-                whereConditions.push(`o.created_at >= $${paramCount}`);
-                queryParams.push(startDate);
+                listQuery.where(`o.created_at >= ${listQuery.param(startDate)}`);
             }
 
             if (endDate) {
-                paramCount++;
-                whereConditions.push(`o.created_at <= $${paramCount}`);
-                queryParams.push(endDate + ' 23:59:59');
+                listQuery.where(`o.created_at <= ${listQuery.param(endDate + ' 23:59:59')}`);
             }
 
-            const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-
-            // Count total records
-            const countQuery = `
-                SELECT COUNT(*) as total
-                FROM orders o
-                ${whereClause}
-            `;
-
-            const { rows: countResult } = await this.db.query(countQuery, queryParams);
-            const totalRecords = parseInt(countResult[0].total);
-            const totalPages = Math.ceil(totalRecords / limit);
-
             // Fetch orders with pagination
-            const ordersQuery = `
-                SELECT 
-                    o.id, o.user_id, o.status, o.total_amount, o.payment_method, o.payment_status,
+            const { rows: orders, pagination } = await listQuery.fetch(this.db, {
+                select: `
+                    o.id, o.user_id, o.status, o.total_amount, o.discount_amount, o.payment_method, o.payment_status,
                     o.shipping_method, o.prescription_required, o.prescription_id, o.created_at, o.updated_at,
                     u.email as user_email, u.full_name as user_name, u.phone as user_phone,
-                    COUNT(oi.id) as item_count
-                FROM orders o
+                    COUNT(oi.id) as item_count`,
+                from: `orders o
                 LEFT JOIN users u ON o.user_id = u.user_id
-                LEFT JOIN order_items oi ON o.id = oi.order_id
-                ${whereClause}
-                GROUP BY o.id, u.email, u.full_name, u.phone
-                ORDER BY o.created_at DESC
-                LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
-            `;
-
-            queryParams.push(limit, offset);
-
-            const { rows: orders } = await this.db.query(ordersQuery, queryParams);
+                LEFT JOIN order_items oi ON o.id = oi.order_id`,
+                countFrom: 'orders o',
+                groupBy: 'o.id, u.email, u.full_name, u.phone',
+                orderBy: [
+                    { expression: 'o.created_at', direction: 'DESC' },
+                    { expression: 'o.id', direction: 'DESC' }
+                ]
+            });
 
             // Format response
             const formattedOrders = orders.map(order => ({
@@ -379,6 +569,7 @@ class Order {
                 userId: order.user_id,
                 status: order.status,
                 totalAmount: order.total_amount,
+                discountAmount: order.discount_amount,
                 paymentMethod: order.payment_method,
                 paymentStatus: order.payment_status,
                 shippingMethod: order.shipping_method,
@@ -398,14 +589,7 @@ class Order {
                 success: true,
                 data: {
                     orders: formattedOrders,
-                    pagination: {
-                        currentPage: page,
-                        totalPages,
-                        totalRecords,
-                        limit,
-                        hasNextPage: page < totalPages,
-                        hasPrevPage: page > 1
-                    },
+                    pagination,
                     filters: {
                         status,
                         paymentStatus,
@@ -421,7 +605,7 @@ class Order {
         }
     }
 
-    async updateStatus(orderId, newStatus, userId = null) {
+    async updateStatus(orderId, newStatus, actor = {}, notes = null) {
         try {
             this.validator.clearErrors();
 
@@ -430,47 +614,154 @@ class Order {
             }
 
             // Validate status
-            const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+            const validStatuses = Object.keys(ORDER_STATUS_TRANSITIONS);
             if (!this.validator.validateEnum('status', newStatus, validStatuses)) {
                 throw ValidationError.invalidEnum('status', newStatus, validStatuses);
             }
 
-            // Build query with optional user filter
-            let query = 'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2';
-            const queryParams = [newStatus, orderId];
-            
+            if (newStatus === 'cancelled') {
+                throw BusinessLogicError.invalidOperation(
+                    'update order status',
+                    'Use the cancel endpoint to cancel an order'
+                );
+            }
+
+            const client = await this.db.getClient();
+
+            try {
+                await client.query('BEGIN');
+
+                // Lock the order row so concurrent updates see a consistent current status
+                const { rows: orders } = await client.query(
+                    'SELECT id, status FROM orders WHERE id = $1 FOR UPDATE',
+                    [orderId]
+                );
+
+                if (orders.length === 0) {
+                    throw NotFoundError.order(orderId);
+                }
+
+                const currentStatus = orders[0].status;
+                this.assertTransition(currentStatus, newStatus);
+
+                // Confirming an Rx order draws its quantities down against the prescription
+                if (newStatus === 'confirmed') {
+                    await this.dispensingModel.dispenseForOrder(client, orderId, actor.id || null);
+                }
+
+                const { rows: updatedOrder } = await client.query(
+                    `UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+                    RETURNING id, status, updated_at`,
+                    [newStatus, orderId]
+                );
+
+                await this.recordStatusChange(client, orderId, currentStatus, newStatus, actor, notes);
+
+                await client.query('COMMIT');
+
+                this.logger.info(`Order status updated - ID: ${orderId}, ${currentStatus} -> ${newStatus}, By: ${actor.id || 'system'}`);
+
+                return {
+                    success: true,
+                    message: 'Order status updated successfully',
+                    data: {
+                        id: updatedOrder[0].id,
+                        previousStatus: currentStatus,
+                        status: updatedOrder[0].status,
+                        updatedAt: updatedOrder[0].updated_at
+                    }
+                };
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+        } catch (error) {
+            this.logger.error('Update order status error:', error);
+            throw error;
+        }
+    }
+
+    async getStatusHistory(orderId, userId = null) {
+        try {
+            if (!orderId) {
+                throw ValidationError.missingFields(['orderId']);
+            }
+
+            let query = 'SELECT id, status FROM orders WHERE id = $1';
+            const queryParams = [orderId];
+
             if (userId) {
-                query += ' AND user_id = $3';
+                query += ' AND user_id = $2';
                 queryParams.push(userId);
             }
-            
-            query += ' RETURNING id, status, updated_at';
 
-            const { rows: updatedOrder } = await this.db.query(query, queryParams);
+            const { rows: orders } = await this.db.query(query, queryParams);
 
-            if (updatedOrder.length === 0) {
-                throw NotFoundError.product(orderId); // Reusing product error for order
+            if (orders.length === 0) {
+                throw NotFoundError.order(orderId);
             }
 
-            this.logger.info(`Order status updated - ID: ${orderId}, New Status: ${newStatus}`);
+            // users and superusers have separate id sequences, so the recorded role picks the table
+            const { rows: history } = await this.db.query(
+                `SELECT 
+                    h.id, h.from_status, h.to_status, h.changed_by, h.changed_by_role, h.notes, h.created_at,
+                    COALESCE(u.full_name, s.full_name) as actor_name
+                FROM order_status_history h
+                LEFT JOIN users u ON h.changed_by_role <> 'superuser' AND u.user_id = h.changed_by
+                LEFT JOIN superusers s ON h.changed_by_role = 'superuser' AND s.user_id = h.changed_by
+                WHERE h.order_id = $1
+                ORDER BY h.created_at, h.id`,
+                [orderId]
+            );
 
             return {
                 success: true,
-                message: 'Order status updated successfully',
                 data: {
-                    id: updatedOrder[0].id,
-                    status: updatedOrder[0].status,
-                    updatedAt: updatedOrder[0].updated_at
+                    orderId: orders[0].id,
+                    currentStatus: orders[0].status,
+                    allowedTransitions: ORDER_STATUS_TRANSITIONS[orders[0].status] || [],
+                    history: history.map(entry => ({
+                        id: entry.id,
+                        fromStatus: entry.from_status,
+                        toStatus: entry.to_status,
+                        notes: entry.notes,
+                        changedAt: entry.created_at,
+                        changedBy: {
+                            id: entry.changed_by,
+                            role: entry.changed_by_role,
+                            name: entry.actor_name
+                        }
+                    }))
                 }
             };
 
         } catch (error) {
-            this.logger.error('Update order status error:', error);
+            this.logger.error('Get order status history error:', error);
             throw error;
         }
     }
 
-    async cancel(orderId, userId, reason, reasonCode, isStaffOrSuperuser = false) {
+    assertTransition(fromStatus, toStatus) {
+        const allowedStatuses = ORDER_STATUS_TRANSITIONS[fromStatus] || [];
+        if (!allowedStatuses.includes(toStatus)) {
+            throw BusinessLogicError.invalidStatusTransition(fromStatus, toStatus, allowedStatuses);
+        }
+    }
+
+    async recordStatusChange(client, orderId, fromStatus, toStatus, actor = {}, notes = null) {
+        await client.query(
+            `INSERT INTO order_status_history (
+                order_id, from_status, to_status, changed_by, changed_by_role, notes
+            ) VALUES ($1, $2, $3, $4, $5, $6)`,
+            [orderId, fromStatus, toStatus, actor.id || null, actor.role || 'system', notes]
+        );
+    }
+
+    async cancel(orderId, userId, reason, reasonCode, isStaffOrSuperuser = false, actorRole = null) {
         try {
             if (!orderId) {
                 throw ValidationError.missingFields(['orderId']);
@@ -506,6 +797,10 @@ class Order {
 
             // Start transaction to restore stock
             const client = await this.db.getClient();
+            let order;
+            let refund = null;
+            let cancellationNotes;
+            let cancellationReasonCode;
             
             try {
                 await client.query('BEGIN');
@@ -515,14 +810,14 @@ class Order {
                 if (isStaffOrSuperuser) {
                     // Staff/superuser can cancel any order
                     const { rows } = await client.query(
-                        'SELECT id, status, user_id FROM orders WHERE id = $1',
+                        'SELECT id, status, user_id, payment_status FROM orders WHERE id = $1 FOR UPDATE',
                         [orderId]
                     );
                     orders = rows;
                 } else {
                     // Regular users can only cancel their own orders
                     const { rows } = await client.query(
-                        'SELECT id, status, user_id FROM orders WHERE id = $1 AND user_id = $2',
+                        'SELECT id, status, user_id, payment_status FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
                         [orderId, userId]
                     );
                     orders = rows;
@@ -532,34 +827,41 @@ class Order {
                     throw NotFoundError.product(orderId);
                 }
 
-                const order = orders[0];
+                order = orders[0];
 
                 // Check if order can be cancelled
-                const cancellableStatuses = ['pending', 'confirmed'];
-                if (!cancellableStatuses.includes(order.status)) {
-                    throw BusinessLogicError.invalidOperation(
-                        'cancel order',
-                        `Order with status '${order.status}' cannot be cancelled`
-                    );
-                }
+                this.assertTransition(order.status, 'cancelled');
 
                 // Get order items to restore stock
                 const { rows: items } = await client.query(
-                    'SELECT product_id, quantity FROM order_items WHERE order_id = $1',
+                    'SELECT id, product_id, quantity, restocked_quantity FROM order_items WHERE order_id = $1 FOR UPDATE',
                     [orderId]
                 );
 
-                // Restore stock for each item
+                // Restore stock for each item, skipping anything a partial refund already restocked
                 for (const item of items) {
+                    const restockQuantity = item.quantity - item.restocked_quantity;
+                    if (restockQuantity <= 0) continue;
+
+                    await this.batchModel.returnToBatches(client, item.id, restockQuantity);
+                    await this.inventoryModel.adjustStock(client, item.product_id, restockQuantity, 'cancellation', {
+                        referenceType: 'order',
+                        referenceId: parseInt(orderId),
+                        notes: reasonCode || null,
+                        performedBy: userId
+                    });
                     await client.query(
-                        'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2',
-                        [item.quantity, item.product_id]
+                        'UPDATE order_items SET restocked_quantity = quantity WHERE id = $1',
+                        [item.id]
                     );
                 }
 
+                // Give dispensed quantities back to the prescription
+                await this.dispensingModel.reverseForOrder(client, orderId);
+
                 // Prepare cancellation notes
-                const cancellationNotes = reason || 'Cancelled by customer';
-                const cancellationReasonCode = reasonCode || 'other';
+                cancellationNotes = reason || 'Cancelled by customer';
+                cancellationReasonCode = reasonCode || 'other';
 
                 // Update order status with both reason and reasonCode
                 await client.query(
@@ -572,22 +874,38 @@ class Order {
                     ['cancelled', cancellationNotes, cancellationReasonCode, orderId]
                 );
 
+                // Payment attempts still waiting for the customer must not be captured on a cancelled order
+                await client.query(
+                    `UPDATE payments SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+                    WHERE order_id = $1 AND status = 'pending'`,
+                    [orderId]
+                );
+
+                await this.recordStatusChange(
+                    client,
+                    orderId,
+                    order.status,
+                    'cancelled',
+                    { id: userId, role: actorRole || (isStaffOrSuperuser ? 'pharmacist' : 'customer') },
+                    `${cancellationReasonCode}: ${cancellationNotes}`
+                );
+
+                // Paid orders cancelled by staff are refunded in full as part of the cancellation;
+                // a customer's cancellation leaves the refund for staff to review and issue
+                if (order.payment_status === 'paid' && isStaffOrSuperuser) {
+                    refund = await this.refundModel.refundWithinTransaction(
+                        client,
+                        orderId,
+                        { reason: `Order cancelled - ${cancellationReasonCode}: ${cancellationNotes}`, restock: false },
+                        userId
+                    );
+                }
+
                 await client.query('COMMIT');
 
                 const cancelledBy = isStaffOrSuperuser ? `staff/superuser (${userId})` : `customer (${userId})`;
                 this.logger.info(`Order cancelled - ID: ${orderId}, Cancelled by: ${cancelledBy}, Reason: ${reason}, ReasonCode: ${reasonCode}`);
 
-                return {
-                    success: true,
-                    message: 'Order cancelled successfully',
-                    data: {
-                        id: orderId,
-                        status: 'cancelled',
-                        reason: cancellationNotes,
-                        reasonCode: cancellationReasonCode
-                    }
-                };
-
             } catch (error) {
                 await client.query('ROLLBACK');
                 throw error;
@@ -595,6 +913,32 @@ class Order {
                 client.release();
             }
 
+            // The provider is only called once the cancellation is committed; a failed refund
+            // stays on record for staff to retry and does not undo the cancellation
+            if (refund) {
+                refund = await this.refundModel.settle(refund);
+            }
+
+            let message = 'Order cancelled successfully';
+            if (refund && refund.status === 'failed') {
+                message = 'Order cancelled, but the refund failed and must be retried';
+            } else if (order.payment_status === 'paid' && !refund) {
+                message = 'Order cancelled successfully. The refund will be issued after review by the pharmacy';
+            }
+
+            return {
+                success: true,
+                message,
+                data: {
+                    id: orderId,
+                    status: 'cancelled',
+                    reason: cancellationNotes,
+                    reasonCode: cancellationReasonCode,
+                    paymentStatus: refund ? refund.paymentStatus : order.payment_status,
+                    refund
+                }
+            };
+
         } catch (error) {
             this.logger.error('Cancel order error:', error);
             throw error;
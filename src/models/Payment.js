@@ -0,0 +1,416 @@
+const Database = require('../core/Database');
+const ServiceManager = require('../core/ServiceManager');
+const {
+    ValidationError,
+    NotFoundError,
+    BusinessLogicError,
+    ExternalServiceError
+} = require('../core/errors');
+
+class Payment {
+    constructor() {
+        this.db = new Database();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.serviceManager = serviceManager;
+        this.logger = serviceManager.getLogger();
+    }
+
+    /**
+     * Look up the configured payment provider when a payment operation runs, so a missing or
+     * disallowed provider fails that request instead of preventing the server from starting
+     * @param {string} operation - used in the error message
+     * @returns {PaymentProvider}
+     */
+    getPaymentProvider(operation) {
+        try {
+            return this.serviceManager.getPaymentProvider();
+        } catch (error) {
+            throw ExternalServiceError.paymentProviderError(process.env.PAYMENT_PROVIDER || 'mock', operation, error);
+        }
+    }
+
+    async initiate(orderId, userId = null, initiatedBy = null) {
+        try {
+            if (!orderId) {
+                throw ValidationError.missingFields(['orderId']);
+            }
+
+            const client = await this.db.getClient();
+            let order;
+            let paymentProvider;
+            let paymentId;
+            let amount;
+
+            try {
+                await client.query('BEGIN');
+
+                // Lock the order so two attempts cannot be started at once
+                let query = 'SELECT id, user_id, status, total_amount, payment_method, payment_status FROM orders WHERE id = $1';
+                const queryParams = [orderId];
+
+                if (userId) {
+                    query += ' AND user_id = $2';
+                    queryParams.push(userId);
+                }
+
+                const { rows: orders } = await client.query(`${query} FOR UPDATE`, queryParams);
+
+                if (orders.length === 0) {
+                    throw NotFoundError.order(orderId);
+                }
+
+                order = orders[0];
+
+                if (order.status === 'cancelled') {
+                    throw BusinessLogicError.invalidOperation('initiate payment', 'Order has been cancelled');
+                }
+
+                if (order.payment_method === 'cash_on_delivery') {
+                    throw BusinessLogicError.invalidOperation('initiate payment', 'Cash on delivery orders are paid on delivery');
+                }
+
+                if (!['pending', 'failed'].includes(order.payment_status)) {
+                    throw BusinessLogicError.invalidOperation(
+                        'initiate payment',
+                        `Order payment status is '${order.payment_status}'`
+                    );
+                }
+
+                paymentProvider = this.getPaymentProvider('initiate payment');
+
+                if (!paymentProvider.supports(order.payment_method)) {
+                    throw BusinessLogicError.invalidOperation(
+                        'initiate payment',
+                        `Payment provider '${paymentProvider.name}' does not support ${order.payment_method}`
+                    );
+                }
+
+                // A new attempt supersedes any attempt still waiting for confirmation
+                await client.query(
+                    `UPDATE payments SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+                    WHERE order_id = $1 AND status = 'pending'`,
+                    [orderId]
+                );
+
+                amount = parseFloat(order.total_amount);
+
+                const { rows: newPayment } = await client.query(
+                    `INSERT INTO payments (order_id, provider, payment_method, status, amount, initiated_by)
+                    VALUES ($1, $2, $3, 'pending', $4, $5)
+                    RETURNING id`,
+                    [orderId, paymentProvider.name, order.payment_method, amount, initiatedBy]
+                );
+
+                paymentId = newPayment[0].id;
+
+                // Retrying after a failed attempt puts the order back to pending
+                if (order.payment_status === 'failed') {
+                    await client.query(
+                        `UPDATE orders SET payment_status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                        [orderId]
+                    );
+                }
+
+                await client.query('COMMIT');
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+            // The gateway is only called once the attempt is committed, so no rows stay locked while it responds
+            let providerResult;
+            try {
+                providerResult = await paymentProvider.createPayment({
+                    paymentId,
+                    orderId: order.id,
+                    amount,
+                    currency: 'VND',
+                    paymentMethod: order.payment_method
+                });
+            } catch (providerError) {
+                await this.db.query(
+                    `UPDATE payments SET status = 'failed', failure_reason = $1, failed_at = CURRENT_TIMESTAMP
+                    WHERE id = $2 AND status = 'pending'`,
+                    [providerError.message, paymentId]
+                );
+                throw ExternalServiceError.paymentProviderError(paymentProvider.name, 'create payment', providerError);
+            }
+
+            const { rows: payments } = await this.db.query(
+                `UPDATE payments SET provider_reference = $1, instructions = $2
+                WHERE id = $3
+                RETURNING *`,
+                [providerResult.providerReference, JSON.stringify(providerResult.instructions || {}), paymentId]
+            );
+
+            this.logger.info(`Payment initiated - ID: ${paymentId}, Order: ${orderId}, Amount: ${amount}, Provider: ${paymentProvider.name}`);
+
+            return {
+                success: true,
+                message: 'Payment initiated successfully',
+                data: this.formatPayment(payments[0])
+            };
+
+        } catch (error) {
+            this.logger.error('Initiate payment error:', error);
+            throw error;
+        }
+    }
+
+    async confirm(paymentId, userId = null) {
+        try {
+            if (!paymentId) {
+                throw ValidationError.missingFields(['paymentId']);
+            }
+
+            // Checked without holding locks: the outcome is re-checked under lock once the gateway has answered
+            const payment = await this.lockPayment(this.db, paymentId, userId, false);
+
+            if (payment.status !== 'pending') {
+                throw BusinessLogicError.invalidOperation('confirm payment', `Payment status is '${payment.status}'`);
+            }
+
+            if (payment.order_status === 'cancelled') {
+                throw BusinessLogicError.invalidOperation('confirm payment', 'Order has been cancelled');
+            }
+
+            const paymentProvider = this.getPaymentProvider('confirm payment');
+
+            if (payment.provider !== paymentProvider.name) {
+                throw BusinessLogicError.invalidOperation(
+                    'confirm payment',
+                    `Payment was created with provider '${payment.provider}'`
+                );
+            }
+
+            // The gateway is called without holding locks; the outcome is recorded in a transaction of its own
+            let providerResult;
+            try {
+                providerResult = await paymentProvider.confirmPayment({
+                    providerReference: payment.provider_reference,
+                    amount: parseFloat(payment.amount)
+                });
+            } catch (providerError) {
+                throw ExternalServiceError.paymentProviderError(paymentProvider.name, 'confirm payment', providerError);
+            }
+
+            let cancelledMeanwhile = false;
+            let updatedPayment;
+
+            const client = await this.db.getClient();
+
+            try {
+                await client.query('BEGIN');
+
+                const current = await this.lockPayment(client, paymentId, userId);
+
+                if (current.status === 'captured') {
+                    // Another confirmation captured the attempt while the gateway was responding
+                    updatedPayment = current;
+                } else if (providerResult.status === 'captured') {
+                    // A capture is never dropped: if the attempt was cancelled or failed meanwhile it is
+                    // still recorded as paid so the money can be refunded
+                    cancelledMeanwhile = current.status !== 'pending' || current.order_status === 'cancelled';
+
+                    const { rows } = await client.query(
+                        `UPDATE payments SET status = 'captured', captured_at = CURRENT_TIMESTAMP
+                        WHERE id = $1
+                        RETURNING *`,
+                        [paymentId]
+                    );
+                    updatedPayment = rows[0];
+
+                    await client.query(
+                        `UPDATE orders SET payment_status = 'paid', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                        [current.order_id]
+                    );
+                } else if (current.status === 'pending') {
+                    updatedPayment = await this.markFailed(client, current, providerResult.failureReason);
+                } else {
+                    updatedPayment = current;
+                }
+
+                await client.query('COMMIT');
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+            if (cancelledMeanwhile) {
+                this.logger.warn(`Payment captured after it or its order was cancelled - ID: ${paymentId}, Order: ${payment.order_id}; refund required`);
+            }
+
+            this.logger.info(`Payment confirmation processed - ID: ${paymentId}, Order: ${payment.order_id}, Status: ${updatedPayment.status}`);
+
+            let message = updatedPayment.status === 'captured'
+                ? 'Payment captured successfully'
+                : 'Payment was declined by the provider';
+            if (cancelledMeanwhile) {
+                message = 'Payment captured, but the attempt or order was cancelled meanwhile and must be refunded';
+            }
+
+            return {
+                success: true,
+                message,
+                data: this.formatPayment(updatedPayment)
+            };
+
+        } catch (error) {
+            this.logger.error('Confirm payment error:', error);
+            throw error;
+        }
+    }
+
+    async fail(paymentId, userId = null, reason = null) {
+        try {
+            if (!paymentId) {
+                throw ValidationError.missingFields(['paymentId']);
+            }
+
+            const client = await this.db.getClient();
+
+            try {
+                await client.query('BEGIN');
+
+                const payment = await this.lockPayment(client, paymentId, userId);
+
+                if (payment.status !== 'pending') {
+                    throw BusinessLogicError.invalidOperation('fail payment', `Payment status is '${payment.status}'`);
+                }
+
+                const updatedPayment = await this.markFailed(client, payment, reason || 'Payment failed');
+
+                await client.query('COMMIT');
+
+                this.logger.info(`Payment marked as failed - ID: ${paymentId}, Order: ${payment.order_id}, Reason: ${updatedPayment.failure_reason}`);
+
+                return {
+                    success: true,
+                    message: 'Payment marked as failed',
+                    data: this.formatPayment(updatedPayment)
+                };
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+        } catch (error) {
+            this.logger.error('Fail payment error:', error);
+            throw error;
+        }
+    }
+
+    async listForOrder(orderId, userId = null) {
+        try {
+            if (!orderId) {
+                throw ValidationError.missingFields(['orderId']);
+            }
+
+            let query = 'SELECT id, payment_status FROM orders WHERE id = $1';
+            const queryParams = [orderId];
+
+            if (userId) {
+                query += ' AND user_id = $2';
+                queryParams.push(userId);
+            }
+
+            const { rows: orders } = await this.db.query(query, queryParams);
+
+            if (orders.length === 0) {
+                throw NotFoundError.order(orderId);
+            }
+
+            const { rows: payments } = await this.db.query(
+                'SELECT * FROM payments WHERE order_id = $1 ORDER BY created_at DESC, id DESC',
+                [orderId]
+            );
+
+            return {
+                success: true,
+                data: {
+                    orderId: orders[0].id,
+                    paymentStatus: orders[0].payment_status,
+                    payments: payments.map(payment => this.formatPayment(payment))
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('List order payments error:', error);
+            throw error;
+        }
+    }
+
+    async lockPayment(client, paymentId, userId = null, lock = true) {
+        let query = `
+            SELECT p.*, o.user_id, o.status AS order_status, o.payment_status AS order_payment_status
+            FROM payments p
+            JOIN orders o ON p.order_id = o.id
+            WHERE p.id = $1
+        `;
+        const queryParams = [paymentId];
+
+        if (userId) {
+            query += ' AND o.user_id = $2';
+            queryParams.push(userId);
+        }
+
+        const { rows: payments } = await client.query(lock ? `${query} FOR UPDATE OF p, o` : query, queryParams);
+
+        if (payments.length === 0) {
+            throw NotFoundError.payment(paymentId);
+        }
+
+        return payments[0];
+    }
+
+    async markFailed(client, payment, reason) {
+        const { rows } = await client.query(
+            `UPDATE payments SET status = 'failed', failure_reason = $1, failed_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING *`,
+            [reason, payment.id]
+        );
+
+        // Never downgrade an order that another attempt has already paid
+        if (payment.order_payment_status === 'pending') {
+            await client.query(
+                `UPDATE orders SET payment_status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [payment.order_id]
+            );
+        }
+
+        return rows[0];
+    }
+
+    formatPayment(payment) {
+        return {
+            id: payment.id,
+            orderId: payment.order_id,
+            provider: payment.provider,
+            paymentMethod: payment.payment_method,
+            status: payment.status,
+            amount: parseFloat(payment.amount),
+            currency: payment.currency,
+            providerReference: payment.provider_reference,
+            instructions: payment.instructions || {},
+            failureReason: payment.failure_reason,
+            capturedAt: payment.captured_at,
+            failedAt: payment.failed_at,
+            createdAt: payment.created_at,
+            updatedAt: payment.updated_at
+        };
+    }
+}
+
+module.exports = Payment;
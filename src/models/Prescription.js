@@ -1,6 +1,9 @@
 const Database = require('../core/Database');
 const Validator = require('../core/Validator');
 const ServiceManager = require('../core/ServiceManager');
+const ListQuery = require('../core/ListQuery');
+const PrescriptionDispensing = require('./PrescriptionDispensing');
+const Cart = require('./Cart');
 const { 
     ValidationError, 
     NotFoundError, 
@@ -10,15 +13,26 @@ const {
     ExternalServiceError 
 } = require('../core/errors');
 
+// Prescription scans are private; reads go through presigned URLs that expire after this long
+const IMAGE_URL_TTL_SECONDS = parseInt(process.env.PRESCRIPTION_IMAGE_URL_TTL_SECONDS) || 300;
+
+// Catalog matches returned per prescription item
+const MAX_PRODUCT_SUGGESTIONS = 5;
+
+// Pending prescriptions older than this (measured from created_at) are flagged overdue in the review queue
+const REVIEW_SLA_HOURS = parseInt(process.env.PRESCRIPTION_REVIEW_SLA_HOURS) || 24;
+
 class Prescription {
     constructor() {
         this.db = new Database();
         this.validator = new Validator();
+        this.dispensingModel = new PrescriptionDispensing();
+        this.cartModel = new Cart();
         
         // Use ServiceManager to get shared service instances
         const serviceManager = ServiceManager.getInstance();
         this.logger = serviceManager.getLogger();
-        this.s3Service = serviceManager.getS3Service();
+        this.storageService = serviceManager.getStorageService();
     }
 
     async create(prescriptionData, userId) {
@@ -58,11 +72,10 @@ class Prescription {
                 }
             }
 
-            // Validate status
-            const validStatuses = ['pending', 'approved', 'rejected', 'expired'];
-            const status = prescriptionData.status || 'pending';
-            if (!this.validator.validateEnum('status', status, validStatuses)) {
-                throw ValidationError.invalidEnum('status', status, validStatuses);
+            // New prescriptions always wait for review; only updateStatus by a pharmacist or superuser approves
+            const status = 'pending';
+            if (prescriptionData.status !== undefined && prescriptionData.status !== status) {
+                throw ValidationError.invalidEnum('status', prescriptionData.status, [status]);
             }
 
             // Process prescription images if provided
@@ -93,7 +106,7 @@ class Prescription {
                         prescriptionData.issueDate,
                         prescriptionData.expiryDate || null,
                         status,
-                        processedImages,
+                        JSON.stringify(processedImages),
                         prescriptionData.notes || null,
                         prescriptionData.diagnosis || null
                     ]
@@ -111,12 +124,28 @@ class Prescription {
                             throw ValidationError.missingFields(['medicationName', 'dosage', 'frequency']);
                         }
 
+                        // Refills repeat the item's quantity, so they need one
+                        const refillsAllowed = item.refillsAllowed ?? 0;
+                        if (!Number.isInteger(refillsAllowed) || refillsAllowed < 0 || refillsAllowed > 12) {
+                            throw ValidationError.invalidNumber('refillsAllowed', item.refillsAllowed, 0, 12);
+                        }
+
+                        if (refillsAllowed > 0 && !item.quantity) {
+                            throw ValidationError.missingFields(['quantity']);
+                        }
+
+                        const refillIntervalDays = item.refillIntervalDays ?? null;
+                        if (refillIntervalDays !== null &&
+                            (!Number.isInteger(refillIntervalDays) || refillIntervalDays < 1 || refillIntervalDays > 365)) {
+                            throw ValidationError.invalidNumber('refillIntervalDays', item.refillIntervalDays, 1, 365);
+                        }
+
                         // Insert prescription item
                         const { rows: prescriptionItem } = await client.query(
                             `INSERT INTO prescription_items (
                                 prescription_id, medication_name, dosage, frequency, duration,
-                                quantity, instructions, product_id
-                            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                                quantity, instructions, product_id, refills_allowed, refill_interval_days
+                            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
                             RETURNING id`,
                             [
                                 prescriptionId,
@@ -126,7 +155,9 @@ class Prescription {
                                 item.duration || null,
                                 item.quantity || null,
                                 item.instructions || null,
-                                item.productId || null
+                                item.productId || null,
+                                refillsAllowed,
+                                refillIntervalDays
                             ]
                         );
 
@@ -138,7 +169,9 @@ class Prescription {
                             duration: item.duration,
                             quantity: item.quantity,
                             instructions: item.instructions,
-                            productId: item.productId
+                            productId: item.productId,
+                            refillsAllowed,
+                            refillIntervalDays
                         });
                     }
                 }
@@ -147,6 +180,8 @@ class Prescription {
 
                 this.logger.info(`Prescription created successfully - ID: ${prescriptionId}, User: ${userId}, Patient: ${prescriptionData.patientName}`);
 
+                const signedImages = await this.signImages(processedImages);
+
                 return {
                     success: true,
                     message: 'Prescription created successfully',
@@ -160,7 +195,8 @@ class Prescription {
                         issueDate: prescriptionData.issueDate,
                         expiryDate: prescriptionData.expiryDate,
                         status: status,
-                        images: processedImages,
+                        images: signedImages.urls,
+                        imagesExpireAt: signedImages.expiresAt,
                         notes: prescriptionData.notes,
                         diagnosis: prescriptionData.diagnosis,
                         items: prescriptionItems,
@@ -193,6 +229,7 @@ class Prescription {
                     p.id, p.user_id, p.patient_name, p.doctor_name, p.doctor_license, p.clinic_name,
                     p.issue_date, p.expiry_date, p.status, p.images, p.notes, p.diagnosis,
                     p.created_at, p.updated_at, p.reviewed_by, p.reviewed_at, p.review_notes,
+                    p.assigned_to, p.assigned_at,
                     u.email as user_email, u.full_name as user_name, u.phone as user_phone
                 FROM prescriptions p
                 LEFT JOIN users u ON p.user_id = u.user_id
@@ -219,6 +256,8 @@ class Prescription {
                 `SELECT 
                     pi.id, pi.medication_name, pi.dosage, pi.frequency, pi.duration,
                     pi.quantity, pi.instructions, pi.product_id,
+                    pi.dispensed_quantity, pi.refills_allowed, pi.refill_interval_days, pi.last_dispensed_at,
+                    pi.product_mapped_by, pi.product_mapped_at,
                     p.title as product_title, p.price, p.images as product_images
                 FROM prescription_items pi
                 LEFT JOIN products p ON pi.product_id = p.id
@@ -231,23 +270,41 @@ class Prescription {
             const orderItems = await this.getOrderItemsForPrescription(prescriptionId);
             
             // Combine prescription items and order items
-            const prescriptionItems = items.map(item => ({
-                id: item.id,
-                medicationName: item.medication_name,
-                dosage: item.dosage,
-                frequency: item.frequency,
-                duration: item.duration,
-                quantity: item.quantity,
-                instructions: item.instructions,
-                productId: item.product_id,
-                productTitle: item.product_title,
-                productPrice: item.price,
-                productImages: item.product_images || [],
-                source: 'prescription'
-            }));
+            const prescriptionItems = items.map(item => {
+                const availability = this.dispensingModel.getAvailability(item);
+
+                return {
+                    id: item.id,
+                    medicationName: item.medication_name,
+                    dosage: item.dosage,
+                    frequency: item.frequency,
+                    duration: item.duration,
+                    quantity: item.quantity,
+                    instructions: item.instructions,
+                    productId: item.product_id,
+                    productTitle: item.product_title,
+                    productPrice: item.price,
+                    productImages: item.product_images || [],
+                    productConfirmed: Boolean(item.product_mapped_by),
+                    productMappedAt: item.product_mapped_at,
+                    refillsAllowed: item.refills_allowed,
+                    refillIntervalDays: item.refill_interval_days,
+                    dispensedQuantity: item.dispensed_quantity,
+                    lastDispensedAt: item.last_dispensed_at,
+                    // null means no quantity limit
+                    totalAllowedQuantity: availability.totalAllowed,
+                    remainingQuantity: availability.remainingQuantity,
+                    availableNow: availability.availableNow,
+                    nextRefillAt: availability.nextRefillAt,
+                    source: 'prescription'
+                };
+            });
             
             const allItems = [...prescriptionItems, ...orderItems];
 
+            // Only callers that passed the ownership/staff filter above get image URLs
+            const signedImages = await this.signImages(prescription.images || []);
+
             return {
                 success: true,
                 data: {
@@ -260,7 +317,8 @@ class Prescription {
                     issueDate: prescription.issue_date,
                     expiryDate: prescription.expiry_date,
                     status: prescription.status,
-                    images: prescription.images || [],
+                    images: signedImages.urls,
+                    imagesExpireAt: signedImages.expiresAt,
                     notes: prescription.notes,
                     diagnosis: prescription.diagnosis,
                     createdAt: prescription.created_at,
@@ -268,6 +326,8 @@ class Prescription {
                     reviewedBy: prescription.reviewed_by,
                     reviewedAt: prescription.reviewed_at,
                     reviewNotes: prescription.review_notes,
+                    assignedTo: prescription.assigned_to,
+                    assignedAt: prescription.assigned_at,
                     user: {
                         email: prescription.user_email,
                         name: prescription.user_name,
@@ -322,99 +382,60 @@ class Prescription {
 
     async list(filters = {}, userId = null) {
         try {
-            const page = parseInt(filters.page) || 1;
-            const limit = parseInt(filters.limit) || 10;
             const status = filters.status || '';
             const patientName = filters.patientName || '';
             const doctorName = filters.doctorName || '';
             const startDate = filters.startDate || '';
             const endDate = filters.endDate || '';
 
-            // Validate pagination parameters
-            if (page < 1 || limit < 1 || limit > 100) {
-                throw ValidationError.invalidNumber('pagination', `page: ${page}, limit: ${limit}`, null, null);
-            }
-
-            const offset = (page - 1) * limit;
-
-            // Build query conditions
-            let whereConditions = [];
-            let queryParams = [];
-            let paramCount = 0;
+            const listQuery = new ListQuery(filters);
 
             // User filter (if provided)
             if (userId) {
-                paramCount++;
-                whereConditions.push(`p.user_id = $${paramCount}`);
-                queryParams.push(userId);
+                listQuery.where(`p.user_id = ${listQuery.param(userId)}`);
             }
 
             // Status filter
             if (status) {
-                paramCount++;
-                whereConditions.push(`p.status = $${paramCount}`);
-                queryParams.push(status);
+                listQuery.where(`p.status = ${listQuery.param(status)}`);
             }
 
             // Patient name filter
             if (patientName) {
-                paramCount++;
-                whereConditions.push(`p.patient_name ILIKE $${paramCount}`);
-                queryParams.push(`%${patientName}%`);
+                listQuery.where(`p.patient_name ILIKE ${listQuery.param(`%${patientName}%`)}`);
             }
 
             // Doctor name filter
             if (doctorName) {
-                paramCount++;
-                whereConditions.push(`p.doctor_name ILIKE $${paramCount}`);
-                queryParams.push(`%${doctorName}%`);
+                listQuery.where(`p.doctor_name ILIKE ${listQuery.param(`%${doctorName}%`)}`);
             }
 
             // Date range filter
             if (startDate) {
-                paramCount++;
-                whereConditions.push(`p.issue_date >= $${paramCount}`);
-                queryParams.push(startDate);
+                listQuery.where(`p.issue_date >= ${listQuery.param(startDate)}`);
             }
 
             if (endDate) {
-                paramCount++;
-                whereConditions.push(`p.issue_date <= $${paramCount}`);
-                queryParams.push(endDate);
+                listQuery.where(`p.issue_date <= ${listQuery.param(endDate)}`);
             }
 
-            const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-
-            // Count total records
-            const countQuery = `
-                SELECT COUNT(*) as total
-                FROM prescriptions p
-                ${whereClause}
-            `;
-
-            const { rows: countResult } = await this.db.query(countQuery, queryParams);
-            const totalRecords = parseInt(countResult[0].total);
-            const totalPages = Math.ceil(totalRecords / limit);
-
             // Fetch prescriptions with pagination
-            const prescriptionsQuery = `
-                SELECT 
+            const { rows: prescriptions, pagination } = await listQuery.fetch(this.db, {
+                select: `
                     p.id, p.user_id, p.patient_name, p.doctor_name, p.clinic_name,
                     p.issue_date, p.expiry_date, p.status, p.created_at, p.updated_at,
                     u.email as user_email, u.full_name as user_name, u.phone as user_phone,
-                    COUNT(pi.id) as item_count
-                FROM prescriptions p
+                    COUNT(pi.id) as item_count`,
+                from: `prescriptions p
                 LEFT JOIN users u ON p.user_id = u.user_id
-                LEFT JOIN prescription_items pi ON p.id = pi.prescription_id
-                ${whereClause}
-                GROUP BY p.id, u.email, u.full_name, u.phone
-                ORDER BY p.created_at DESC
-                LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
-            `;
-
-            queryParams.push(limit, offset);
-
-            const { rows: prescriptions } = await this.db.query(prescriptionsQuery, queryParams);
+                LEFT JOIN prescription_items pi ON p.id = pi.prescription_id`,
+                countFrom: 'prescriptions p',
+                groupBy: 'p.id, u.email, u.full_name, u.phone',
+                orderBy: [
+                    { expression: 'p.created_at', direction: 'DESC' },
+                    { expression: 'p.id', direction: 'DESC' }
+                ]
+            });
 
             // Format response
             const formattedPrescriptions = prescriptions.map(prescription => ({
@@ -440,14 +461,7 @@ class Prescription {
                 success: true,
                 data: {
                     prescriptions: formattedPrescriptions,
-                    pagination: {
-                        currentPage: page,
-                        totalPages,
-                        totalRecords,
-                        limit,
-                        hasNextPage: page < totalPages,
-                        hasPrevPage: page > 1
-                    },
+                    pagination,
                     filters: {
                         status,
                         patientName,
@@ -464,7 +478,7 @@ class Prescription {
         }
     }
 
-    async updateStatus(prescriptionId, newStatus, reviewerId = null, reviewNotes = null) {
+    async updateStatus(prescriptionId, newStatus, reviewerId = null, reviewNotes = null, isSuperuser = false) {
         try {
             this.validator.clearErrors();
 
@@ -478,6 +492,28 @@ class Prescription {
                 throw ValidationError.invalidEnum('status', newStatus, validStatuses);
             }
 
+            // A rejection must tell the customer why
+            if (newStatus === 'rejected' && (!reviewNotes || String(reviewNotes).trim() === '')) {
+                throw ValidationError.missingFields(['reviewNotes']);
+            }
+
+            const { rows: existing } = await this.db.query(
+                'SELECT id, assigned_to FROM prescriptions WHERE id = $1',
+                [prescriptionId]
+            );
+
+            if (existing.length === 0) {
+                throw NotFoundError.prescription(prescriptionId);
+            }
+
+            // Claimed prescriptions are decided by their reviewer; superusers can override
+            if (existing[0].assigned_to && existing[0].assigned_to !== parseInt(reviewerId) && !isSuperuser) {
+                throw BusinessLogicError.invalidOperation(
+                    'review prescription',
+                    `Prescription is assigned to reviewer ${existing[0].assigned_to}`
+                );
+            }
+
             // Update prescription status
             const { rows: updatedPrescription } = await this.db.query(
                 `UPDATE prescriptions 
@@ -489,7 +525,7 @@ class Prescription {
             );
 
             if (updatedPrescription.length === 0) {
-                throw NotFoundError.product(prescriptionId); // Reusing product error for prescription
+                throw NotFoundError.prescription(prescriptionId);
             }
 
             this.logger.info(`Prescription status updated - ID: ${prescriptionId}, New Status: ${newStatus}, Reviewer: ${reviewerId}`);
@@ -512,6 +548,709 @@ class Prescription {
         }
     }
 
+    async getReviewQueue(filters = {}, reviewerId = null) {
+        try {
+            const page = Math.max(parseInt(filters.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 100);
+            const offset = (page - 1) * limit;
+
+            const queryParams = [REVIEW_SLA_HOURS];
+            let whereClause = `WHERE p.status = 'pending'`;
+
+            // assigned: 'me', 'unassigned' or a reviewer's user id
+            if (filters.assigned === 'me') {
+                queryParams.push(reviewerId);
+                whereClause += ` AND p.assigned_to = $${queryParams.length}`;
+            } else if (filters.assigned === 'unassigned') {
+                whereClause += ' AND p.assigned_to IS NULL';
+            } else if (filters.assigned) {
+                if (!/^[1-9]\d*$/.test(String(filters.assigned))) {
+                    throw ValidationError.invalidFormat('assigned', "'me', 'unassigned' or a reviewer's user id");
+                }
+                queryParams.push(parseInt(filters.assigned));
+                whereClause += ` AND p.assigned_to = $${queryParams.length}`;
+            }
+
+            if (filters.overdueOnly === 'true' || filters.overdueOnly === true) {
+                whereClause += ` AND p.created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)`;
+            }
+
+            const { rows: countResult } = await this.db.query(
+                `SELECT
+                    COUNT(*) AS total,
+                    COUNT(*) FILTER (WHERE p.created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)) AS overdue
+                FROM prescriptions p
+                ${whereClause}`,
+                queryParams
+            );
+
+            const { rows: prescriptions } = await this.db.query(
+                `SELECT
+                    p.id, p.user_id, p.patient_name, p.doctor_name, p.clinic_name, p.issue_date,
+                    p.created_at, p.assigned_to, p.assigned_at,
+                    jsonb_array_length(COALESCE(p.images, '[]'::jsonb)) AS image_count,
+                    u.full_name AS user_name,
+                    COALESCE(au.full_name, asu.full_name) AS assigned_to_name,
+                    p.created_at + make_interval(hours => $1) AS review_due_at,
+                    p.created_at < CURRENT_TIMESTAMP - make_interval(hours => $1) AS is_overdue,
+                    EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - p.created_at)) / 3600 AS hours_waiting
+                FROM prescriptions p
+                LEFT JOIN users u ON p.user_id = u.user_id
+                LEFT JOIN users au ON p.assigned_to = au.user_id
+                LEFT JOIN superusers asu ON p.assigned_to = asu.user_id
+                ${whereClause}
+                ORDER BY p.created_at ASC, p.id ASC
+                LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+                [...queryParams, limit, offset]
+            );
+
+            const totalRecords = parseInt(countResult[0].total);
+            const totalPages = Math.ceil(totalRecords / limit);
+
+            return {
+                success: true,
+                data: {
+                    slaHours: REVIEW_SLA_HOURS,
+                    overdueCount: parseInt(countResult[0].overdue),
+                    prescriptions: prescriptions.map(prescription => ({
+                        id: prescription.id,
+                        userId: prescription.user_id,
+                        userName: prescription.user_name,
+                        patientName: prescription.patient_name,
+                        doctorName: prescription.doctor_name,
+                        clinicName: prescription.clinic_name,
+                        issueDate: prescription.issue_date,
+                        imageCount: prescription.image_count,
+                        createdAt: prescription.created_at,
+                        reviewDueAt: prescription.review_due_at,
+                        isOverdue: prescription.is_overdue,
+                        hoursWaiting: Math.floor(parseFloat(prescription.hours_waiting)),
+                        assignedTo: prescription.assigned_to,
+                        assignedToName: prescription.assigned_to_name,
+                        assignedAt: prescription.assigned_at
+                    })),
+                    pagination: {
+                        currentPage: page,
+                        totalPages,
+                        totalRecords,
+                        limit,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('Get prescription review queue error:', error);
+            throw error;
+        }
+    }
+
+    // Claim a pending prescription for review by the calling pharmacist
+    async claim(prescriptionId, reviewerId) {
+        try {
+            return await this.setAssignment(prescriptionId, reviewerId, reviewerId, { allowReassign: false });
+        } catch (error) {
+            this.logger.error('Claim prescription error:', error);
+            throw error;
+        }
+    }
+
+    async assign(prescriptionId, assigneeId, assignedBy) {
+        try {
+            if (!assigneeId) {
+                throw ValidationError.missingFields(['assigneeId']);
+            }
+
+            // Only active pharmacists and superusers can review prescriptions
+            const { rows: reviewers } = await this.db.query(
+                `SELECT user_id FROM users WHERE user_id = $1 AND role = 'pharmacist' AND is_active = TRUE
+                UNION
+                SELECT user_id FROM superusers WHERE user_id = $1 AND is_active = TRUE`,
+                [assigneeId]
+            );
+
+            if (reviewers.length === 0) {
+                throw BusinessLogicError.invalidOperation(
+                    'assign prescription',
+                    `User ${assigneeId} is not an active pharmacist or superuser`
+                );
+            }
+
+            return await this.setAssignment(prescriptionId, parseInt(assigneeId), assignedBy, { allowReassign: true });
+        } catch (error) {
+            this.logger.error('Assign prescription error:', error);
+            throw error;
+        }
+    }
+
+    async release(prescriptionId, userId, isSuperuser = false) {
+        try {
+            const client = await this.db.getClient();
+
+            try {
+                await client.query('BEGIN');
+
+                const prescription = await this.lockForReview(client, prescriptionId);
+
+                if (!prescription.assigned_to) {
+                    throw BusinessLogicError.invalidOperation('release prescription', 'Prescription is not assigned');
+                }
+
+                if (prescription.assigned_to !== parseInt(userId) && !isSuperuser) {
+                    throw BusinessLogicError.invalidOperation(
+                        'release prescription',
+                        `Prescription is assigned to reviewer ${prescription.assigned_to}`
+                    );
+                }
+
+                await client.query(
+                    `UPDATE prescriptions SET assigned_to = NULL, assigned_by = NULL, assigned_at = NULL,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1`,
+                    [prescriptionId]
+                );
+
+                await client.query('COMMIT');
+
+                this.logger.info(`Prescription released - ID: ${prescriptionId}, Previous reviewer: ${prescription.assigned_to}, By: ${userId}`);
+
+                return {
+                    success: true,
+                    message: 'Prescription returned to the review queue',
+                    data: {
+                        id: prescription.id,
+                        assignedTo: null
+                    }
+                };
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+        } catch (error) {
+            this.logger.error('Release prescription error:', error);
+            throw error;
+        }
+    }
+
+    async setAssignment(prescriptionId, assigneeId, assignedBy, { allowReassign }) {
+        const client = await this.db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            const prescription = await this.lockForReview(client, prescriptionId);
+
+            if (prescription.assigned_to && !allowReassign && prescription.assigned_to !== assigneeId) {
+                throw BusinessLogicError.invalidOperation(
+                    'claim prescription',
+                    `Prescription is already assigned to reviewer ${prescription.assigned_to}`
+                );
+            }
+
+            const { rows: updated } = await client.query(
+                `UPDATE prescriptions SET assigned_to = $1, assigned_by = $2, assigned_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $3
+                RETURNING id, assigned_to, assigned_by, assigned_at`,
+                [assigneeId, assignedBy, prescriptionId]
+            );
+
+            await client.query('COMMIT');
+
+            this.logger.info(`Prescription assigned - ID: ${prescriptionId}, Reviewer: ${assigneeId}, By: ${assignedBy}`);
+
+            return {
+                success: true,
+                message: 'Prescription assigned for review',
+                data: {
+                    id: updated[0].id,
+                    assignedTo: updated[0].assigned_to,
+                    assignedBy: updated[0].assigned_by,
+                    assignedAt: updated[0].assigned_at
+                }
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async lockForReview(client, prescriptionId) {
+        const { rows: prescriptions } = await client.query(
+            'SELECT id, status, assigned_to FROM prescriptions WHERE id = $1 FOR UPDATE',
+            [prescriptionId]
+        );
+
+        if (prescriptions.length === 0) {
+            throw NotFoundError.prescription(prescriptionId);
+        }
+
+        if (prescriptions[0].status !== 'pending') {
+            throw BusinessLogicError.invalidOperation(
+                'change prescription assignment',
+                `Prescription status is '${prescriptions[0].status}'`
+            );
+        }
+
+        return prescriptions[0];
+    }
+
+    /**
+     * Suggest catalog products for each prescription item, scored on the medication name
+     * against product titles and ingredients, plus the dosage (e.g. "500mg") against the title.
+     */
+    async getProductSuggestions(prescriptionId) {
+        try {
+            const { rows: prescriptions } = await this.db.query(
+                'SELECT id, status FROM prescriptions WHERE id = $1',
+                [prescriptionId]
+            );
+
+            if (prescriptions.length === 0) {
+                throw NotFoundError.prescription(prescriptionId);
+            }
+
+            const { rows: items } = await this.db.query(
+                `SELECT pi.id, pi.medication_name, pi.dosage, pi.quantity, pi.product_id,
+                    pi.product_mapped_by, pi.product_mapped_at, p.title AS product_title
+                FROM prescription_items pi
+                LEFT JOIN products p ON pi.product_id = p.id
+                WHERE pi.prescription_id = $1
+                ORDER BY pi.id`,
+                [prescriptionId]
+            );
+
+            const suggestions = [];
+            for (const item of items) {
+                suggestions.push({
+                    id: item.id,
+                    medicationName: item.medication_name,
+                    dosage: item.dosage,
+                    quantity: item.quantity,
+                    productId: item.product_id,
+                    productTitle: item.product_title,
+                    // Confirmed once a pharmacist has mapped the item
+                    productConfirmed: Boolean(item.product_mapped_by),
+                    productMappedAt: item.product_mapped_at,
+                    suggestions: await this.findMatchingProducts(item.medication_name, item.dosage)
+                });
+            }
+
+            return {
+                success: true,
+                data: {
+                    prescriptionId: prescriptions[0].id,
+                    status: prescriptions[0].status,
+                    items: suggestions
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('Get prescription product suggestions error:', error);
+            throw error;
+        }
+    }
+
+    async findMatchingProducts(medicationName, dosage) {
+        // Name terms: words of 3+ letters, so strengths and units do not match on their own
+        const terms = [...new Set(
+            String(medicationName || '').toLowerCase().split(/[^\p{L}]+/u).filter(term => term.length >= 3)
+        )].slice(0, 4);
+
+        if (terms.length === 0) {
+            return [];
+        }
+
+        // "500 mg" on the prescription should match "500mg" in a title
+        const strength = String(dosage || '').toLowerCase().replace(/\s+/g, '').match(/\d+(?:[.,]\d+)?[a-zµ%]*/u);
+
+        const queryParams = [`%${String(medicationName).trim()}%`];
+        const termScores = terms.map(term => {
+            queryParams.push(`%${term}%`);
+            const param = `$${queryParams.length}`;
+            return `(CASE WHEN p.title ILIKE ${param} THEN 2 ELSE 0 END)
+                + (CASE WHEN p.ingredients::text ILIKE ${param} THEN 2 ELSE 0 END)`;
+        });
+
+        let strengthScore = '0';
+        if (strength) {
+            queryParams.push(`%${strength[0]}%`);
+            strengthScore = `(CASE WHEN regexp_replace(lower(p.title), '\\s+', '', 'g') LIKE $${queryParams.length} THEN 2 ELSE 0 END)`;
+        }
+
+        queryParams.push(MAX_PRODUCT_SUGGESTIONS);
+
+        const { rows: products } = await this.db.query(
+            `SELECT * FROM (
+                SELECT
+                    p.id, p.title, p.sku, p.price_value, p.unit, p.stock_quantity, p.status, p.requires_prescription,
+                    (CASE WHEN p.title ILIKE $1 THEN 3 ELSE 0 END) AS name_score,
+                    ${termScores.join(' + ')} AS term_score,
+                    ${strengthScore} AS strength_score
+                FROM products p
+                WHERE p.status <> 'inactive'
+            ) scored
+            WHERE name_score + term_score > 0
+            ORDER BY name_score + term_score + strength_score DESC, (stock_quantity > 0) DESC, title ASC
+            LIMIT $${queryParams.length}`,
+            queryParams
+        );
+
+        return products.map(product => ({
+            productId: product.id,
+            title: product.title,
+            sku: product.sku,
+            priceValue: product.price_value,
+            unit: product.unit,
+            stockQuantity: product.stock_quantity,
+            status: product.status,
+            requiresPrescription: product.requires_prescription,
+            score: product.name_score + product.term_score + product.strength_score,
+            strengthMatched: product.strength_score > 0
+        }));
+    }
+
+    /**
+     * Confirm (or clear, with productId null) the catalog product an item is filled with
+     */
+    async mapItemProduct(prescriptionId, itemId, productId, pharmacistId) {
+        try {
+            if (productId === undefined) {
+                throw ValidationError.missingFields(['productId']);
+            }
+
+            const { rows: items } = await this.db.query(
+                `SELECT pi.id, pi.dispensed_quantity, p.status
+                FROM prescription_items pi
+                JOIN prescriptions p ON pi.prescription_id = p.id
+                WHERE pi.id = $1 AND pi.prescription_id = $2`,
+                [itemId, prescriptionId]
+            );
+
+            if (items.length === 0) {
+                throw NotFoundError.prescription(prescriptionId);
+            }
+
+            if (['rejected', 'expired'].includes(items[0].status)) {
+                throw BusinessLogicError.invalidOperation(
+                    'map prescription item',
+                    `Prescription status is '${items[0].status}'`
+                );
+            }
+
+            // Dispensing history is recorded against the mapped product
+            if (items[0].dispensed_quantity > 0) {
+                throw BusinessLogicError.invalidOperation(
+                    'map prescription item',
+                    'Item has already been dispensed against its current product'
+                );
+            }
+
+            let product = null;
+            if (productId !== null) {
+                const { rows: products } = await this.db.query(
+                    'SELECT id, title, sku FROM products WHERE id = $1',
+                    [productId]
+                );
+
+                if (products.length === 0) {
+                    throw NotFoundError.product(productId);
+                }
+
+                product = products[0];
+            }
+
+            const { rows: updated } = await this.db.query(
+                `UPDATE prescription_items SET
+                    product_id = $1,
+                    product_mapped_by = CASE WHEN $1::int IS NULL THEN NULL ELSE $2::int END,
+                    product_mapped_at = CASE WHEN $1::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+                WHERE id = $3
+                RETURNING id, product_id, product_mapped_by, product_mapped_at`,
+                [productId, pharmacistId, itemId]
+            );
+
+            this.logger.info(`Prescription item mapped - Prescription: ${prescriptionId}, Item: ${itemId}, Product: ${productId}, By: ${pharmacistId}`);
+
+            return {
+                success: true,
+                message: productId === null ? 'Product mapping cleared' : 'Product mapping confirmed',
+                data: {
+                    id: updated[0].id,
+                    productId: updated[0].product_id,
+                    productTitle: product ? product.title : null,
+                    productSku: product ? product.sku : null,
+                    productMappedBy: updated[0].product_mapped_by,
+                    productMappedAt: updated[0].product_mapped_at
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('Map prescription item product error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Put every item of an approved prescription whose product a pharmacist has confirmed in the
+     * owner's cart, sized to what can still be dispensed and what is in stock. Unmapped, unconfirmed
+     * or unavailable items are reported back.
+     */
+    async addItemsToCart(prescriptionId, userId) {
+        try {
+            const { rows: prescriptions } = await this.db.query(
+                `SELECT id, status, (expiry_date IS NOT NULL AND expiry_date < CURRENT_DATE) AS is_expired
+                FROM prescriptions WHERE id = $1 AND user_id = $2`,
+                [prescriptionId, userId]
+            );
+
+            if (prescriptions.length === 0) {
+                throw NotFoundError.prescription(prescriptionId);
+            }
+
+            if (prescriptions[0].status !== 'approved') {
+                throw BusinessLogicError.invalidPrescription(prescriptionId, `status is '${prescriptions[0].status}'`);
+            }
+
+            if (prescriptions[0].is_expired) {
+                throw BusinessLogicError.invalidPrescription(prescriptionId, 'prescription has expired');
+            }
+
+            const { rows: items } = await this.db.query(
+                `SELECT
+                    pi.id, pi.medication_name, pi.product_id, pi.product_mapped_by, pi.quantity, pi.dispensed_quantity,
+                    pi.refills_allowed, pi.refill_interval_days, pi.last_dispensed_at,
+                    p.title AS product_title, p.status AS product_status, p.stock_quantity
+                FROM prescription_items pi
+                LEFT JOIN products p ON pi.product_id = p.id
+                WHERE pi.prescription_id = $1
+                ORDER BY pi.id`,
+                [prescriptionId]
+            );
+
+            const quantities = new Map();
+            const skipped = [];
+
+            for (const item of items) {
+                if (!item.product_id) {
+                    skipped.push({ itemId: item.id, medicationName: item.medication_name, reason: 'not_mapped' });
+                    continue;
+                }
+
+                // A product chosen by the customer on upload only counts once a pharmacist confirms it
+                if (!item.product_mapped_by) {
+                    skipped.push({ itemId: item.id, medicationName: item.medication_name, reason: 'mapping_not_confirmed' });
+                    continue;
+                }
+
+                if (item.product_status !== 'active') {
+                    skipped.push({ itemId: item.id, medicationName: item.medication_name, reason: 'unavailable' });
+                    continue;
+                }
+
+                // Items without a quantity default to one unit
+                const { availableNow, nextRefillAt } = this.dispensingModel.getAvailability(item);
+                const wanted = availableNow === null ? 1 : availableNow;
+
+                if (wanted === 0) {
+                    skipped.push({
+                        itemId: item.id,
+                        medicationName: item.medication_name,
+                        reason: nextRefillAt ? 'refill_not_due' : 'fully_dispensed',
+                        nextRefillAt
+                    });
+                    continue;
+                }
+
+                quantities.set(item.product_id, (quantities.get(item.product_id) || 0) + wanted);
+            }
+
+            const added = [];
+            for (const [productId, wanted] of quantities) {
+                const item = items.find(entry => entry.product_id === productId);
+                const quantity = Math.min(wanted, item.stock_quantity);
+
+                if (quantity === 0) {
+                    skipped.push({ itemId: item.id, medicationName: item.medication_name, reason: 'out_of_stock' });
+                    continue;
+                }
+
+                added.push({ productId, productTitle: item.product_title, quantity, requested: wanted });
+            }
+
+            if (added.length > 0) {
+                await this.cartModel.mergeItems(userId, added.map(item => ({ id: item.productId, quantity: item.quantity })));
+            }
+
+            this.logger.info(`Prescription items added to cart - Prescription: ${prescriptionId}, User: ${userId}, Added: ${added.length}, Skipped: ${skipped.length}`);
+
+            return {
+                success: true,
+                message: added.length > 0 ? 'Prescribed items added to cart' : 'No prescribed items could be added to cart',
+                data: {
+                    prescriptionId: parseInt(prescriptionId),
+                    added,
+                    skipped
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('Add prescription items to cart error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark approved and pending prescriptions whose expiry_date has passed as expired.
+     * Returns the rows that changed so the caller can log them.
+     */
+    async expireOverdue() {
+        try {
+            const { rows: expired } = await this.db.query(
+                `UPDATE prescriptions p SET
+                    status = 'expired',
+                    assigned_to = NULL, assigned_by = NULL, assigned_at = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                FROM prescriptions previous
+                WHERE p.id = previous.id
+                    AND p.status IN ('approved', 'pending')
+                    AND p.expiry_date IS NOT NULL
+                    AND p.expiry_date < CURRENT_DATE
+                RETURNING p.id, p.user_id, previous.status AS previous_status, p.expiry_date`
+            );
+
+            return expired.map(prescription => ({
+                id: prescription.id,
+                userId: prescription.user_id,
+                previousStatus: prescription.previous_status,
+                expiryDate: prescription.expiry_date
+            }));
+
+        } catch (error) {
+            this.logger.error('Expire overdue prescriptions error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Expire pending prescriptions nobody reviewed within maxAgeDays of submission.
+     * No reviewer is recorded; the reason is left in review_notes for the customer.
+     */
+    async expireStalePending(maxAgeDays) {
+        try {
+            if (!Number.isInteger(maxAgeDays) || maxAgeDays < 1) {
+                throw ValidationError.invalidNumber('maxAgeDays', maxAgeDays, 1);
+            }
+
+            const { rows: expired } = await this.db.query(
+                `UPDATE prescriptions SET
+                    status = 'expired',
+                    review_notes = $2,
+                    assigned_to = NULL, assigned_by = NULL, assigned_at = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE status = 'pending'
+                    AND created_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+                RETURNING id, user_id, created_at`,
+                [maxAgeDays, `Not reviewed within ${maxAgeDays} days of submission; please submit it again`]
+            );
+
+            return expired.map(prescription => ({
+                id: prescription.id,
+                userId: prescription.user_id,
+                createdAt: prescription.created_at
+            }));
+
+        } catch (error) {
+            this.logger.error('Expire stale pending prescriptions error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move images stored before prescription scans were private (e.g. under products/prescriptions/)
+     * to private keys under prescriptions/<userId>/, then delete the publicly readable originals.
+     * A prescription whose images change meanwhile is left for the next run.
+     */
+    async movePublicImagesToPrivate() {
+        try {
+            const { rows: prescriptions } = await this.db.query(
+                `SELECT id, user_id, images FROM prescriptions
+                WHERE jsonb_typeof(images) = 'array'
+                    AND EXISTS (
+                        SELECT 1 FROM jsonb_array_elements_text(images) AS stored(image)
+                        WHERE image NOT LIKE 'prescriptions/%'
+                    )
+                ORDER BY id`
+            );
+
+            const moved = [];
+            const failed = [];
+
+            for (const prescription of prescriptions) {
+                const copies = [];
+
+                try {
+                    const images = [];
+                    for (const image of prescription.images) {
+                        const key = this.getImageKey(image);
+                        if (typeof key === 'string' && key.startsWith('prescriptions/')) {
+                            images.push(key);
+                            continue;
+                        }
+
+                        const targetKey = `prescriptions/${prescription.user_id}/${key.split('/').pop()}`;
+                        await this.storageService.copyToPrivate(key, targetKey);
+                        copies.push({ sourceKey: key, targetKey });
+                        images.push(targetKey);
+                    }
+
+                    const { rows: updated } = await this.db.query(
+                        `UPDATE prescriptions SET images = $1, updated_at = CURRENT_TIMESTAMP
+                        WHERE id = $2 AND images = $3
+                        RETURNING id`,
+                        [JSON.stringify(images), prescription.id, JSON.stringify(prescription.images)]
+                    );
+
+                    if (updated.length === 0) {
+                        // Images were edited since they were read; drop the copies and retry next run
+                        for (const copy of copies) {
+                            await this.storageService.deleteImage(copy.targetKey);
+                        }
+                        continue;
+                    }
+
+                    for (const copy of copies) {
+                        try {
+                            await this.storageService.deleteImage(copy.sourceKey);
+                        } catch (deleteError) {
+                            this.logger.warn(`Public prescription image not deleted - Key: ${copy.sourceKey}: ${deleteError.message}`);
+                        }
+                    }
+
+                    moved.push({ id: prescription.id, imageCount: copies.length });
+
+                } catch (error) {
+                    this.logger.error(`Move prescription images error - Prescription: ${prescription.id}:`, error);
+                    failed.push(prescription.id);
+                }
+            }
+
+            return { moved, failed };
+
+        } catch (error) {
+            this.logger.error('Move public prescription images error:', error);
+            throw error;
+        }
+    }
+
     async delete(prescriptionId, userId) {
         try {
             if (!prescriptionId) {
@@ -556,14 +1295,15 @@ class Prescription {
                 if (images.length > 0) {
                     this.logger.info(`Cleaning up ${images.length} prescription images for prescription ${prescriptionId}`);
                     
-                    for (const imageUrl of images) {
+                    for (const image of images) {
+                        const imageKey = this.getImageKey(image);
                         try {
-                            await this.s3Service.deleteImageFromUrl(imageUrl);
-                            s3DeleteResults.push({ url: imageUrl, success: true });
-                            this.logger.info(`Successfully deleted prescription image: ${imageUrl}`);
+                            await this.storageService.deleteImage(imageKey);
+                            s3DeleteResults.push({ key: imageKey, success: true });
+                            this.logger.info(`Successfully deleted prescription image: ${imageKey}`);
                         } catch (s3Error) {
-                            s3DeleteResults.push({ url: imageUrl, success: false, error: s3Error.message });
-                            this.logger.warn(`Failed to delete prescription image: ${imageUrl}. Error: ${s3Error.message}`);
+                            s3DeleteResults.push({ key: imageKey, success: false, error: s3Error.message });
+                            this.logger.warn(`Failed to delete prescription image: ${imageKey}. Error: ${s3Error.message}`);
                         }
                     }
                 }
@@ -597,13 +1337,158 @@ class Prescription {
         }
     }
 
+    async addImage(prescriptionId, userId, file) {
+        try {
+            if (!file) {
+                throw ValidationError.missingFields(['file']);
+            }
+
+            const { rows: prescriptions } = await this.db.query(
+                'SELECT id FROM prescriptions WHERE id = $1 AND user_id = $2',
+                [prescriptionId, userId]
+            );
+
+            if (prescriptions.length === 0) {
+                throw NotFoundError.prescription(prescriptionId);
+            }
+
+            const uploadResult = await this.storageService.uploadPrivateFile(file, `prescriptions/${userId}`);
+
+            // Append in one statement so concurrent uploads don't overwrite each other
+            const { rows: updated } = await this.db.query(
+                `UPDATE prescriptions SET images = COALESCE(images, '[]'::jsonb) || jsonb_build_array($1::text),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+                RETURNING images`,
+                [uploadResult.key, prescriptionId]
+            );
+
+            const images = updated[0].images;
+            const signedImages = await this.signImages(images);
+
+            return {
+                success: true,
+                message: 'Prescription image uploaded successfully',
+                data: {
+                    imageIndex: images.length - 1,
+                    imageUrl: signedImages.urls[images.length - 1],
+                    updatedImages: signedImages.urls,
+                    imagesExpireAt: signedImages.expiresAt
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('Add prescription image error:', error);
+            throw error;
+        }
+    }
+
+    async removeImage(prescriptionId, userId, imageIndex) {
+        try {
+            const { rows: prescriptions } = await this.db.query(
+                'SELECT id, images FROM prescriptions WHERE id = $1 AND user_id = $2',
+                [prescriptionId, userId]
+            );
+
+            if (prescriptions.length === 0) {
+                throw NotFoundError.prescription(prescriptionId);
+            }
+
+            const currentImages = prescriptions[0].images || [];
+            const index = parseInt(imageIndex);
+
+            if (!Number.isInteger(index) || index < 0 || index >= currentImages.length) {
+                throw ValidationError.invalidNumber('imageIndex', imageIndex, 0, currentImages.length - 1);
+            }
+
+            const imageKey = this.getImageKey(currentImages[index]);
+            let s3DeleteSuccess = false;
+            let s3DeleteError = null;
+
+            // Attempt to delete image from S3
+            try {
+                await this.storageService.deleteImage(imageKey);
+                s3DeleteSuccess = true;
+                this.logger.info(`Successfully deleted prescription image from S3: ${imageKey}`);
+            } catch (s3Error) {
+                s3DeleteError = s3Error.message;
+                this.logger.warn(`Failed to delete prescription image from S3: ${imageKey}. Error: ${s3Error.message}`);
+            }
+
+            // Always proceed with database cleanup regardless of S3 deletion result
+            const updatedImages = currentImages.filter((_, position) => position !== index);
+
+            await this.db.query(
+                'UPDATE prescriptions SET images = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [JSON.stringify(updatedImages), prescriptionId]
+            );
+
+            const signedImages = await this.signImages(updatedImages);
+
+            const result = {
+                success: true,
+                message: s3DeleteSuccess
+                    ? 'Prescription image deleted successfully from both S3 and database'
+                    : 'Prescription image removed from database (S3 deletion failed but database was cleaned up)',
+                data: {
+                    deletedImageIndex: index,
+                    updatedImages: signedImages.urls,
+                    imagesExpireAt: signedImages.expiresAt,
+                    s3DeleteSuccess: s3DeleteSuccess
+                }
+            };
+
+            // Add warning if S3 deletion failed
+            if (!s3DeleteSuccess) {
+                result.warning = `S3 deletion failed: ${s3DeleteError}. Image was removed from database but may still exist in S3.`;
+            }
+
+            return result;
+
+        } catch (error) {
+            this.logger.error('Remove prescription image error:', error);
+            throw error;
+        }
+    }
+
+    // Rows written before images were stored by key still hold full S3 URLs
+    getImageKey(image) {
+        return typeof image === 'string' && image.startsWith('http')
+            ? this.storageService.extractKeyFromUrl(image)
+            : image;
+    }
+
+    // Keys under prescriptions/<userId>/ are the user's own uploads
+    isOwnPrescriptionKey(key, userId) {
+        return typeof key === 'string' &&
+            key.startsWith(`prescriptions/${userId}/`) &&
+            !key.split('/').includes('..');
+    }
+
+    /**
+     * Turn stored image keys into short-lived presigned URLs.
+     * Callers must have checked that the requester may see the prescription.
+     */
+    async signImages(images) {
+        const urls = [];
+        for (const image of images) {
+            const { signedUrl } = await this.storageService.getSignedUrl(this.getImageKey(image), IMAGE_URL_TTL_SECONDS);
+            urls.push(signedUrl);
+        }
+
+        return {
+            urls,
+            expiresAt: urls.length > 0 ? new Date(Date.now() + IMAGE_URL_TTL_SECONDS * 1000) : null
+        };
+    }
+
     async processBase64Images(images, userId) {
         try {
             if (!images || !Array.isArray(images)) {
                 return [];
             }
 
-            const uploadedImageUrls = [];
+            const uploadedImageKeys = [];
             
             for (let i = 0; i < images.length; i++) {
                 const imageData = images[i];
@@ -622,31 +1507,36 @@ class Prescription {
                         // Determine file extension from mime type
                         const fileExtension = mimeType.split('/')[1] || 'jpg';
                         
-                        // Create a fake file object for the S3Service
+                        // Create a fake file object for the storage service
                         const fakeFile = {
                             buffer: buffer,
                             mimetype: mimeType,
                             originalname: `prescription_${i}.${fileExtension}`
                         };
                         
-                        // Upload to S3 with prescription folder structure
-                        const uploadResult = await this.s3Service.uploadImage(fakeFile, `prescriptions/${userId}`);
-                        uploadedImageUrls.push(uploadResult.url);
+                        // Upload privately; only the key is stored
+                        const uploadResult = await this.storageService.uploadPrivateFile(fakeFile, `prescriptions/${userId}`);
+                        uploadedImageKeys.push(uploadResult.key);
                         
-                        this.logger.info(`Converted base64 prescription image ${i} to S3 URL: ${uploadResult.url}`);
+                        this.logger.info(`Stored base64 prescription image ${i} as private object: ${uploadResult.key}`);
                     } else {
                         // If it's not a valid base64 image, skip it
                         this.logger.warn(`Invalid base64 prescription image format at index ${i}`);
                     }
                 } else if (typeof imageData === 'string' && imageData.startsWith('http')) {
-                    // If it's already a URL, keep it as is
-                    uploadedImageUrls.push(imageData);
+                    // Links can't be kept private, so only this user's own prescription uploads in our bucket are accepted
+                    const imageKey = this.storageService.ownsUrl(imageData) ? this.getImageKey(imageData) : null;
+                    if (this.isOwnPrescriptionKey(imageKey, userId)) {
+                        uploadedImageKeys.push(imageKey);
+                    } else {
+                        this.logger.warn(`Prescription image URL outside prescriptions/${userId}/ rejected at index ${i}`);
+                    }
                 } else {
                     this.logger.warn(`Unknown prescription image format at index ${i}: ${typeof imageData}`);
                 }
             }
 
-            return uploadedImageUrls;
+            return uploadedImageKeys;
             
         } catch (error) {
             this.logger.error('Error processing prescription base64 images:', error);
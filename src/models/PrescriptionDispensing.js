@@ -0,0 +1,309 @@
+const Database = require('../core/Database');
+const ServiceManager = require('../core/ServiceManager');
+const {
+    NotFoundError,
+    BusinessLogicError
+} = require('../core/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PrescriptionDispensing {
+    constructor() {
+        this.db = new Database();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    /**
+     * Work out how much of a prescription item can still be dispensed.
+     * Items without a quantity are unlimited. Within the refill interval only the
+     * rest of the current fill is available; the next fill opens at nextRefillAt.
+     */
+    getAvailability(item, now = new Date()) {
+        if (item.quantity === null || item.quantity === undefined) {
+            return { totalAllowed: null, remainingQuantity: null, availableNow: null, nextRefillAt: null };
+        }
+
+        const totalAllowed = item.quantity * (1 + item.refills_allowed);
+        const remainingQuantity = Math.max(totalAllowed - item.dispensed_quantity, 0);
+
+        let availableNow = remainingQuantity;
+        let nextRefillAt = null;
+
+        if (item.refill_interval_days && item.last_dispensed_at && item.dispensed_quantity > 0) {
+            const refillOpensAt = new Date(new Date(item.last_dispensed_at).getTime() + item.refill_interval_days * DAY_MS);
+
+            if (refillOpensAt > now) {
+                const fillsStarted = Math.ceil(item.dispensed_quantity / item.quantity);
+                availableNow = Math.min(fillsStarted * item.quantity - item.dispensed_quantity, remainingQuantity);
+                if (remainingQuantity > availableNow) {
+                    nextRefillAt = refillOpensAt;
+                }
+            }
+        }
+
+        return { totalAllowed, remainingQuantity, availableNow, nextRefillAt };
+    }
+
+    /**
+     * Items on the prescription that cover the given products, in the order they are drawn down.
+     * An item mapped to a listing or to any of its variants covers every pack size of that listing;
+     * covered_product_ids lists which of the given products each item covers.
+     * Only mappings a pharmacist has confirmed count; a product the customer picked on upload does not.
+     */
+    async getCoveringItems(client, prescriptionId, productIds, lock = false) {
+        const { rows: items } = await client.query(
+            `SELECT pi.id, pi.product_id, pi.quantity, pi.dispensed_quantity, pi.refills_allowed,
+                pi.refill_interval_days, pi.last_dispensed_at,
+                ARRAY(
+                    SELECT r.id FROM products r
+                    WHERE r.id = ANY($2::int[]) AND COALESCE(r.parent_id, r.id) = COALESCE(p.parent_id, p.id)
+                ) AS covered_product_ids
+            FROM prescription_items pi
+            JOIN products p ON p.id = pi.product_id
+            WHERE pi.prescription_id = $1
+                AND pi.product_mapped_by IS NOT NULL
+                AND COALESCE(p.parent_id, p.id) IN (
+                    SELECT COALESCE(r.parent_id, r.id) FROM products r WHERE r.id = ANY($2::int[])
+                )
+            ORDER BY pi.id
+            ${lock ? 'FOR UPDATE OF pi' : ''}`,
+            [prescriptionId, productIds]
+        );
+
+        return items;
+    }
+
+    /**
+     * Check that each Rx line fits in what the prescription can still dispense.
+     * @param {Array<{ productId: number, quantity: number }>} rxItems
+     * @param {Array} items - rows from getCoveringItems
+     * @returns {Array} uncovered lines, empty when everything is covered
+     */
+    checkCoverage(rxItems, items) {
+        const productIds = [...new Set(rxItems.map(item => item.productId))];
+
+        const uncoveredItems = [];
+        for (const productId of productIds) {
+            const requested = rxItems
+                .filter(item => item.productId === productId)
+                .reduce((total, item) => total + item.quantity, 0);
+
+            const covering = items.filter(item => item.covered_product_ids.includes(productId));
+            const availability = covering.map(item => this.getAvailability(item));
+
+            // Any unlimited item covers the product outright
+            if (covering.length > 0 && availability.some(entry => entry.availableNow === null)) {
+                continue;
+            }
+
+            const covered = availability.reduce((total, entry) => total + entry.availableNow, 0);
+
+            if (covering.length === 0 || covered < requested) {
+                const refillDates = availability.map(entry => entry.nextRefillAt).filter(Boolean);
+                uncoveredItems.push({
+                    productId,
+                    requested,
+                    covered,
+                    nextRefillAt: refillDates.length > 0 ? new Date(Math.min(...refillDates)) : null
+                });
+            }
+        }
+
+        return uncoveredItems;
+    }
+
+    /**
+     * Draw an order's Rx lines down against its prescription. Runs inside the
+     * transaction that confirms the order; throws if the prescription no longer covers it.
+     */
+    async dispenseForOrder(client, orderId, dispensedBy = null) {
+        const { rows: orders } = await client.query(
+            'SELECT id, prescription_id FROM orders WHERE id = $1',
+            [orderId]
+        );
+
+        if (orders.length === 0) {
+            throw NotFoundError.order(orderId);
+        }
+
+        const prescriptionId = orders[0].prescription_id;
+        if (!prescriptionId) {
+            return [];
+        }
+
+        const { rows: orderItems } = await client.query(
+            `SELECT id, product_id, quantity FROM order_items
+            WHERE order_id = $1 AND requires_prescription = TRUE
+            ORDER BY id`,
+            [orderId]
+        );
+
+        if (orderItems.length === 0) {
+            return [];
+        }
+
+        const { rows: prescriptions } = await client.query(
+            `SELECT id, status, (expiry_date IS NOT NULL AND expiry_date < CURRENT_DATE) AS is_expired
+            FROM prescriptions WHERE id = $1 FOR SHARE`,
+            [prescriptionId]
+        );
+
+        if (prescriptions.length === 0) {
+            throw NotFoundError.prescription(prescriptionId);
+        }
+
+        if (prescriptions[0].status !== 'approved') {
+            throw BusinessLogicError.invalidPrescription(prescriptionId, `status is '${prescriptions[0].status}'`);
+        }
+
+        if (prescriptions[0].is_expired) {
+            throw BusinessLogicError.invalidPrescription(prescriptionId, 'prescription has expired');
+        }
+
+        const rxItems = orderItems.map(item => ({ productId: item.product_id, quantity: item.quantity }));
+        const items = await this.getCoveringItems(client, prescriptionId, rxItems.map(item => item.productId), true);
+
+        const uncoveredItems = this.checkCoverage(rxItems, items);
+        if (uncoveredItems.length > 0) {
+            throw BusinessLogicError.prescriptionCoverage(prescriptionId, uncoveredItems);
+        }
+
+        // Availability is taken once, before this order draws anything, matching the coverage check
+        const available = new Map(items.map(item => [item.id, this.getAvailability(item).availableNow]));
+        const dispensings = [];
+
+        for (const orderItem of orderItems) {
+            let outstanding = orderItem.quantity;
+
+            for (const item of items.filter(entry => entry.covered_product_ids.includes(orderItem.product_id))) {
+                if (outstanding === 0) break;
+
+                const availableNow = available.get(item.id);
+                const take = availableNow === null ? outstanding : Math.min(availableNow, outstanding);
+                if (take === 0) continue;
+
+                await client.query(
+                    `UPDATE prescription_items
+                    SET dispensed_quantity = dispensed_quantity + $1, last_dispensed_at = CURRENT_TIMESTAMP
+                    WHERE id = $2`,
+                    [take, item.id]
+                );
+                await client.query(
+                    `INSERT INTO prescription_dispensings (prescription_item_id, order_id, order_item_id, quantity, dispensed_by)
+                    VALUES ($1, $2, $3, $4, $5)`,
+                    [item.id, orderId, orderItem.id, take, dispensedBy]
+                );
+
+                if (availableNow !== null) {
+                    available.set(item.id, availableNow - take);
+                }
+                outstanding -= take;
+
+                dispensings.push({ prescriptionItemId: item.id, orderItemId: orderItem.id, quantity: take });
+            }
+        }
+
+        this.logger.info(`Prescription dispensed - Prescription: ${prescriptionId}, Order: ${orderId}, Lines: ${dispensings.length}`);
+
+        return dispensings;
+    }
+
+    /**
+     * Give back everything an order drew from its prescription (on cancellation)
+     */
+    async reverseForOrder(client, orderId) {
+        const { rows: reversed } = await client.query(
+            `UPDATE prescription_dispensings SET reversed_at = CURRENT_TIMESTAMP
+            WHERE order_id = $1 AND reversed_at IS NULL
+            RETURNING prescription_item_id, quantity`,
+            [orderId]
+        );
+
+        for (const dispensing of reversed) {
+            await this.restoreItem(client, dispensing.prescription_item_id, dispensing.quantity);
+        }
+
+        if (reversed.length > 0) {
+            this.logger.info(`Prescription dispensing reversed - Order: ${orderId}, Lines: ${reversed.length}`);
+        }
+
+        return reversed.length;
+    }
+
+    /**
+     * Give back what an order line drew from its prescription for its refunded units, latest
+     * dispensing first, until the reversed units reach refundedQuantity (the line's refunded total,
+     * so a refund that failed and is retried is not given back twice). A partly reversed
+     * dispensing is split so the reversed units keep their own row.
+     */
+    async reverseForOrderItem(client, orderItemId, refundedQuantity) {
+        const { rows: dispensings } = await client.query(
+            `SELECT id, prescription_item_id, quantity, reversed_at FROM prescription_dispensings
+            WHERE order_item_id = $1
+            ORDER BY id DESC
+            FOR UPDATE`,
+            [orderItemId]
+        );
+
+        const alreadyReversed = dispensings
+            .filter(dispensing => dispensing.reversed_at !== null)
+            .reduce((total, dispensing) => total + dispensing.quantity, 0);
+        const quantity = Math.max(refundedQuantity - alreadyReversed, 0);
+        let remaining = quantity;
+
+        for (const dispensing of dispensings.filter(entry => entry.reversed_at === null)) {
+            if (remaining === 0) break;
+
+            const reversedQuantity = Math.min(dispensing.quantity, remaining);
+
+            if (reversedQuantity === dispensing.quantity) {
+                await client.query(
+                    'UPDATE prescription_dispensings SET reversed_at = CURRENT_TIMESTAMP WHERE id = $1',
+                    [dispensing.id]
+                );
+            } else {
+                await client.query(
+                    'UPDATE prescription_dispensings SET quantity = quantity - $1 WHERE id = $2',
+                    [reversedQuantity, dispensing.id]
+                );
+                await client.query(
+                    `INSERT INTO prescription_dispensings (
+                        prescription_item_id, order_id, order_item_id, quantity, dispensed_by, dispensed_at, reversed_at
+                    )
+                    SELECT prescription_item_id, order_id, order_item_id, $1, dispensed_by, dispensed_at, CURRENT_TIMESTAMP
+                    FROM prescription_dispensings WHERE id = $2`,
+                    [reversedQuantity, dispensing.id]
+                );
+            }
+
+            await this.restoreItem(client, dispensing.prescription_item_id, reversedQuantity);
+            remaining -= reversedQuantity;
+        }
+
+        const reversedTotal = quantity - remaining;
+        if (reversedTotal > 0) {
+            this.logger.info(`Prescription dispensing reversed - Order item: ${orderItemId}, Quantity: ${reversedTotal}`);
+        }
+
+        return reversedTotal;
+    }
+
+    // Return units to a prescription item and re-derive when it was last dispensed
+    async restoreItem(client, prescriptionItemId, quantity) {
+        await client.query(
+            `UPDATE prescription_items SET
+                dispensed_quantity = dispensed_quantity - $1,
+                last_dispensed_at = (
+                    SELECT MAX(dispensed_at) FROM prescription_dispensings
+                    WHERE prescription_item_id = $2 AND reversed_at IS NULL
+                )
+            WHERE id = $2`,
+            [quantity, prescriptionItemId]
+        );
+    }
+}
+
+module.exports = PrescriptionDispensing;
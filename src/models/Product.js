@@ -1,24 +1,48 @@
 const Database = require('../core/Database');
 const Validator = require('../core/Validator');
 const ServiceManager = require('../core/ServiceManager');
+const ListQuery = require('../core/ListQuery');
+const Inventory = require('./Inventory');
 const { 
     ValidationError, 
     NotFoundError, 
     ConflictError, 
+    BusinessLogicError,
     ExternalServiceError 
 } = require('../core/errors');
 
+// Longer searches are cut down to their first terms
+const MAX_SEARCH_TERMS = 8;
+
+// A listing is in stock when it or any of its variants is
+const IN_STOCK_CONDITION = '(stock_quantity > 0 OR EXISTS (SELECT 1 FROM products v WHERE v.parent_id = products.id AND v.stock_quantity > 0))';
+
+// Copied from a listing onto its variants and kept in sync
+const SHARED_VARIANT_FIELDS = ['title', 'category', 'subcategory', 'manufacturer', 'requiresPrescription', 'origin'];
+// Read from the listing only; variants leave these empty
+const LISTING_CONTENT_FIELDS = ['description', 'uses', 'ingredients', 'usageInstructions', 'images', 'imageVariants', 'mainImageIndex'];
+
+// Fields a product listing can be projected to with ?fields=
+const PRODUCT_LIST_FIELDS = [
+    'id', 'title', 'sku', 'price', 'priceValue', 'unit', 'category', 'subcategory',
+    'manufacturer', 'status', 'stockQuantity', 'expiryDate', 'requiresPrescription',
+    'description', 'uses', 'ingredients', 'usageInstructions', 'images', 'imageVariants',
+    'listImageUrl', 'mainImageIndex', 'origin', 'variantLabel', 'variants', 'priceRange',
+    'relevance', 'highlights'
+];
+
 class Product {
     constructor() {
         this.db = new Database();
         this.validator = new Validator();
+        this.inventoryModel = new Inventory();
         
         // Use ServiceManager to get shared service instances
         const serviceManager = ServiceManager.getInstance();
         this.logger = serviceManager.getLogger();
     }
 
-    async create(productData) {
+    async create(productData, performedBy = null) {
         try {
             this.validator.clearErrors();
 
@@ -52,6 +76,18 @@ class Product {
                 throw ValidationError.invalidNumber('stockQuantity', productData.stockQuantity, 0);
             }
 
+            // Validate reorder threshold if provided
+            if (productData.reorderThreshold !== undefined &&
+                !this.validator.validateNumber('reorderThreshold', productData.reorderThreshold, 0)) {
+                throw ValidationError.invalidNumber('reorderThreshold', productData.reorderThreshold, 0);
+            }
+
+            // Validate shipping weight if provided
+            if (productData.weightGrams !== undefined && productData.weightGrams !== null &&
+                !this.validator.validateNumber('weightGrams', productData.weightGrams, 1)) {
+                throw ValidationError.invalidNumber('weightGrams', productData.weightGrams, 1);
+            }
+
             // Validate expiry date format if provided
             if (productData.expiryDate) {
                 if (!this.validator.validateDate('expiryDate', productData.expiryDate)) {
@@ -72,33 +108,66 @@ class Product {
             // Auto-calculate formatted price from priceValue
             const formattedPrice = productData.price || `${parseInt(productData.priceValue).toLocaleString('vi-VN')}đ`;
 
-            // Insert product into database
-            const { rows: newProduct } = await this.db.query(
-                `INSERT INTO products (
-                    title, sku, price, price_value, unit, category, subcategory,
-                    manufacturer, status, stock_quantity, expiry_date, requires_prescription,
-                    description, uses, ingredients, usage_instructions, images, main_image_index, origin
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
-                RETURNING id`,
-                [
-                    productData.title, productData.sku, formattedPrice, productData.priceValue, 
-                    productData.unit, productData.category, productData.subcategory || null,
-                    productData.manufacturer, productData.status || 'active', 
-                    productData.stockQuantity || 0, productData.expiryDate || null, 
-                    productData.requiresPrescription || false, productData.description || null, 
-                    productData.uses || null, productData.ingredients || [], 
-                    productData.usageInstructions || [], productData.images || [], 
-                    productData.mainImageIndex || 0, productData.origin || null
-                ]
-            );
+            const client = await this.db.getClient();
+            let productId;
+
+            try {
+                await client.query('BEGIN');
+
+                // Insert product with empty stock; the opening stock goes through the inventory ledger
+                const { rows: newProduct } = await client.query(
+                    `INSERT INTO products (
+                        title, sku, price, price_value, unit, category, subcategory,
+                        manufacturer, status, stock_quantity, expiry_date, requires_prescription,
+                        description, uses, ingredients, usage_instructions, images, main_image_index, origin,
+                        reorder_threshold, parent_id, variant_label, variant_position, weight_grams
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
+                    RETURNING id`,
+                    [
+                        productData.title, productData.sku, formattedPrice, productData.priceValue, 
+                        productData.unit, productData.category, productData.subcategory || null,
+                        productData.manufacturer, productData.status || 'active', 
+                        0, productData.expiryDate || null, 
+                        productData.requiresPrescription || false, productData.description || null, 
+                        productData.uses || null, productData.ingredients || [], 
+                        productData.usageInstructions || [], productData.images || [], 
+                        productData.mainImageIndex || 0, productData.origin || null,
+                        productData.reorderThreshold !== undefined ? productData.reorderThreshold : 10,
+                        productData.parentId || null, productData.variantLabel || null,
+                        productData.variantPosition || 0,
+                        productData.weightGrams || null
+                    ]
+                );
 
-            this.logger.info(`Product created: ${productData.title} (SKU: ${productData.sku}) (ID: ${newProduct[0].id})`);
+                productId = newProduct[0].id;
+
+                const openingStock = parseInt(productData.stockQuantity) || 0;
+                if (openingStock > 0) {
+                    await this.inventoryModel.adjustStock(client, productId, openingStock, 'initial_stock', {
+                        referenceType: 'product',
+                        referenceId: productId,
+                        performedBy
+                    });
+                }
+
+                await this.inventoryModel.syncStockStatus(client, productId);
+
+                await client.query('COMMIT');
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+            this.logger.info(`Product created: ${productData.title} (SKU: ${productData.sku}) (ID: ${productId})`);
 
             return {
                 success: true,
                 message: 'Product created successfully',
                 data: {
-                    id: newProduct[0].id,
+                    id: productId,
                     ...productData
                 }
             };
@@ -109,13 +178,13 @@ class Product {
         }
     }
 
-    async update(id, updateData) {
+    async update(id, updateData, performedBy = null) {
         try {
             this.validator.clearErrors();
 
             // Check if product exists
             const { rows: existingProduct } = await this.db.query(
-                'SELECT id FROM products WHERE id = $1',
+                'SELECT id, parent_id FROM products WHERE id = $1',
                 [id]
             );
 
@@ -123,6 +192,17 @@ class Product {
                 throw NotFoundError.product(id);
             }
 
+            // Listing details belong to the parent; a variant only has its own pack details
+            const parentId = existingProduct[0].parent_id;
+            if (parentId) {
+                const listingFields = [...SHARED_VARIANT_FIELDS, ...LISTING_CONTENT_FIELDS]
+                    .filter(field => updateData[field] !== undefined);
+                if (listingFields.length > 0) {
+                    throw BusinessLogicError.invalidOperation('update variant',
+                        `${listingFields.join(', ')} must be updated on the parent product (ID: ${parentId})`);
+                }
+            }
+
             // Validate price_value if provided
             if (updateData.priceValue !== undefined) {
                 if (!this.validator.validateNumber('priceValue', updateData.priceValue, 0)) {
@@ -145,6 +225,20 @@ class Product {
                 }
             }
 
+            // Validate reorder threshold if provided
+            if (updateData.reorderThreshold !== undefined) {
+                if (!this.validator.validateNumber('reorderThreshold', updateData.reorderThreshold, 0)) {
+                    throw ValidationError.invalidNumber('reorderThreshold', updateData.reorderThreshold, 0);
+                }
+            }
+
+            // Validate shipping weight if provided (null clears it)
+            if (updateData.weightGrams !== undefined && updateData.weightGrams !== null) {
+                if (!this.validator.validateNumber('weightGrams', updateData.weightGrams, 1)) {
+                    throw ValidationError.invalidNumber('weightGrams', updateData.weightGrams, 1);
+                }
+            }
+
             // Validate expiry date format if provided
             if (updateData.expiryDate) {
                 if (!this.validator.validateDate('expiryDate', updateData.expiryDate)) {
@@ -169,11 +263,13 @@ class Product {
             const updateValues = [];
             let paramCount = 0;
 
+            // stockQuantity is applied separately through the inventory ledger
             const fieldsToUpdate = [
                 'title', 'sku', 'price', 'priceValue', 'unit', 'category', 
-                'subcategory', 'manufacturer', 'status', 'stockQuantity', 'expiryDate', 
+                'subcategory', 'manufacturer', 'status', 'expiryDate', 
                 'requiresPrescription', 'description', 'uses', 'ingredients', 'usageInstructions',
-                'images', 'mainImageIndex', 'origin'
+                'images', 'imageVariants', 'mainImageIndex', 'origin', 'reorderThreshold',
+                'variantLabel', 'variantPosition', 'weightGrams'
             ];
 
             for (const field of fieldsToUpdate) {
@@ -183,7 +279,12 @@ class Product {
                                    field === 'expiryDate' ? 'expiry_date' : 
                                    field === 'requiresPrescription' ? 'requires_prescription' : 
                                    field === 'usageInstructions' ? 'usage_instructions' : 
-                                   field === 'mainImageIndex' ? 'main_image_index' : field;
+                                   field === 'mainImageIndex' ? 'main_image_index' : 
+                                   field === 'imageVariants' ? 'image_variants' : 
+                                   field === 'variantLabel' ? 'variant_label' : 
+                                   field === 'variantPosition' ? 'variant_position' : 
+                                   field === 'weightGrams' ? 'weight_grams' : 
+                                   field === 'reorderThreshold' ? 'reorder_threshold' : field;
                     
                     updateFields.push(`${dbField} = $${++paramCount}`);
                     
@@ -192,6 +293,8 @@ class Product {
                         updateValues.push(updateData[field]);
                         updateFields.push(`price = $${++paramCount}`);
                         updateValues.push(`${parseInt(updateData[field]).toLocaleString('vi-VN')}đ`);
+                    } else if (field === 'imageVariants') {
+                        updateValues.push(JSON.stringify(updateData[field]));
                     } else {
                         updateValues.push(updateData[field]);
                     }
@@ -201,18 +304,74 @@ class Product {
             // Add product id as the last parameter
             updateValues.push(id);
 
-            // Update product
-            await this.db.query(
-                `UPDATE products SET ${updateFields.join(', ')} WHERE id = $${paramCount + 1}`,
-                updateValues
-            );
+            const client = await this.db.getClient();
+
+            try {
+                await client.query('BEGIN');
+
+                // Update product
+                if (updateFields.length > 0) {
+                    await client.query(
+                        `UPDATE products SET ${updateFields.join(', ')} WHERE id = $${paramCount + 1}`,
+                        updateValues
+                    );
+                }
+
+                // Setting an absolute stock level records the difference as a manual adjustment
+                if (updateData.stockQuantity !== undefined) {
+                    const { rows: currentStock } = await client.query(
+                        'SELECT stock_quantity FROM products WHERE id = $1 FOR UPDATE',
+                        [id]
+                    );
+
+                    const quantityChange = parseInt(updateData.stockQuantity) - currentStock[0].stock_quantity;
+                    if (quantityChange !== 0) {
+                        await this.inventoryModel.adjustStock(client, id, quantityChange, 'manual_adjustment', {
+                            referenceType: 'manual',
+                            notes: updateData.stockNotes || 'Stock level set via product update',
+                            performedBy
+                        });
+
+                        if (quantityChange < 0) {
+                            await this.inventoryModel.drawFromBatches(client, id, -quantityChange);
+                        }
+                    }
+                }
+
+                // A manual status change must still agree with the stock on hand
+                if (updateData.status !== undefined) {
+                    await this.inventoryModel.syncStockStatus(client, id);
+                }
+
+                // Keep the variants' copies of the listing details in step
+                if (!parentId && SHARED_VARIANT_FIELDS.some(field => updateData[field] !== undefined)) {
+                    await client.query(
+                        `UPDATE products v SET
+                            title = p.title, category = p.category, subcategory = p.subcategory,
+                            manufacturer = p.manufacturer, requires_prescription = p.requires_prescription,
+                            origin = p.origin
+                        FROM products p
+                        WHERE v.parent_id = p.id AND p.id = $1`,
+                        [id]
+                    );
+                }
+
+                await client.query('COMMIT');
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
 
             // Get updated product information
             const { rows: updatedProduct } = await this.db.query(
                 `SELECT 
                     id, title, sku, price, price_value, unit, category, subcategory,
                     manufacturer, status, stock_quantity, expiry_date, requires_prescription,
-                    description, uses, ingredients, usage_instructions, images, main_image_index, origin
+                    description, uses, ingredients, usage_instructions, images, image_variants, main_image_index, origin,
+                    reorder_threshold, parent_id, variant_label, weight_grams
                 FROM products 
                 WHERE id = $1`,
                 [id]
@@ -244,8 +403,13 @@ class Product {
                     ingredients: product.ingredients || [],
                     usageInstructions: product.usage_instructions || [],
                     images: product.images || [],
+                    imageVariants: this.formatImageVariants(product),
                     mainImageIndex: product.main_image_index || 0,
-                    origin: product.origin
+                    origin: product.origin,
+                    reorderThreshold: product.reorder_threshold,
+                    weightGrams: product.weight_grams,
+                    parentId: product.parent_id,
+                    variantLabel: product.variant_label
                 }
             };
 
@@ -274,6 +438,15 @@ class Product {
             const productTitle = existingProduct[0].title;
             const productSku = existingProduct[0].sku;
 
+            const { rows: variants } = await this.db.query(
+                'SELECT COUNT(*) AS count FROM products WHERE parent_id = $1',
+                [id]
+            );
+
+            if (Number(variants[0].count) > 0) {
+                throw BusinessLogicError.invalidOperation('delete product', 'delete its variants first');
+            }
+
             // Delete the product
             await this.db.query(
                 'DELETE FROM products WHERE id = $1',
@@ -306,11 +479,14 @@ class Product {
                 throw ValidationError.missingFields(['id']);
             }
 
-            const { rows: products } = await this.db.query(
-                `SELECT 
+            const productColumns = `
                     id, title, sku, price, price_value, unit, category, subcategory,
                     manufacturer, status, stock_quantity, expiry_date, requires_prescription,
-                    description, uses, ingredients, usage_instructions, images, main_image_index, origin
+                    description, uses, ingredients, usage_instructions, images, image_variants, main_image_index, origin,
+                    reorder_threshold, parent_id, variant_label, weight_grams`;
+
+            const { rows: products } = await this.db.query(
+                `SELECT ${productColumns}
                 FROM products 
                 WHERE id = $1`,
                 [id]
@@ -322,6 +498,18 @@ class Product {
 
             const product = products[0];
 
+            // A variant shows its listing's content
+            let listing = product;
+            if (product.parent_id) {
+                const { rows: parents } = await this.db.query(
+                    `SELECT ${productColumns} FROM products WHERE id = $1`,
+                    [product.parent_id]
+                );
+                listing = parents[0];
+            }
+
+            const variants = (await this.getVariantsByListing([listing])).get(listing.id);
+
             return {
                 success: true,
                 data: {
@@ -338,13 +526,20 @@ class Product {
                     stockQuantity: product.stock_quantity,
                     expiryDate: product.expiry_date ? new Date(product.expiry_date).toISOString().split('T')[0] : null,
                     requiresPrescription: product.requires_prescription,
-                    description: product.description,
-                    uses: product.uses,
-                    ingredients: product.ingredients || [],
-                    usageInstructions: product.usage_instructions || [],
-                    images: product.images || [],
-                    mainImageIndex: product.main_image_index || 0,
-                    origin: product.origin
+                    description: listing.description,
+                    uses: listing.uses,
+                    ingredients: listing.ingredients || [],
+                    usageInstructions: listing.usage_instructions || [],
+                    images: listing.images || [],
+                    imageVariants: this.formatImageVariants(listing),
+                    mainImageIndex: listing.main_image_index || 0,
+                    origin: product.origin,
+                    reorderThreshold: product.reorder_threshold,
+                    weightGrams: product.weight_grams,
+                    parentId: product.parent_id,
+                    variantLabel: product.variant_label,
+                    variants,
+                    priceRange: this.getPriceRange(variants)
                 }
             };
 
@@ -354,95 +549,106 @@ class Product {
         }
     }
 
-    async list(filters = {}) {
+    /**
+     * Images stored on the product row itself, for storage cleanup. Unlike getById, a variant
+     * does not inherit its listing's images here, so cleaning up a variant never touches them.
+     */
+    async getOwnImages(id) {
         try {
-            const page = parseInt(filters.page) || 1;
-            const limit = parseInt(filters.limit) || 10;
-            const search = filters.search || '';
-            const category = filters.category || '';
-            const status = filters.status || '';
-            const manufacturer = filters.manufacturer || '';
-            const sort = filters.sort || '';
-
-            // Validate pagination parameters
-            if (page < 1 || limit < 1 || limit > 100) {
-                throw ValidationError.invalidNumber('pagination', `page: ${page}, limit: ${limit}`, null, null);
+            if (!id) {
+                throw ValidationError.missingFields(['id']);
             }
 
-            // Validate sort parameter
-            if (sort && !['price_asc', 'price_desc'].includes(sort)) {
-                throw ValidationError.invalidValue('sort', sort, ['price_asc', 'price_desc']);
+            const { rows: products } = await this.db.query(
+                `SELECT id, parent_id, images, image_variants, main_image_index
+                FROM products
+                WHERE id = $1`,
+                [id]
+            );
+
+            if (products.length === 0) {
+                throw NotFoundError.product(id);
             }
 
-            const offset = (page - 1) * limit;
+            const product = products[0];
 
-            // Build query conditions
-            let whereConditions = [];
-            let queryParams = [];
-            let paramCount = 0;
+            return {
+                success: true,
+                data: {
+                    id: product.id,
+                    parentId: product.parent_id,
+                    images: product.images || [],
+                    imageVariants: this.formatImageVariants(product),
+                    mainImageIndex: product.main_image_index || 0
+                }
+            };
 
-            if (search) {
-                paramCount++;
-                whereConditions.push(`(title ILIKE $${paramCount} OR sku ILIKE $${paramCount} OR description ILIKE $${paramCount})`);
-                queryParams.push(`%${search}%`);
-            }
+        } catch (error) {
+            this.logger.error('Get product images error:', error);
+            throw error;
+        }
+    }
 
-            if (category) {
-                paramCount++;
-                whereConditions.push(`category = $${paramCount}`);
-                queryParams.push(category);
-            }
+    async list(filters = {}) {
+        try {
+            const search = filters.search || '';
+            const status = filters.status || '';
+            const sort = filters.sort || '';
 
-            if (status) {
-                paramCount++;
-                whereConditions.push(`status = $${paramCount}`);
-                queryParams.push(status);
+            // Validate sort parameter
+            if (sort && !['price_asc', 'price_desc'].includes(sort)) {
+                throw ValidationError.invalidEnum('sort', sort, ['price_asc', 'price_desc']);
             }
 
-            if (manufacturer) {
-                paramCount++;
-                whereConditions.push(`manufacturer ILIKE $${paramCount}`);
-                queryParams.push(`%${manufacturer}%`);
+            const listQuery = new ListQuery(filters);
+            const fields = ListQuery.parseFields(filters.fields, PRODUCT_LIST_FIELDS);
+
+            const searchQuery = this.buildSearchQuery(search);
+            const facetFilters = this.parseFacetFilters(filters);
+            const conditions = this.buildListConditions({ searchQuery, search, status, ...facetFilters });
+
+            conditions.forEach(condition => listQuery.where(condition.build(value => listQuery.param(value))));
+
+            // Relevance and <mark>-highlighted snippets for search results
+            let searchColumns = '';
+            let relevance = null;
+            if (searchQuery) {
+                const tsQuery = `to_tsquery('product_search', ${listQuery.param(searchQuery)})`;
+                // Rounded so the value survives a round trip through the page cursor
+                relevance = `ROUND(ts_rank_cd(search_vector, ${tsQuery})::numeric, 6)`;
+                searchColumns = `,
+                    ${relevance} AS relevance,
+                    ts_headline('product_search', title, ${tsQuery},
+                        'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') AS title_highlight,
+                    ts_headline('product_search', concat_ws(' ', uses, description), ${tsQuery},
+                        'MaxFragments=2, MaxWords=20, MinWords=8, StartSel=<mark>, StopSel=</mark>') AS snippet`;
             }
 
-            const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-
-            // Build ORDER BY clause
-            let orderByClause = 'ORDER BY ';
-            if (sort === 'price_asc') {
-                orderByClause += 'price_value ASC, title ASC';
-            } else if (sort === 'price_desc') {
-                orderByClause += 'price_value DESC, title ASC';
+            // Sort keys; id last so every row has a unique position for cursors
+            let orderBy;
+            if (sort === 'price_asc' || sort === 'price_desc') {
+                orderBy = [{ expression: 'COALESCE(price_value, 0)', direction: sort === 'price_asc' ? 'ASC' : 'DESC' }];
+            } else if (relevance) {
+                orderBy = [{ expression: relevance, direction: 'DESC' }];
             } else {
-                orderByClause += 'title ASC, sku ASC';
+                orderBy = [];
             }
-
-            // Count total records
-            const countQuery = `
-                SELECT COUNT(*) as total
-                FROM products
-                ${whereClause}
-            `;
-
-            const { rows: countResult } = await this.db.query(countQuery, queryParams);
-            const totalRecords = parseInt(countResult[0].total);
-            const totalPages = Math.ceil(totalRecords / limit);
+            orderBy.push({ expression: 'title', direction: 'ASC' }, { expression: 'id', direction: 'ASC' });
 
             // Fetch products with pagination
-            const productsQuery = `
-                SELECT 
+            const { rows: products, pagination } = await listQuery.fetch(this.db, {
+                select: `
                     id, title, sku, price, price_value, unit, category, subcategory,
                     manufacturer, status, stock_quantity, expiry_date, requires_prescription,
-                    description, uses, ingredients, usage_instructions, images, main_image_index, origin
-                FROM products
-                ${whereClause}
-                ${orderByClause}
-                LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
-            `;
-
-            queryParams.push(limit, offset);
+                    description, uses, ingredients, usage_instructions, images, image_variants, main_image_index, origin,
+                    variant_label${searchColumns}`,
+                from: 'products',
+                orderBy
+            });
 
-            const { rows: products } = await this.db.query(productsQuery, queryParams);
+            // Facet counts don't change from page to page, so they are only sent with offset pages
+            const facets = listQuery.cursor ? null : await this.getFacetCounts(conditions);
+            const variantsByListing = await this.getVariantsByListing(products);
 
             // Format response
             const formattedProducts = products.map(product => ({
@@ -464,29 +670,35 @@ class Product {
                 ingredients: product.ingredients || [],
                 usageInstructions: product.usage_instructions || [],
                 images: product.images || [],
+                imageVariants: this.formatImageVariants(product),
+                // Listing cards use the medium rendition of the main image when one exists
+                listImageUrl: this.getListImageUrl(product),
                 mainImageIndex: product.main_image_index || 0,
-                origin: product.origin
+                origin: product.origin,
+                variantLabel: product.variant_label,
+                variants: variantsByListing.get(product.id),
+                priceRange: this.getPriceRange(variantsByListing.get(product.id)),
+                ...(searchQuery && {
+                    relevance: parseFloat(product.relevance),
+                    highlights: {
+                        title: product.title_highlight,
+                        snippet: product.snippet || null
+                    }
+                })
             }));
 
             return {
                 success: true,
                 data: {
-                    products: formattedProducts,
-                    pagination: {
-                        currentPage: page,
-                        totalPages,
-                        totalRecords,
-                        limit,
-                        hasNextPage: page < totalPages,
-                        hasPrevPage: page > 1
-                    },
+                    products: ListQuery.project(formattedProducts, fields),
+                    pagination,
                     filters: {
                         search,
-                        category,
                         status,
-                        manufacturer,
-                        sort
-                    }
+                        sort,
+                        ...facetFilters
+                    },
+                    facets
                 }
             };
 
@@ -496,6 +708,109 @@ class Product {
         }
     }
 
+    /**
+     * Add a pack size under a listing. Title, category, manufacturer and prescription
+     * status come from the listing; the variant has its own SKU, unit, price and stock.
+     */
+    async createVariant(parentId, variantData, performedBy = null) {
+        try {
+            const requiredFields = ['variantLabel', 'unit', 'priceValue'];
+            if (!this.validator.validateRequired(variantData, requiredFields)) {
+                const missingFields = requiredFields.filter(field =>
+                    variantData[field] === undefined || variantData[field] === null || variantData[field] === ''
+                );
+                throw ValidationError.missingFields(missingFields);
+            }
+
+            if (variantData.sku !== undefined && variantData.sku !== null && typeof variantData.sku !== 'string') {
+                throw ValidationError.invalidFormat('sku', 'string');
+            }
+
+            const { rows: parents } = await this.db.query(
+                `SELECT id, sku, parent_id, title, category, subcategory, manufacturer, requires_prescription, origin,
+                    (SELECT COALESCE(MAX(variant_position), 0) FROM products WHERE parent_id = $1) AS last_position
+                FROM products WHERE id = $1`,
+                [parentId]
+            );
+
+            if (parents.length === 0) {
+                throw NotFoundError.product(parentId);
+            }
+
+            const parent = parents[0];
+            if (parent.parent_id) {
+                throw BusinessLogicError.invalidOperation('add variant', `product ${parentId} is itself a variant of product ${parent.parent_id}`);
+            }
+
+            const sku = variantData.sku && variantData.sku.trim() !== ''
+                ? variantData.sku
+                : await this.generateUniqueSKU(parent.title, { sku: parent.sku, label: variantData.variantLabel });
+
+            return await this.create({
+                sku,
+                unit: variantData.unit,
+                priceValue: variantData.priceValue,
+                price: variantData.price,
+                status: variantData.status,
+                stockQuantity: variantData.stockQuantity,
+                expiryDate: variantData.expiryDate,
+                reorderThreshold: variantData.reorderThreshold,
+                weightGrams: variantData.weightGrams,
+                title: parent.title,
+                category: parent.category,
+                subcategory: parent.subcategory,
+                manufacturer: parent.manufacturer,
+                requiresPrescription: parent.requires_prescription,
+                origin: parent.origin,
+                parentId: parent.id,
+                variantLabel: variantData.variantLabel,
+                variantPosition: variantData.variantPosition !== undefined
+                    ? variantData.variantPosition
+                    : parent.last_position + 1
+            }, performedBy);
+
+        } catch (error) {
+            this.logger.error('Create product variant error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Purchasable options for each listing: the listing itself first, then its variants
+     * @param {Array<Object>} listings - product rows
+     * @returns {Promise<Map<number, Array<Object>>>} keyed by listing id
+     */
+    async getVariantsByListing(listings) {
+        const { rows: variants } = await this.db.query(
+            `SELECT id, parent_id, sku, variant_label, unit, price, price_value, stock_quantity, status
+            FROM products
+            WHERE parent_id = ANY($1::int[])
+            ORDER BY variant_position, id`,
+            [listings.map(listing => listing.id)]
+        );
+
+        const formatVariant = row => ({
+            id: row.id,
+            sku: row.sku,
+            variantLabel: row.variant_label,
+            unit: row.unit,
+            price: row.price,
+            priceValue: row.price_value,
+            stockQuantity: row.stock_quantity,
+            status: row.status
+        });
+
+        return new Map(listings.map(listing => [
+            listing.id,
+            [formatVariant(listing), ...variants.filter(variant => variant.parent_id === listing.id).map(formatVariant)]
+        ]));
+    }
+
+    getPriceRange(variants) {
+        const prices = variants.map(variant => parseFloat(variant.priceValue)).filter(price => !Number.isNaN(price));
+        return prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : null;
+    }
+
     async getFilterOptions() {
         try {
             // Get distinct categories and subcategories
@@ -541,9 +856,10 @@ class Product {
                 ORDER BY status
             `);
 
-            // Count products with discounts (assuming discount field exists or calculate from price logic)
+            // Count products with discounts (assuming discount field exists or calculate from price logic).
+            // Counts here are per listing: a listing and its variants count once
             const { rows: discountCount } = await this.db.query(`
-                SELECT COUNT(*) as count
+                SELECT COUNT(DISTINCT COALESCE(parent_id, id)) as count
                 FROM products 
                 WHERE price_value < (
                     SELECT AVG(price_value) 
@@ -555,8 +871,8 @@ class Product {
             // Count products requiring prescription
             const { rows: prescriptionCount } = await this.db.query(`
                 SELECT 
-                    COUNT(CASE WHEN requires_prescription = true THEN 1 END) as requires_prescription_count,
-                    COUNT(CASE WHEN requires_prescription = false THEN 1 END) as no_prescription_count
+                    COUNT(DISTINCT COALESCE(parent_id, id)) FILTER (WHERE requires_prescription = true) as requires_prescription_count,
+                    COUNT(DISTINCT COALESCE(parent_id, id)) FILTER (WHERE requires_prescription = false) as no_prescription_count
                 FROM products
             `);
 
@@ -579,7 +895,7 @@ class Product {
             const { rows: priceDistribution } = await this.db.query(`
                 SELECT 
                     price_value,
-                    COUNT(*) as product_count
+                    COUNT(DISTINCT COALESCE(parent_id, id)) as product_count
                 FROM products 
                 WHERE price_value IS NOT NULL 
                 GROUP BY price_value 
@@ -654,7 +970,12 @@ class Product {
     }
 
     // Helper method to generate unique SKU
-    async generateUniqueSKU(productTitle) {
+    /**
+     * @param {string} productTitle
+     * @param {{ sku: string, label: string }} [variantOf] - for a variant, its parent's SKU and
+     *   its pack label; produces e.g. "PARACETA123456-HOP100"
+     */
+    async generateUniqueSKU(productTitle, variantOf = null) {
         try {
             // Create base SKU from product title
             const baseSKU = productTitle
@@ -667,6 +988,19 @@ class Product {
             // Add timestamp to make it unique
             const timestamp = Date.now().toString().slice(-6); // Last 6 digits
             let candidateSKU = `${baseSKU}${timestamp}`;
+
+            // Variants share the parent's SKU with a suffix from the pack label
+            if (variantOf) {
+                const suffix = variantOf.label
+                    .normalize('NFD')
+                    .replace(/[\u0300-\u036f]/g, '') // Strip Vietnamese diacritics
+                    .replace(/đ/gi, 'D')
+                    .replace(/[^a-zA-Z0-9]/g, '')
+                    .substring(0, 8)
+                    .toUpperCase();
+                candidateSKU = `${variantOf.sku}-${suffix || 'V'}`;
+            }
+            const skuPrefix = candidateSKU;
             
             // Check if SKU already exists and generate a new one if needed
             let counter = 0;
@@ -682,7 +1016,7 @@ class Product {
                 
                 // If SKU exists, try with counter
                 counter++;
-                candidateSKU = `${baseSKU}${timestamp}${counter}`;
+                candidateSKU = `${skuPrefix}${counter}`;
                 
                 // Prevent infinite loop
                 if (counter > 999) {
@@ -695,6 +1029,292 @@ class Product {
             return `PROD${Date.now()}`;
         }
     }
+
+    /**
+     * Walk the whole catalog in id order for export, one batch at a time
+     * @param {number} batchSize
+     * @yields {Array<Object>} products in the import/export field names
+     */
+    async *exportBatches(batchSize = 500) {
+        let lastId = 0;
+
+        while (true) {
+            const { rows: products } = await this.db.query(`
+                SELECT
+                    p.id, p.sku, p.title, p.price_value, p.unit, p.category, p.subcategory, p.manufacturer, p.status,
+                    p.stock_quantity, p.expiry_date, p.requires_prescription, p.description, p.uses, p.ingredients,
+                    p.usage_instructions, p.images, p.origin, p.reorder_threshold, p.weight_grams, p.variant_label,
+                    parent.sku AS parent_sku
+                FROM products p
+                LEFT JOIN products parent ON p.parent_id = parent.id
+                WHERE p.id > $1
+                ORDER BY p.id
+                LIMIT $2
+            `, [lastId, batchSize]);
+
+            if (products.length === 0) {
+                return;
+            }
+
+            lastId = products[products.length - 1].id;
+
+            yield products.map(product => ({
+                sku: product.sku,
+                title: product.title,
+                priceValue: product.price_value,
+                unit: product.unit,
+                category: product.category,
+                subcategory: product.subcategory,
+                manufacturer: product.manufacturer,
+                status: product.status,
+                stockQuantity: product.stock_quantity,
+                expiryDate: product.expiry_date ? new Date(product.expiry_date).toISOString().split('T')[0] : null,
+                requiresPrescription: product.requires_prescription,
+                description: product.description,
+                uses: product.uses,
+                ingredients: product.ingredients || [],
+                usageInstructions: product.usage_instructions || [],
+                images: product.images || [],
+                origin: product.origin,
+                reorderThreshold: product.reorder_threshold,
+                weightGrams: product.weight_grams,
+                parentSku: product.parent_sku,
+                variantLabel: product.variant_label
+            }));
+
+            if (products.length < batchSize) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Read the storefront filters from the query string. Multi-valued filters accept
+     * repeated parameters (?category=a&category=b) or a comma-separated list.
+     */
+    parseFacetFilters(filters) {
+        const parseList = value => [...new Set(
+            (Array.isArray(value) ? value : String(value || '').split(','))
+                .map(item => String(item).trim())
+                .filter(Boolean)
+        )];
+
+        const parseBoolean = (field, value) => {
+            if (value === undefined || value === null || value === '') return null;
+            if (value === true || value === 'true') return true;
+            if (value === false || value === 'false') return false;
+            throw ValidationError.invalidEnum(field, value, ['true', 'false']);
+        };
+
+        const parsePrice = (field, value) => {
+            if (value === undefined || value === null || value === '') return null;
+            const price = Number(value);
+            if (!Number.isFinite(price) || price < 0) {
+                throw ValidationError.invalidNumber(field, value, 0, null);
+            }
+            return price;
+        };
+
+        const minPrice = parsePrice('minPrice', filters.minPrice);
+        const maxPrice = parsePrice('maxPrice', filters.maxPrice);
+        if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+            throw ValidationError.invalidNumber('maxPrice', maxPrice, minPrice, null);
+        }
+
+        return {
+            categories: parseList(filters.category),
+            manufacturers: parseList(filters.manufacturer),
+            origins: parseList(filters.origin),
+            minPrice,
+            maxPrice,
+            requiresPrescription: parseBoolean('requiresPrescription', filters.requiresPrescription),
+            inStock: parseBoolean('inStock', filters.inStock) === true
+        };
+    }
+
+    /**
+     * Listing conditions tagged with the facet they belong to, so each facet can be
+     * counted against every other active filter but not its own
+     */
+    buildListConditions(filters) {
+        // One entry per listing; variants are returned inside their listing
+        const conditions = [{ facet: 'listing', build: () => 'parent_id IS NULL' }];
+
+        // Full-text search; search_vector and the product_search config come from add_product_search.sql.
+        // Text with no searchable terms (e.g. "%" or "-") still narrows the list by SKU instead of matching everything
+        const search = String(filters.search || '').trim();
+        if (search) {
+            conditions.push({
+                facet: 'search',
+                // SKUs (the listing's or any variant's) are also matched as typed, e.g. "VN-00123";
+                // LIKE wildcards typed by the user are matched literally
+                build: addParam => {
+                    const skuPattern = addParam(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+                    const textMatch = filters.searchQuery
+                        ? `search_vector @@ to_tsquery('product_search', ${addParam(filters.searchQuery)}) OR `
+                        : '';
+                    return `(${textMatch}sku ILIKE ${skuPattern}
+                        OR EXISTS (SELECT 1 FROM products v WHERE v.parent_id = products.id AND v.sku ILIKE ${skuPattern}))`;
+                }
+            });
+        }
+
+        if (filters.status) {
+            conditions.push({ facet: 'status', build: addParam => `status = ${addParam(filters.status)}` });
+        }
+
+        if (filters.categories.length > 0) {
+            conditions.push({ facet: 'category', build: addParam => `category = ANY(${addParam(filters.categories)}::text[])` });
+        }
+
+        if (filters.manufacturers.length > 0) {
+            conditions.push({ facet: 'manufacturer', build: addParam => `manufacturer = ANY(${addParam(filters.manufacturers)}::text[])` });
+        }
+
+        if (filters.origins.length > 0) {
+            conditions.push({ facet: 'origin', build: addParam => `origin = ANY(${addParam(filters.origins)}::text[])` });
+        }
+
+        // A listing matches when it or any of its variants is priced within the range
+        if (filters.minPrice !== null || filters.maxPrice !== null) {
+            conditions.push({
+                facet: 'price',
+                build: addParam => {
+                    const bounds = [];
+                    if (filters.minPrice !== null) bounds.push(`v.price_value >= ${addParam(filters.minPrice)}`);
+                    if (filters.maxPrice !== null) bounds.push(`v.price_value <= ${addParam(filters.maxPrice)}`);
+                    return `EXISTS (SELECT 1 FROM products v WHERE COALESCE(v.parent_id, v.id) = products.id AND ${bounds.join(' AND ')})`;
+                }
+            });
+        }
+
+        if (filters.requiresPrescription !== null) {
+            conditions.push({ facet: 'requiresPrescription', build: addParam => `requires_prescription = ${addParam(filters.requiresPrescription)}` });
+        }
+
+        if (filters.inStock) {
+            conditions.push({ facet: 'inStock', build: () => IN_STOCK_CONDITION });
+        }
+
+        return conditions;
+    }
+
+    /**
+     * @param {Array} conditions - from buildListConditions
+     * @param {string|null} excludeFacet - leave this facet's conditions out
+     * @returns {{ whereClause: string, queryParams: Array, addParam: Function }} addParam
+     *   appends further parameters and returns their placeholder
+     */
+    buildWhereClause(conditions, excludeFacet = null) {
+        const queryParams = [];
+        const addParam = value => {
+            queryParams.push(value);
+            return `$${queryParams.length}`;
+        };
+
+        const clauses = conditions
+            .filter(condition => condition.facet !== excludeFacet)
+            .map(condition => condition.build(addParam));
+
+        return {
+            whereClause: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+            queryParams,
+            addParam
+        };
+    }
+
+    /**
+     * Sidebar counts for the current listing. Each facet ignores its own selection so
+     * the other options in it still show how many products they would add.
+     */
+    async getFacetCounts(conditions) {
+        const countValues = async (facet, column) => {
+            const { whereClause, queryParams } = this.buildWhereClause(conditions, facet);
+            const { rows } = await this.db.query(`
+                SELECT ${column} AS value, COUNT(*) AS count
+                FROM products
+                ${whereClause ? `${whereClause} AND` : 'WHERE'} ${column} IS NOT NULL
+                GROUP BY ${column}
+                ORDER BY count DESC, value ASC
+            `, queryParams);
+
+            return rows.map(row => ({ value: row.value, count: parseInt(row.count) }));
+        };
+
+        const categories = await countValues('category', 'category');
+        const manufacturers = await countValues('manufacturer', 'manufacturer');
+        const origins = await countValues('origin', 'origin');
+
+        const prescriptionFilter = this.buildWhereClause(conditions, 'requiresPrescription');
+        const { rows: prescriptionCounts } = await this.db.query(`
+            SELECT
+                COUNT(*) FILTER (WHERE requires_prescription = true) AS required,
+                COUNT(*) FILTER (WHERE requires_prescription = false) AS not_required
+            FROM products
+            ${prescriptionFilter.whereClause}
+        `, prescriptionFilter.queryParams);
+
+        const stockFilter = this.buildWhereClause(conditions, 'inStock');
+        const { rows: stockCounts } = await this.db.query(`
+            SELECT COUNT(*) FILTER (WHERE ${IN_STOCK_CONDITION}) AS in_stock
+            FROM products
+            ${stockFilter.whereClause}
+        `, stockFilter.queryParams);
+
+        // Variant prices count towards their listing's range
+        const priceFilter = this.buildWhereClause(conditions, 'price');
+        const { rows: priceRange } = await this.db.query(`
+            SELECT MIN(v.price_value) AS min_price, MAX(v.price_value) AS max_price
+            FROM products v
+            WHERE COALESCE(v.parent_id, v.id) IN (SELECT id FROM products ${priceFilter.whereClause})
+        `, priceFilter.queryParams);
+
+        return {
+            categories,
+            manufacturers,
+            origins,
+            requiresPrescription: {
+                true: parseInt(prescriptionCounts[0].required),
+                false: parseInt(prescriptionCounts[0].not_required)
+            },
+            inStock: parseInt(stockCounts[0].in_stock),
+            priceRange: {
+                min: priceRange[0].min_price !== null ? parseFloat(priceRange[0].min_price) : null,
+                max: priceRange[0].max_price !== null ? parseFloat(priceRange[0].max_price) : null
+            }
+        };
+    }
+
+    /**
+     * Turn free text into a prefix-matching tsquery ("thuoc ho" -> "thuoc:* & ho:*").
+     * Only letters and digits are kept, so user input can't inject tsquery operators.
+     * @returns {string|null} null when there is nothing to search for
+     */
+    buildSearchQuery(search) {
+        const terms = String(search || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu);
+        if (!terms) {
+            return null;
+        }
+
+        return terms.slice(0, MAX_SEARCH_TERMS).map(term => `${term}:*`).join(' & ');
+    }
+
+    // One entry per images[] index; null for images uploaded before variants were generated
+    formatImageVariants(product) {
+        const variants = product.image_variants || [];
+        return (product.images || []).map((_, index) => variants[index] || null);
+    }
+
+    getListImageUrl(product) {
+        const images = product.images || [];
+        const mainIndex = product.main_image_index || 0;
+        const variants = (product.image_variants || [])[mainIndex];
+
+        return (variants && variants.medium) || images[mainIndex] || null;
+    }
 }
 
+Product.SHARED_VARIANT_FIELDS = SHARED_VARIANT_FIELDS;
+Product.LISTING_CONTENT_FIELDS = LISTING_CONTENT_FIELDS;
+
 module.exports = Product; 
\ No newline at end of file
@@ -0,0 +1,341 @@
+const Database = require('../core/Database');
+const Validator = require('../core/Validator');
+const ServiceManager = require('../core/ServiceManager');
+const Inventory = require('./Inventory');
+const {
+    ValidationError,
+    NotFoundError,
+    BusinessLogicError
+} = require('../core/errors');
+
+class ProductBatch {
+    constructor() {
+        this.db = new Database();
+        this.validator = new Validator();
+        this.inventoryModel = new Inventory();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    async receive(productId, batchData = {}, receivedBy = null) {
+        try {
+            const client = await this.db.getClient();
+
+            try {
+                await client.query('BEGIN');
+
+                const batch = await this.receiveWithinTransaction(client, productId, batchData, receivedBy);
+
+                await client.query('COMMIT');
+
+                return {
+                    success: true,
+                    message: 'Batch received successfully',
+                    data: batch
+                };
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+        } catch (error) {
+            this.logger.error('Receive batch error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a received lot to stock inside a caller-owned transaction.
+     * Receiving the same lot again tops it up, as long as the expiry date matches.
+     */
+    async receiveWithinTransaction(client, productId, batchData, receivedBy = null, reference = {}) {
+        this.validator.clearErrors();
+
+        const requiredFields = ['lotNumber', 'quantity'];
+        if (!this.validator.validateRequired(batchData, requiredFields)) {
+            const missingFields = requiredFields.filter(field =>
+                batchData[field] === undefined || batchData[field] === null || batchData[field] === ''
+            );
+            throw ValidationError.missingFields(missingFields);
+        }
+
+        const quantity = batchData.quantity;
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw ValidationError.invalidNumber('quantity', quantity, 1);
+        }
+
+        if (batchData.expiryDate && !this.validator.validateDate('expiryDate', batchData.expiryDate)) {
+            throw ValidationError.invalidFormat('expiryDate', 'YYYY-MM-DD');
+        }
+
+        const lotNumber = String(batchData.lotNumber).trim();
+
+        const { rows: product } = await client.query('SELECT id FROM products WHERE id = $1', [productId]);
+        if (product.length === 0) {
+            throw NotFoundError.product(productId);
+        }
+
+        const { rows: batches } = await client.query(
+            `INSERT INTO product_batches (
+                product_id, lot_number, quantity_received, quantity_remaining, expiry_date, supplier, received_by,
+                supplier_id, purchase_order_id
+            ) VALUES ($1, $2, $3, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (product_id, lot_number) DO UPDATE SET
+                quantity_received = product_batches.quantity_received + EXCLUDED.quantity_received,
+                quantity_remaining = product_batches.quantity_remaining + EXCLUDED.quantity_remaining,
+                supplier = COALESCE(EXCLUDED.supplier, product_batches.supplier),
+                supplier_id = COALESCE(EXCLUDED.supplier_id, product_batches.supplier_id),
+                purchase_order_id = COALESCE(EXCLUDED.purchase_order_id, product_batches.purchase_order_id),
+                received_at = CURRENT_TIMESTAMP
+            WHERE product_batches.expiry_date IS NOT DISTINCT FROM EXCLUDED.expiry_date
+            RETURNING *`,
+            [
+                productId, lotNumber, quantity, batchData.expiryDate || null, batchData.supplier || null, receivedBy,
+                batchData.supplierId || null, batchData.purchaseOrderId || null
+            ]
+        );
+
+        if (batches.length === 0) {
+            throw BusinessLogicError.invalidOperation(
+                'receive batch',
+                `Lot ${lotNumber} is already recorded with a different expiry date`
+            );
+        }
+
+        const batch = batches[0];
+
+        await this.inventoryModel.adjustStock(client, productId, quantity, 'receipt', {
+            referenceType: reference.type || 'batch',
+            referenceId: reference.id || batch.id,
+            notes: `Lot ${lotNumber}`,
+            performedBy: receivedBy
+        });
+
+        await this.inventoryModel.refreshProductExpiry(client, productId);
+
+        this.logger.info(`Batch received - Product: ${productId}, Lot: ${lotNumber}, Quantity: ${quantity}, By: ${receivedBy}`);
+
+        return this.formatBatch(batch);
+    }
+
+    /**
+     * Pick stock for an order line first-expiry-first-out, skipping expired lots.
+     * Stock that was never assigned to a lot is used last. Must run inside a transaction.
+     */
+    async allocate(client, productId, quantity) {
+        // Lock the product so concurrent allocations for it are serialized
+        const { rows: product } = await client.query(
+            'SELECT stock_quantity FROM products WHERE id = $1 FOR UPDATE',
+            [productId]
+        );
+
+        if (product.length === 0) {
+            throw NotFoundError.product(productId);
+        }
+
+        const { rows: batches } = await client.query(
+            `SELECT id, lot_number, expiry_date, quantity_remaining,
+                (expiry_date IS NOT NULL AND expiry_date < CURRENT_DATE) AS is_expired
+            FROM product_batches
+            WHERE product_id = $1 AND quantity_remaining > 0
+            ORDER BY expiry_date ASC NULLS LAST, received_at ASC, id ASC
+            FOR UPDATE`,
+            [productId]
+        );
+
+        const batchedQuantity = batches.reduce((total, batch) => total + batch.quantity_remaining, 0);
+        const unbatchedQuantity = Math.max(product[0].stock_quantity - batchedQuantity, 0);
+
+        const allocations = [];
+        let outstanding = quantity;
+
+        for (const batch of batches) {
+            if (outstanding === 0) break;
+            if (batch.is_expired) continue;
+
+            const take = Math.min(batch.quantity_remaining, outstanding);
+            allocations.push({
+                batchId: batch.id,
+                lotNumber: batch.lot_number,
+                expiryDate: batch.expiry_date,
+                quantity: take
+            });
+            outstanding -= take;
+        }
+
+        if (outstanding > unbatchedQuantity) {
+            const sellable = batches
+                .filter(batch => !batch.is_expired)
+                .reduce((total, batch) => total + batch.quantity_remaining, 0) + unbatchedQuantity;
+            throw BusinessLogicError.insufficientStock(parseInt(productId), sellable, quantity);
+        }
+
+        for (const allocation of allocations) {
+            await client.query(
+                'UPDATE product_batches SET quantity_remaining = quantity_remaining - $1 WHERE id = $2',
+                [allocation.quantity, allocation.batchId]
+            );
+        }
+
+        if (allocations.length > 0) {
+            await this.inventoryModel.refreshProductExpiry(client, productId);
+        }
+
+        return allocations;
+    }
+
+    async recordAllocations(client, orderItemId, allocations) {
+        for (const allocation of allocations) {
+            await client.query(
+                `INSERT INTO order_item_batches (order_item_id, batch_id, quantity)
+                VALUES ($1, $2, $3)`,
+                [orderItemId, allocation.batchId, allocation.quantity]
+            );
+        }
+    }
+
+    /**
+     * Put restocked units back into the lots an order line was filled from (latest expiry first).
+     * Anything beyond the recorded allocations was unbatched stock and needs no batch update.
+     */
+    async returnToBatches(client, orderItemId, quantity) {
+        const { rows: allocations } = await client.query(
+            `SELECT oib.id, oib.batch_id, oib.quantity - oib.returned_quantity AS outstanding, b.product_id
+            FROM order_item_batches oib
+            JOIN product_batches b ON oib.batch_id = b.id
+            WHERE oib.order_item_id = $1 AND oib.returned_quantity < oib.quantity
+            ORDER BY b.expiry_date DESC NULLS FIRST, oib.id DESC
+            FOR UPDATE OF oib, b`,
+            [orderItemId]
+        );
+
+        let remaining = quantity;
+
+        for (const allocation of allocations) {
+            if (remaining === 0) break;
+
+            const returned = Math.min(allocation.outstanding, remaining);
+
+            await client.query(
+                'UPDATE order_item_batches SET returned_quantity = returned_quantity + $1 WHERE id = $2',
+                [returned, allocation.id]
+            );
+            await client.query(
+                'UPDATE product_batches SET quantity_remaining = quantity_remaining + $1 WHERE id = $2',
+                [returned, allocation.batch_id]
+            );
+
+            remaining -= returned;
+        }
+
+        if (allocations.length > 0) {
+            await this.inventoryModel.refreshProductExpiry(client, allocations[0].product_id);
+        }
+    }
+
+    async listForProduct(productId, filters = {}) {
+        try {
+            const { rows: product } = await this.db.query(
+                'SELECT id, title, sku, stock_quantity FROM products WHERE id = $1',
+                [productId]
+            );
+
+            if (product.length === 0) {
+                throw NotFoundError.product(productId);
+            }
+
+            let query = 'SELECT * FROM product_batches WHERE product_id = $1';
+            if (filters.includeEmpty !== 'true' && filters.includeEmpty !== true) {
+                query += ' AND quantity_remaining > 0';
+            }
+            query += ' ORDER BY expiry_date ASC NULLS LAST, received_at ASC, id ASC';
+
+            const { rows: batches } = await this.db.query(query, [productId]);
+
+            const batchedQuantity = batches.reduce((total, batch) => total + batch.quantity_remaining, 0);
+
+            return {
+                success: true,
+                data: {
+                    product: {
+                        id: product[0].id,
+                        title: product[0].title,
+                        sku: product[0].sku,
+                        stockQuantity: product[0].stock_quantity,
+                        unbatchedQuantity: Math.max(product[0].stock_quantity - batchedQuantity, 0)
+                    },
+                    batches: batches.map(batch => this.formatBatch(batch))
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('List product batches error:', error);
+            throw error;
+        }
+    }
+
+    async listExpiring(days = 30) {
+        try {
+            const withinDays = days === undefined || days === null || days === '' ? 30 : Number(days);
+            if (!Number.isInteger(withinDays) || withinDays < 0 || withinDays > 3650) {
+                throw ValidationError.invalidNumber('days', days, 0, 3650);
+            }
+
+            const { rows: batches } = await this.db.query(
+                `SELECT
+                    b.*, p.title AS product_title, p.sku AS product_sku,
+                    (b.expiry_date - CURRENT_DATE) AS days_until_expiry
+                FROM product_batches b
+                JOIN products p ON b.product_id = p.id
+                WHERE b.quantity_remaining > 0
+                    AND b.expiry_date IS NOT NULL
+                    AND b.expiry_date <= CURRENT_DATE + $1::integer
+                ORDER BY b.expiry_date ASC, p.title ASC`,
+                [withinDays]
+            );
+
+            return {
+                success: true,
+                data: {
+                    days: withinDays,
+                    batches: batches.map(batch => ({
+                        ...this.formatBatch(batch),
+                        productTitle: batch.product_title,
+                        productSku: batch.product_sku,
+                        daysUntilExpiry: batch.days_until_expiry,
+                        isExpired: batch.days_until_expiry < 0
+                    }))
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('List expiring batches error:', error);
+            throw error;
+        }
+    }
+
+    formatBatch(batch) {
+        return {
+            id: batch.id,
+            productId: batch.product_id,
+            lotNumber: batch.lot_number,
+            quantityReceived: batch.quantity_received,
+            quantityRemaining: batch.quantity_remaining,
+            expiryDate: batch.expiry_date ? new Date(batch.expiry_date).toISOString().split('T')[0] : null,
+            supplier: batch.supplier,
+            supplierId: batch.supplier_id,
+            purchaseOrderId: batch.purchase_order_id,
+            receivedBy: batch.received_by,
+            receivedAt: batch.received_at,
+            createdAt: batch.created_at,
+            updatedAt: batch.updated_at
+        };
+    }
+}
+
+module.exports = ProductBatch;
@@ -0,0 +1,430 @@
+const Database = require('../core/Database');
+const Validator = require('../core/Validator');
+const ServiceManager = require('../core/ServiceManager');
+const Csv = require('../core/Csv');
+const Product = require('./Product');
+const {
+    ValidationError,
+    NotFoundError
+} = require('../core/errors');
+
+// Columns of an import/export file, in export order; the SKU identifies the product.
+// A row with parentSku is a variant of that listing (earlier in the file or already stored).
+const IMPORT_FIELDS = [
+    'sku', 'title', 'priceValue', 'unit', 'category', 'subcategory', 'manufacturer', 'status',
+    'stockQuantity', 'expiryDate', 'requiresPrescription', 'description', 'uses', 'ingredients',
+    'usageInstructions', 'images', 'origin', 'reorderThreshold', 'weightGrams', 'parentSku', 'variantLabel'
+];
+const NUMBER_FIELDS = ['priceValue', 'stockQuantity', 'reorderThreshold', 'weightGrams'];
+const BOOLEAN_FIELDS = ['requiresPrescription'];
+// Written as "a|b|c" in CSV files; a literal | or \ inside an entry is escaped with a backslash
+const LIST_FIELDS = ['ingredients', 'usageInstructions', 'images'];
+const LIST_SEPARATOR = '|';
+
+const REQUIRED_FOR_NEW = ['title', 'priceValue', 'category', 'manufacturer', 'unit'];
+// Variants take title, category etc. from their listing
+const REQUIRED_FOR_NEW_VARIANT = ['variantLabel', 'priceValue', 'unit'];
+const MAX_IMPORT_ROWS = 5000;
+// Only the first errors are kept for the report; error_count has the full total
+const MAX_STORED_ERRORS = 200;
+const PROGRESS_EVERY_ROWS = 25;
+
+class ProductImport {
+    constructor() {
+        this.db = new Database();
+        this.validator = new Validator();
+        this.productModel = new Product();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    /**
+     * Read an uploaded catalog into normalized rows
+     * @param {Buffer} buffer
+     * @param {'csv'|'json'} format
+     */
+    parseFile(buffer, format) {
+        let rawRows;
+
+        try {
+            if (format === 'json') {
+                const parsed = JSON.parse(buffer.toString('utf8'));
+                rawRows = Array.isArray(parsed) ? parsed : parsed.products;
+            } else {
+                rawRows = Csv.parse(buffer.toString('utf8'), { escapeFormulas: true });
+            }
+        } catch (error) {
+            rawRows = null;
+        }
+
+        if (!Array.isArray(rawRows) || rawRows.some(row => !row || typeof row !== 'object')) {
+            throw ValidationError.invalidFormat('file', format === 'json'
+                ? 'JSON array of products (or { "products": [...] })'
+                : 'CSV with a header row');
+        }
+
+        if (rawRows.length === 0 || rawRows.length > MAX_IMPORT_ROWS) {
+            throw ValidationError.invalidNumber('rows', rawRows.length, 1, MAX_IMPORT_ROWS);
+        }
+
+        return rawRows.map(row => this.normalizeRow(row));
+    }
+
+    /**
+     * Keep known fields and convert CSV text to the types the product model expects.
+     * Empty cells count as "not provided". Values that don't convert are left as they
+     * are so validation reports them.
+     */
+    normalizeRow(rawRow) {
+        const row = {};
+
+        for (const field of IMPORT_FIELDS) {
+            let value = rawRow[field];
+            if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+                continue;
+            }
+
+            if (typeof value === 'string') {
+                value = value.trim();
+
+                if (NUMBER_FIELDS.includes(field) && !Number.isNaN(Number(value))) {
+                    value = Number(value);
+                } else if (BOOLEAN_FIELDS.includes(field) && ['true', '1', 'yes'].includes(value.toLowerCase())) {
+                    value = true;
+                } else if (BOOLEAN_FIELDS.includes(field) && ['false', '0', 'no'].includes(value.toLowerCase())) {
+                    value = false;
+                } else if (LIST_FIELDS.includes(field)) {
+                    value = ProductImport.parseList(value);
+                }
+            }
+
+            row[field] = value;
+        }
+
+        return row;
+    }
+
+    /**
+     * Check a row with the same rules as the product create/update endpoints
+     * @param {Object} row - normalized row
+     * @param {boolean} isNew - no product has this SKU yet
+     * @returns {Array<{ field: string, message: string }>}
+     */
+    validateRow(row, isNew) {
+        this.validator.clearErrors();
+
+        const requiredForNew = row.parentSku ? REQUIRED_FOR_NEW_VARIANT : REQUIRED_FOR_NEW;
+        this.validator.validateRequired(row, isNew ? ['sku', ...requiredForNew] : ['sku']);
+        this.validator.validateString('sku', row.sku, 1, 50);
+        this.validator.validateString('variantLabel', row.variantLabel, 1, 100);
+        this.validator.validateString('title', row.title, 1);
+        this.validator.validateNumber('priceValue', row.priceValue, 0);
+        this.validator.validateNumber('stockQuantity', row.stockQuantity, 0);
+        this.validator.validateNumber('reorderThreshold', row.reorderThreshold, 0);
+        this.validator.validateNumber('weightGrams', row.weightGrams, 1);
+        this.validator.validateEnum('status', row.status, ['active', 'inactive', 'out_of_stock']);
+        this.validator.validateDate('expiryDate', row.expiryDate);
+
+        for (const field of BOOLEAN_FIELDS) {
+            if (row[field] !== undefined && typeof row[field] !== 'boolean') {
+                this.validator.addError(field, `${field} must be true or false`);
+            }
+        }
+
+        for (const field of LIST_FIELDS) {
+            this.validator.validateArray(field, row[field]);
+        }
+
+        // Bulk imports reference images that are already hosted; uploads go through the image endpoints
+        if (Array.isArray(row.images) && row.images.some(url => typeof url !== 'string' || !/^https?:\/\//.test(url))) {
+            this.validator.addError('images', 'images must be http(s) URLs');
+        }
+
+        return [...this.validator.getErrors()];
+    }
+
+    /**
+     * Record an import and start processing it in the background
+     * @returns {Promise<Object>} the import as returned by getById
+     */
+    async start({ format, fileName = null, rows, dryRun = false }, userId = null) {
+        try {
+            const { rows: created } = await this.db.query(
+                `INSERT INTO product_imports (format, file_name, dry_run, total_rows, created_by)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING id`,
+                [format, fileName, dryRun, rows.length, userId]
+            );
+
+            const importId = created[0].id;
+
+            this.logger.info(`Product import queued - Import: ${importId}, Rows: ${rows.length}, Dry run: ${dryRun}`);
+
+            // Not awaited: the client polls getById for progress
+            this.run(importId, rows, dryRun, userId).catch(error => {
+                this.logger.error(`Product import ${importId} failed:`, error);
+            });
+
+            return await this.getById(importId);
+
+        } catch (error) {
+            this.logger.error('Start product import error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Validate and upsert every row by SKU. A dry run validates only; its created/updated
+     * counts are what a real run would do.
+     */
+    async run(importId, rows, dryRun, userId = null) {
+        await this.db.query(
+            `UPDATE product_imports SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = $1`,
+            [importId]
+        );
+
+        const progress = { processedRows: 0, createdCount: 0, updatedCount: 0, errorCount: 0, errors: [] };
+
+        const recordErrors = (rowNumber, sku, errors) => {
+            progress.errorCount++;
+            if (progress.errors.length < MAX_STORED_ERRORS) {
+                progress.errors.push({ row: rowNumber, sku: sku || null, errors });
+            }
+        };
+
+        try {
+            const skus = rows.flatMap(row => [row.sku, row.parentSku]).filter(sku => typeof sku === 'string');
+            const { rows: existingProducts } = await this.db.query(
+                'SELECT id, sku, parent_id, images, image_variants FROM products WHERE sku = ANY($1::text[])',
+                [skus]
+            );
+            const existingBySku = new Map(existingProducts.map(product => [product.sku, product]));
+            const seenSkus = new Set();
+
+            for (let index = 0; index < rows.length; index++) {
+                const row = rows[index];
+                const rowNumber = index + 1;
+                const existing = existingBySku.get(row.sku);
+
+                const errors = this.validateRow(row, !existing);
+                if (row.sku && seenSkus.has(row.sku)) {
+                    errors.push({ field: 'sku', message: `sku ${row.sku} appears more than once in the file` });
+                }
+                seenSkus.add(row.sku);
+
+                // The listing of a new variant must exist by the time its row is processed
+                const parent = !existing && row.parentSku ? existingBySku.get(row.parentSku) : null;
+                if (!existing && row.parentSku) {
+                    if (!parent && !(dryRun && seenSkus.has(row.parentSku))) {
+                        errors.push({ field: 'parentSku', message: `No product with sku ${row.parentSku} before this row` });
+                    } else if (parent && parent.parent_id) {
+                        errors.push({ field: 'parentSku', message: `sku ${row.parentSku} is itself a variant` });
+                    }
+                }
+
+                if (errors.length > 0) {
+                    recordErrors(rowNumber, row.sku, errors);
+                } else if (dryRun) {
+                    if (existing) {
+                        progress.updatedCount++;
+                    } else {
+                        progress.createdCount++;
+                    }
+                } else {
+                    try {
+                        if (existing) {
+                            await this.productModel.update(existing.id, this.buildUpdateData(row, existing), userId);
+                            progress.updatedCount++;
+                        } else {
+                            const { parentSku, ...productData } = row;
+                            const result = parent
+                                ? await this.productModel.createVariant(parent.id, productData, userId)
+                                : await this.productModel.create(productData, userId);
+                            existingBySku.set(row.sku, { id: result.data.id, sku: row.sku, parent_id: parent ? parent.id : null });
+                            progress.createdCount++;
+                        }
+                    } catch (error) {
+                        recordErrors(rowNumber, row.sku, [{ field: (error.details && error.details.field) || null, message: error.message }]);
+                    }
+                }
+
+                progress.processedRows = rowNumber;
+                if (rowNumber % PROGRESS_EVERY_ROWS === 0) {
+                    await this.saveProgress(importId, progress);
+                }
+            }
+
+            await this.saveProgress(importId, progress, 'completed');
+
+            this.logger.info(`Product import completed - Import: ${importId}, Created: ${progress.createdCount}, Updated: ${progress.updatedCount}, Errors: ${progress.errorCount}`);
+
+        } catch (error) {
+            await this.saveProgress(importId, progress, 'failed', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Update data for an existing product. Stock is left alone (it moves through the
+     * inventory ledger), so re-importing an old export can't undo sales. A product
+     * can't be moved to another listing, and a variant's shared fields come from its listing.
+     */
+    buildUpdateData(row, existing) {
+        const { sku, stockQuantity, parentSku, ...updateData } = row;
+
+        if (existing.parent_id) {
+            for (const field of [...Product.SHARED_VARIANT_FIELDS, ...Product.LISTING_CONTENT_FIELDS]) {
+                delete updateData[field];
+            }
+            return updateData;
+        }
+
+        // Keep generated variants for image URLs the product already has
+        if (updateData.images) {
+            const currentImages = existing.images || [];
+            const currentVariants = existing.image_variants || [];
+            updateData.imageVariants = updateData.images.map(url => {
+                const index = currentImages.indexOf(url);
+                return index >= 0 ? currentVariants[index] || null : null;
+            });
+        }
+
+        return updateData;
+    }
+
+    /**
+     * Imports run inside the server process, so any still pending or running at startup were cut
+     * off by the previous shutdown. Mark them failed so clients polling them stop waiting.
+     * @returns {Promise<number>} number of imports marked failed
+     */
+    async failInterrupted() {
+        try {
+            const { rows: interrupted } = await this.db.query(
+                `UPDATE product_imports SET
+                    status = 'failed',
+                    failure_message = 'Import was interrupted by a server restart; upload the file again',
+                    finished_at = CURRENT_TIMESTAMP
+                WHERE status IN ('pending', 'running')
+                RETURNING id`
+            );
+
+            if (interrupted.length > 0) {
+                this.logger.warn(`Marked interrupted product imports as failed - Imports: ${interrupted.map(row => row.id).join(', ')}`);
+            }
+
+            return interrupted.length;
+
+        } catch (error) {
+            this.logger.error('Fail interrupted product imports error:', error);
+            throw error;
+        }
+    }
+
+    async saveProgress(importId, progress, status = null, failureMessage = null) {
+        await this.db.query(
+            `UPDATE product_imports SET
+                processed_rows = $1, created_count = $2, updated_count = $3,
+                error_count = $4, errors = $5,
+                status = COALESCE($6, status),
+                failure_message = COALESCE($7, failure_message),
+                finished_at = CASE WHEN $6::text IS NOT NULL THEN CURRENT_TIMESTAMP ELSE finished_at END
+            WHERE id = $8`,
+            [
+                progress.processedRows, progress.createdCount, progress.updatedCount,
+                progress.errorCount, JSON.stringify(progress.errors),
+                status, failureMessage, importId
+            ]
+        );
+    }
+
+    async getById(importId) {
+        try {
+            const { rows } = await this.db.query(
+                `SELECT id, status, format, file_name, dry_run, total_rows, processed_rows,
+                    created_count, updated_count, error_count, errors, failure_message,
+                    created_by, created_at, started_at, finished_at
+                FROM product_imports WHERE id = $1`,
+                [importId]
+            );
+
+            if (rows.length === 0) {
+                throw NotFoundError.productImport(importId);
+            }
+
+            const productImport = rows[0];
+
+            return {
+                success: true,
+                data: {
+                    id: productImport.id,
+                    status: productImport.status,
+                    format: productImport.format,
+                    fileName: productImport.file_name,
+                    dryRun: productImport.dry_run,
+                    totalRows: productImport.total_rows,
+                    processedRows: productImport.processed_rows,
+                    progress: productImport.total_rows > 0
+                        ? Math.round((productImport.processed_rows / productImport.total_rows) * 100)
+                        : 100,
+                    createdCount: productImport.created_count,
+                    updatedCount: productImport.updated_count,
+                    errorCount: productImport.error_count,
+                    errors: productImport.errors || [],
+                    errorsTruncated: productImport.error_count > (productImport.errors || []).length,
+                    failureMessage: productImport.failure_message,
+                    createdBy: productImport.created_by,
+                    createdAt: productImport.created_at,
+                    startedAt: productImport.started_at,
+                    finishedAt: productImport.finished_at
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('Get product import error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Join list entries into one CSV cell, escaping the separator so parseList gets the same entries back
+     * @param {Array<string>} items
+     * @returns {string}
+     */
+    static formatList(items) {
+        return items
+            .map(item => String(item).replace(/\\/g, '\\\\').replace(/\|/g, '\\|'))
+            .join(LIST_SEPARATOR);
+    }
+
+    /**
+     * Split a CSV list cell written by formatList
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    static parseList(text) {
+        const items = [];
+        let item = '';
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                item += text[++i];
+            } else if (text[i] === LIST_SEPARATOR) {
+                items.push(item);
+                item = '';
+            } else {
+                item += text[i];
+            }
+        }
+        items.push(item);
+
+        return items.map(entry => entry.trim()).filter(Boolean);
+    }
+}
+
+ProductImport.FIELDS = IMPORT_FIELDS;
+ProductImport.LIST_FIELDS = LIST_FIELDS;
+ProductImport.LIST_SEPARATOR = LIST_SEPARATOR;
+
+module.exports = ProductImport;
@@ -0,0 +1,517 @@
+const Database = require('../core/Database');
+const Validator = require('../core/Validator');
+const ListQuery = require('../core/ListQuery');
+const ServiceManager = require('../core/ServiceManager');
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError
+} = require('../core/errors');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+// order: every item; category/product: only items in the listed categories/products
+const PROMOTION_SCOPES = ['order', 'category', 'product'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+const PROMOTION_FIELDS = {
+    name: 'name',
+    description: 'description',
+    code: 'code',
+    discountType: 'discount_type',
+    discountValue: 'discount_value',
+    maxDiscountAmount: 'max_discount_amount',
+    scope: 'scope',
+    categories: 'categories',
+    productIds: 'product_ids',
+    minSpend: 'min_spend',
+    usageLimit: 'usage_limit',
+    usageLimitPerUser: 'usage_limit_per_user',
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    isActive: 'is_active'
+};
+
+class Promotion {
+    constructor() {
+        this.db = new Database();
+        this.validator = new Validator();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    async create(promotionData, createdBy = null) {
+        try {
+            const requiredFields = ['name', 'discountType', 'discountValue'];
+            if (!this.validator.validateRequired(promotionData, requiredFields)) {
+                const missingFields = requiredFields.filter(field =>
+                    promotionData[field] === undefined || promotionData[field] === null || promotionData[field] === ''
+                );
+                throw ValidationError.missingFields(missingFields);
+            }
+
+            const promotion = this.normalize({ scope: 'order', ...promotionData });
+            this.validatePromotion(promotion);
+
+            if (promotion.code) {
+                await this.assertCodeAvailable(promotion.code);
+            }
+
+            const fields = Object.keys(PROMOTION_FIELDS).filter(field => promotion[field] !== undefined);
+            const values = fields.map(field => promotion[field]);
+
+            const { rows: promotions } = await this.db.query(
+                `INSERT INTO promotions (${fields.map(field => PROMOTION_FIELDS[field]).join(', ')}, created_by)
+                VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')}, $${values.length + 1})
+                RETURNING *`,
+                [...values, createdBy]
+            );
+
+            this.logger.info(`Promotion created: ${promotion.name} (ID: ${promotions[0].id}, Code: ${promotion.code || 'automatic'})`);
+
+            return {
+                success: true,
+                message: 'Promotion created successfully',
+                data: this.formatPromotion(promotions[0])
+            };
+
+        } catch (error) {
+            this.logger.error('Create promotion error:', error);
+            throw error;
+        }
+    }
+
+    async update(id, updateData) {
+        try {
+            const { rows: existing } = await this.db.query('SELECT * FROM promotions WHERE id = $1', [id]);
+            if (existing.length === 0) {
+                throw NotFoundError.promotion(id);
+            }
+
+            const changes = this.normalize(updateData);
+            const fields = Object.keys(PROMOTION_FIELDS).filter(field => changes[field] !== undefined);
+
+            if (fields.length === 0) {
+                throw ValidationError.missingFields(Object.keys(PROMOTION_FIELDS));
+            }
+
+            // Validate the promotion as it will be after the update
+            this.validatePromotion({ ...this.formatPromotion(existing[0]), ...changes });
+
+            if (changes.code && changes.code !== existing[0].code) {
+                await this.assertCodeAvailable(changes.code, id);
+            }
+
+            const values = fields.map(field => changes[field]);
+            values.push(id);
+
+            const { rows: promotions } = await this.db.query(
+                `UPDATE promotions SET
+                    ${fields.map((field, index) => `${PROMOTION_FIELDS[field]} = $${index + 1}`).join(', ')},
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $${values.length}
+                RETURNING *`,
+                values
+            );
+
+            this.logger.info(`Promotion updated (ID: ${id}) - Updated fields: ${fields.join(', ')}`);
+
+            return {
+                success: true,
+                message: 'Promotion updated successfully',
+                data: this.formatPromotion(promotions[0])
+            };
+
+        } catch (error) {
+            this.logger.error('Update promotion error:', error);
+            throw error;
+        }
+    }
+
+    async getById(id) {
+        try {
+            const { rows: promotions } = await this.db.query(
+                `SELECT pr.*,
+                    (SELECT COUNT(DISTINCT od.order_id) FROM order_discounts od
+                        JOIN orders o ON od.order_id = o.id
+                        WHERE od.promotion_id = pr.id AND o.status <> 'cancelled') AS times_used,
+                    (SELECT COALESCE(SUM(od.amount), 0) FROM order_discounts od
+                        JOIN orders o ON od.order_id = o.id
+                        WHERE od.promotion_id = pr.id AND o.status <> 'cancelled') AS total_discounted
+                FROM promotions pr
+                WHERE pr.id = $1`,
+                [id]
+            );
+
+            if (promotions.length === 0) {
+                throw NotFoundError.promotion(id);
+            }
+
+            return {
+                success: true,
+                data: {
+                    ...this.formatPromotion(promotions[0]),
+                    timesUsed: parseInt(promotions[0].times_used),
+                    totalDiscounted: parseFloat(promotions[0].total_discounted)
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('Get promotion error:', error);
+            throw error;
+        }
+    }
+
+    async list(filters = {}) {
+        try {
+            const listQuery = new ListQuery(filters);
+
+            if (filters.search) {
+                const search = listQuery.param(`%${filters.search}%`);
+                listQuery.where(`(name ILIKE ${search} OR code ILIKE ${search})`);
+            }
+
+            if (filters.isActive !== undefined) {
+                listQuery.where(`is_active = ${listQuery.param(filters.isActive === 'true' || filters.isActive === true)}`);
+            }
+
+            if (filters.type === 'coupon') {
+                listQuery.where('code IS NOT NULL');
+            } else if (filters.type === 'automatic') {
+                listQuery.where('code IS NULL');
+            } else if (filters.type !== undefined) {
+                throw ValidationError.invalidEnum('type', filters.type, ['coupon', 'automatic']);
+            }
+
+            const { rows: promotions, pagination } = await listQuery.fetch(this.db, {
+                select: '*',
+                from: 'promotions',
+                orderBy: [
+                    { expression: 'created_at', direction: 'DESC' },
+                    { expression: 'id', direction: 'DESC' }
+                ]
+            });
+
+            return {
+                success: true,
+                data: {
+                    promotions: promotions.map(promotion => this.formatPromotion(promotion)),
+                    pagination
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('List promotions error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Work out the discounts for a cart or an order being placed. Every automatic promotion
+     * that qualifies applies, then the coupon (if any); each one discounts what is left of
+     * its qualifying items after the previous ones, so the total never exceeds the subtotal.
+     * Minimum spend is checked against the qualifying items before any discount.
+     * @param {Object} executor - Database or transaction client
+     * @param {Object} options
+     * @param {Array<{ productId: number, parentId: ?number, category: ?string, totalPrice: number }>} options.items
+     * @param {?number} options.userId - needed for per-user usage limits
+     * @param {?string} options.couponCode
+     * @param {boolean} options.lock - hold usage-limited promotions until the transaction ends,
+     *   so concurrent orders can't both take the last use
+     * @returns {Promise<{ discounts: Array, discountAmount: number, itemDiscounts: Array<number>, couponError: ?string }>}
+     *   itemDiscounts[i] is items[i]'s share of the discounts; couponError says why the coupon did not apply
+     */
+    async calculateDiscounts(executor, { items, userId = null, couponCode = null, lock = false }) {
+        const code = this.normalizeCode(couponCode);
+
+        const { rows: candidates } = await executor.query(
+            `SELECT *,
+                (starts_at IS NOT NULL AND starts_at > CURRENT_TIMESTAMP) AS not_started,
+                (ends_at IS NOT NULL AND ends_at <= CURRENT_TIMESTAMP) AS has_ended
+            FROM promotions
+            WHERE (code IS NULL AND is_active
+                    AND (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP)
+                    AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP))
+                OR code = $1
+            ORDER BY (code IS NOT NULL), id`,
+            [code]
+        );
+
+        let couponError = null;
+        const coupon = code ? candidates.find(promotion => promotion.code === code) : null;
+
+        if (code && !coupon) {
+            couponError = 'code not found';
+        } else if (coupon && !coupon.is_active) {
+            couponError = 'no longer active';
+        } else if (coupon && coupon.not_started) {
+            couponError = 'not valid yet';
+        } else if (coupon && coupon.has_ended) {
+            couponError = 'expired';
+        }
+
+        const promotions = candidates.filter(promotion => !promotion.code || (promotion === coupon && !couponError));
+        const usage = await this.getUsage(executor, promotions, userId, lock);
+
+        const cents = amount => Math.round(amount * 100);
+        const remaining = items.map(item => cents(item.totalPrice));
+        const itemDiscounts = items.map(() => 0);
+        const discounts = [];
+
+        for (const promotion of promotions) {
+            const eligible = items
+                .map((item, index) => index)
+                .filter(index => this.appliesTo(promotion, items[index]));
+
+            const eligibleSpend = eligible.reduce((total, index) => total + cents(items[index].totalPrice), 0);
+            const promotionUsage = usage.get(promotion.id) || { total: 0, byUser: 0 };
+            let reason = null;
+
+            if (eligible.length === 0) {
+                reason = 'does not apply to any item in the cart';
+            } else if (eligibleSpend < cents(promotion.min_spend)) {
+                reason = `requires a minimum spend of ${parseFloat(promotion.min_spend)} on qualifying items`;
+            } else if (promotion.usage_limit !== null && promotionUsage.total >= promotion.usage_limit) {
+                reason = 'usage limit reached';
+            } else if (promotion.usage_limit_per_user !== null &&
+                (!userId || promotionUsage.byUser >= promotion.usage_limit_per_user)) {
+                reason = 'already used the maximum number of times';
+            }
+
+            if (reason) {
+                if (promotion === coupon) {
+                    couponError = reason;
+                }
+                continue;
+            }
+
+            const base = eligible.reduce((total, index) => total + remaining[index], 0);
+            let amount = promotion.discount_type === 'percentage'
+                ? Math.round(base * parseFloat(promotion.discount_value) / 100)
+                : cents(promotion.discount_value);
+
+            if (promotion.max_discount_amount !== null) {
+                amount = Math.min(amount, cents(promotion.max_discount_amount));
+            }
+            amount = Math.min(amount, base);
+
+            if (amount <= 0) {
+                continue;
+            }
+
+            // Spread the discount over the qualifying items in proportion to what is left of each
+            let allocated = 0;
+            const allocate = (index, share) => {
+                remaining[index] -= share;
+                itemDiscounts[index] += share;
+                allocated += share;
+            };
+            for (const index of eligible) {
+                allocate(index, Math.floor(amount * remaining[index] / base));
+            }
+            // Then the cents lost to rounding down
+            for (const index of eligible) {
+                allocate(index, Math.min(amount - allocated, remaining[index]));
+            }
+
+            discounts.push({
+                promotionId: promotion.id,
+                code: promotion.code,
+                name: promotion.name,
+                discountType: promotion.discount_type,
+                discountValue: parseFloat(promotion.discount_value),
+                amount: amount / 100
+            });
+        }
+
+        return {
+            discounts,
+            discountAmount: discounts.reduce((total, discount) => total + cents(discount.amount), 0) / 100,
+            itemDiscounts: itemDiscounts.map(amount => amount / 100),
+            couponError
+        };
+    }
+
+    /**
+     * Times each usage-limited promotion has been used, overall and by this user.
+     * Orders that were cancelled don't count.
+     * @returns {Promise<Map<number, { total: number, byUser: number }>>}
+     */
+    async getUsage(executor, promotions, userId, lock) {
+        const limitedIds = promotions
+            .filter(promotion => promotion.usage_limit !== null || promotion.usage_limit_per_user !== null)
+            .map(promotion => promotion.id);
+
+        if (limitedIds.length === 0) {
+            return new Map();
+        }
+
+        if (lock) {
+            await executor.query(
+                'SELECT id FROM promotions WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+                [limitedIds]
+            );
+        }
+
+        const { rows } = await executor.query(
+            `SELECT od.promotion_id,
+                COUNT(DISTINCT od.order_id) AS total,
+                COUNT(DISTINCT od.order_id) FILTER (WHERE o.user_id = $2) AS by_user
+            FROM order_discounts od
+            JOIN orders o ON od.order_id = o.id
+            WHERE od.promotion_id = ANY($1::int[]) AND o.status <> 'cancelled'
+            GROUP BY od.promotion_id`,
+            [limitedIds, userId]
+        );
+
+        return new Map(rows.map(row => [
+            row.promotion_id,
+            { total: parseInt(row.total), byUser: parseInt(row.by_user) }
+        ]));
+    }
+
+    // A product-scoped promotion on a listing also covers its variants
+    appliesTo(promotion, item) {
+        if (promotion.scope === 'category') {
+            return (promotion.categories || []).includes(item.category);
+        }
+
+        if (promotion.scope === 'product') {
+            const productIds = (promotion.product_ids || []).map(productId => parseInt(productId));
+            return productIds.includes(parseInt(item.productId)) ||
+                (item.parentId !== null && item.parentId !== undefined && productIds.includes(parseInt(item.parentId)));
+        }
+
+        return true;
+    }
+
+    async assertCodeAvailable(code, excludeId = null) {
+        const { rows: existing } = await this.db.query(
+            'SELECT id FROM promotions WHERE code = $1 AND id IS DISTINCT FROM $2',
+            [code, excludeId]
+        );
+
+        if (existing.length > 0) {
+            throw ConflictError.resourceTaken('Promotion code', code);
+        }
+    }
+
+    normalizeCode(code) {
+        return typeof code === 'string' && code.trim() !== '' ? code.trim().toUpperCase() : null;
+    }
+
+    // Request body -> column values; empty strings clear optional fields
+    normalize(data) {
+        const promotion = {};
+
+        for (const field of Object.keys(PROMOTION_FIELDS)) {
+            if (data[field] !== undefined) {
+                promotion[field] = data[field] === '' ? null : data[field];
+            }
+        }
+
+        if (promotion.code !== undefined && promotion.code !== null) {
+            promotion.code = typeof promotion.code === 'string' ? promotion.code.trim().toUpperCase() : promotion.code;
+        }
+
+        if (typeof promotion.name === 'string') {
+            promotion.name = promotion.name.trim();
+        }
+
+        return promotion;
+    }
+
+    validatePromotion(promotion) {
+        this.validator.clearErrors();
+
+        if (!promotion.name) {
+            throw ValidationError.missingFields(['name']);
+        }
+
+        if (!this.validator.validateString('name', promotion.name, 1, 255)) {
+            throw ValidationError.invalidLength('name', String(promotion.name).length, 1, 255);
+        }
+
+        if (promotion.code !== null && promotion.code !== undefined &&
+            (typeof promotion.code !== 'string' || !CODE_PATTERN.test(promotion.code))) {
+            throw ValidationError.invalidFormat('code', '3-50 letters, digits, "-" or "_"');
+        }
+
+        if (!this.validator.validateEnum('discountType', promotion.discountType, DISCOUNT_TYPES)) {
+            throw ValidationError.invalidEnum('discountType', promotion.discountType, DISCOUNT_TYPES);
+        }
+
+        const maxValue = promotion.discountType === 'percentage' ? 100 : null;
+        if (typeof promotion.discountValue !== 'number' || promotion.discountValue <= 0 ||
+            (maxValue !== null && promotion.discountValue > maxValue)) {
+            throw ValidationError.invalidNumber('discountValue', promotion.discountValue, 0, maxValue);
+        }
+
+        for (const field of ['maxDiscountAmount', 'minSpend']) {
+            if (!this.validator.validateNumber(field, promotion[field], 0)) {
+                throw ValidationError.invalidNumber(field, promotion[field], 0);
+            }
+        }
+
+        for (const field of ['usageLimit', 'usageLimitPerUser']) {
+            const value = promotion[field];
+            if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+                throw ValidationError.invalidNumber(field, value, 1);
+            }
+        }
+
+        if (!this.validator.validateEnum('scope', promotion.scope, PROMOTION_SCOPES)) {
+            throw ValidationError.invalidEnum('scope', promotion.scope, PROMOTION_SCOPES);
+        }
+
+        if (promotion.scope === 'category' &&
+            (!Array.isArray(promotion.categories) || promotion.categories.length === 0 ||
+                promotion.categories.some(category => typeof category !== 'string' || category.trim() === ''))) {
+            throw ValidationError.invalidFormat('categories', 'non-empty array of category names');
+        }
+
+        if (promotion.scope === 'product' &&
+            (!Array.isArray(promotion.productIds) || promotion.productIds.length === 0 ||
+                promotion.productIds.some(productId => !Number.isInteger(productId) || productId < 1))) {
+            throw ValidationError.invalidFormat('productIds', 'non-empty array of product ids');
+        }
+
+        for (const field of ['startsAt', 'endsAt']) {
+            if (promotion[field] && Number.isNaN(new Date(promotion[field]).getTime())) {
+                throw ValidationError.invalidFormat(field, 'ISO 8601 date/time');
+            }
+        }
+
+        if (promotion.startsAt && promotion.endsAt && new Date(promotion.endsAt) <= new Date(promotion.startsAt)) {
+            throw ValidationError.invalidFormat('endsAt', 'date/time after startsAt');
+        }
+    }
+
+    formatPromotion(promotion) {
+        return {
+            id: promotion.id,
+            name: promotion.name,
+            description: promotion.description,
+            code: promotion.code,
+            isAutomatic: !promotion.code,
+            discountType: promotion.discount_type,
+            discountValue: parseFloat(promotion.discount_value),
+            maxDiscountAmount: promotion.max_discount_amount !== null ? parseFloat(promotion.max_discount_amount) : null,
+            scope: promotion.scope,
+            categories: promotion.categories || [],
+            productIds: promotion.product_ids || [],
+            minSpend: parseFloat(promotion.min_spend),
+            usageLimit: promotion.usage_limit,
+            usageLimitPerUser: promotion.usage_limit_per_user,
+            startsAt: promotion.starts_at,
+            endsAt: promotion.ends_at,
+            isActive: promotion.is_active,
+            createdBy: promotion.created_by,
+            createdAt: promotion.created_at,
+            updatedAt: promotion.updated_at
+        };
+    }
+}
+
+module.exports = Promotion;
@@ -0,0 +1,606 @@
+const Database = require('../core/Database');
+const Validator = require('../core/Validator');
+const ServiceManager = require('../core/ServiceManager');
+const ProductBatch = require('./ProductBatch');
+const {
+    ValidationError,
+    NotFoundError,
+    BusinessLogicError
+} = require('../core/errors');
+
+// Allowed status transitions - statuses match chk_purchase_orders_status.
+// Receiving moves an ordered PO to partially_received or received.
+const PURCHASE_ORDER_STATUS_TRANSITIONS = {
+    draft: ['ordered'],
+    ordered: ['partially_received', 'received'],
+    partially_received: ['received'],
+    received: []
+};
+
+class PurchaseOrder {
+    constructor() {
+        this.db = new Database();
+        this.validator = new Validator();
+        this.batchModel = new ProductBatch();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    async create(purchaseOrderData, createdBy = null) {
+        try {
+            this.validator.clearErrors();
+
+            const requiredFields = ['supplierId', 'items'];
+            if (!this.validator.validateRequired(purchaseOrderData, requiredFields)) {
+                const missingFields = requiredFields.filter(field =>
+                    purchaseOrderData[field] === undefined || purchaseOrderData[field] === null || purchaseOrderData[field] === ''
+                );
+                throw ValidationError.missingFields(missingFields);
+            }
+
+            this.validateItems(purchaseOrderData.items);
+
+            if (purchaseOrderData.expectedDate && !this.validator.validateDate('expectedDate', purchaseOrderData.expectedDate)) {
+                throw ValidationError.invalidFormat('expectedDate', 'YYYY-MM-DD');
+            }
+
+            const client = await this.db.getClient();
+
+            try {
+                await client.query('BEGIN');
+
+                await this.assertActiveSupplier(client, purchaseOrderData.supplierId);
+
+                const { rows: purchaseOrders } = await client.query(
+                    `INSERT INTO purchase_orders (supplier_id, status, supplier_reference, expected_date, notes, created_by)
+                    VALUES ($1, 'draft', $2, $3, $4, $5)
+                    RETURNING id`,
+                    [
+                        purchaseOrderData.supplierId, purchaseOrderData.supplierReference || null,
+                        purchaseOrderData.expectedDate || null, purchaseOrderData.notes || null, createdBy
+                    ]
+                );
+
+                const purchaseOrderId = purchaseOrders[0].id;
+
+                await this.replaceItems(client, purchaseOrderId, purchaseOrderData.items);
+
+                await client.query('COMMIT');
+
+                this.logger.info(`Purchase order created - ID: ${purchaseOrderId}, Supplier: ${purchaseOrderData.supplierId}, By: ${createdBy}`);
+
+                return {
+                    success: true,
+                    message: 'Purchase order created successfully',
+                    data: await this.fetchPurchaseOrder(this.db, purchaseOrderId)
+                };
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+        } catch (error) {
+            this.logger.error('Create purchase order error:', error);
+            throw error;
+        }
+    }
+
+    async update(id, updateData) {
+        try {
+            this.validator.clearErrors();
+
+            if (updateData.items !== undefined) {
+                this.validateItems(updateData.items);
+            }
+
+            if (updateData.expectedDate && !this.validator.validateDate('expectedDate', updateData.expectedDate)) {
+                throw ValidationError.invalidFormat('expectedDate', 'YYYY-MM-DD');
+            }
+
+            const client = await this.db.getClient();
+
+            try {
+                await client.query('BEGIN');
+
+                const purchaseOrder = await this.lockPurchaseOrder(client, id);
+
+                if (purchaseOrder.status !== 'draft') {
+                    throw BusinessLogicError.invalidOperation('update purchase order', 'Only draft purchase orders can be edited');
+                }
+
+                if (updateData.supplierId !== undefined) {
+                    await this.assertActiveSupplier(client, updateData.supplierId);
+                }
+
+                const fieldMap = {
+                    supplierId: 'supplier_id',
+                    supplierReference: 'supplier_reference',
+                    expectedDate: 'expected_date',
+                    notes: 'notes'
+                };
+
+                const updateFields = [];
+                const updateValues = [];
+
+                for (const [field, column] of Object.entries(fieldMap)) {
+                    if (updateData[field] !== undefined) {
+                        updateValues.push(updateData[field]);
+                        updateFields.push(`${column} = $${updateValues.length}`);
+                    }
+                }
+
+                if (updateFields.length > 0) {
+                    updateValues.push(id);
+                    await client.query(
+                        `UPDATE purchase_orders SET ${updateFields.join(', ')} WHERE id = $${updateValues.length}`,
+                        updateValues
+                    );
+                }
+
+                if (updateData.items !== undefined) {
+                    await this.replaceItems(client, id, updateData.items);
+                }
+
+                await client.query('COMMIT');
+
+                this.logger.info(`Purchase order updated (ID: ${id}) - Updated fields: ${Object.keys(updateData).join(', ')}`);
+
+                return {
+                    success: true,
+                    message: 'Purchase order updated successfully',
+                    data: await this.fetchPurchaseOrder(this.db, id)
+                };
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+        } catch (error) {
+            this.logger.error('Update purchase order error:', error);
+            throw error;
+        }
+    }
+
+    async delete(id) {
+        try {
+            const { rows: deleted } = await this.db.query(
+                `DELETE FROM purchase_orders WHERE id = $1 AND status = 'draft' RETURNING id`,
+                [id]
+            );
+
+            if (deleted.length === 0) {
+                const { rows: existing } = await this.db.query('SELECT status FROM purchase_orders WHERE id = $1', [id]);
+
+                if (existing.length === 0) {
+                    throw NotFoundError.purchaseOrder(id);
+                }
+
+                throw BusinessLogicError.invalidOperation('delete purchase order', 'Only draft purchase orders can be deleted');
+            }
+
+            this.logger.info(`Purchase order deleted (ID: ${id})`);
+
+            return {
+                success: true,
+                message: 'Purchase order deleted successfully'
+            };
+
+        } catch (error) {
+            this.logger.error('Delete purchase order error:', error);
+            throw error;
+        }
+    }
+
+    async placeOrder(id, orderedBy = null) {
+        try {
+            const client = await this.db.getClient();
+
+            try {
+                await client.query('BEGIN');
+
+                const purchaseOrder = await this.lockPurchaseOrder(client, id);
+
+                this.assertTransition(purchaseOrder.status, 'ordered');
+
+                await client.query(
+                    `UPDATE purchase_orders SET status = 'ordered', ordered_by = $1, ordered_at = CURRENT_TIMESTAMP
+                    WHERE id = $2`,
+                    [orderedBy, id]
+                );
+
+                await client.query('COMMIT');
+
+                this.logger.info(`Purchase order placed - ID: ${id}, By: ${orderedBy}`);
+
+                return {
+                    success: true,
+                    message: 'Purchase order placed with supplier',
+                    data: await this.fetchPurchaseOrder(this.db, id)
+                };
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+        } catch (error) {
+            this.logger.error('Place purchase order error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Post received quantities into stock. Each received line becomes a product batch,
+     * so receipts show up in the inventory ledger and in FEFO allocation.
+     */
+    async receive(id, receiptData = {}, receivedBy = null) {
+        try {
+            const { items } = receiptData;
+
+            if (!Array.isArray(items) || items.length === 0) {
+                throw ValidationError.invalidFormat('items', 'non-empty array of { purchaseOrderItemId, quantity, lotNumber, expiryDate }');
+            }
+
+            const client = await this.db.getClient();
+
+            try {
+                await client.query('BEGIN');
+
+                const purchaseOrder = await this.lockPurchaseOrder(client, id);
+
+                if (!['ordered', 'partially_received'].includes(purchaseOrder.status)) {
+                    throw BusinessLogicError.invalidOperation(
+                        'receive purchase order',
+                        `Purchase order status is '${purchaseOrder.status}'`
+                    );
+                }
+
+                const { rows: lines } = await client.query(
+                    `SELECT id, product_id, quantity_ordered, quantity_received
+                    FROM purchase_order_items
+                    WHERE purchase_order_id = $1
+                    ORDER BY id
+                    FOR UPDATE`,
+                    [id]
+                );
+
+                const receivedBatches = [];
+
+                for (const item of items) {
+                    const line = lines.find(row => row.id === parseInt(item.purchaseOrderItemId));
+                    if (!line) {
+                        throw BusinessLogicError.invalidOperation(
+                            'receive purchase order item',
+                            `Item ${item.purchaseOrderItemId} does not belong to purchase order ${id}`
+                        );
+                    }
+
+                    const outstanding = line.quantity_ordered - line.quantity_received;
+                    if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > outstanding) {
+                        throw ValidationError.invalidNumber('quantity', item.quantity, 1, outstanding);
+                    }
+
+                    const batch = await this.batchModel.receiveWithinTransaction(
+                        client,
+                        line.product_id,
+                        {
+                            lotNumber: item.lotNumber,
+                            quantity: item.quantity,
+                            expiryDate: item.expiryDate,
+                            supplier: purchaseOrder.supplier_name,
+                            supplierId: purchaseOrder.supplier_id,
+                            purchaseOrderId: purchaseOrder.id
+                        },
+                        receivedBy,
+                        { type: 'purchase_order', id: purchaseOrder.id }
+                    );
+
+                    await client.query(
+                        'UPDATE purchase_order_items SET quantity_received = quantity_received + $1 WHERE id = $2',
+                        [item.quantity, line.id]
+                    );
+                    line.quantity_received += item.quantity;
+
+                    receivedBatches.push({ purchaseOrderItemId: line.id, quantity: item.quantity, batch });
+                }
+
+                const fullyReceived = lines.every(line => line.quantity_received >= line.quantity_ordered);
+                const newStatus = fullyReceived ? 'received' : 'partially_received';
+
+                if (newStatus !== purchaseOrder.status) {
+                    this.assertTransition(purchaseOrder.status, newStatus);
+                }
+
+                await client.query(
+                    `UPDATE purchase_orders SET
+                        status = $1,
+                        received_at = CASE WHEN $1 = 'received' THEN CURRENT_TIMESTAMP ELSE received_at END
+                    WHERE id = $2`,
+                    [newStatus, id]
+                );
+
+                await client.query('COMMIT');
+
+                this.logger.info(`Purchase order received - ID: ${id}, Lines: ${receivedBatches.length}, Status: ${newStatus}, By: ${receivedBy}`);
+
+                return {
+                    success: true,
+                    message: fullyReceived ? 'Purchase order fully received' : 'Purchase order partially received',
+                    data: {
+                        ...(await this.fetchPurchaseOrder(this.db, id)),
+                        received: receivedBatches
+                    }
+                };
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+        } catch (error) {
+            this.logger.error('Receive purchase order error:', error);
+            throw error;
+        }
+    }
+
+    async getById(id) {
+        try {
+            return {
+                success: true,
+                data: await this.fetchPurchaseOrder(this.db, id)
+            };
+
+        } catch (error) {
+            this.logger.error('Get purchase order error:', error);
+            throw error;
+        }
+    }
+
+    async list(filters = {}) {
+        try {
+            const page = Math.max(parseInt(filters.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 100);
+            const offset = (page - 1) * limit;
+
+            const queryParams = [];
+            let whereClause = 'WHERE 1=1';
+
+            if (filters.status) {
+                const validStatuses = Object.keys(PURCHASE_ORDER_STATUS_TRANSITIONS);
+                if (!validStatuses.includes(filters.status)) {
+                    throw ValidationError.invalidEnum('status', filters.status, validStatuses);
+                }
+                queryParams.push(filters.status);
+                whereClause += ` AND po.status = $${queryParams.length}`;
+            }
+
+            if (filters.supplierId) {
+                queryParams.push(filters.supplierId);
+                whereClause += ` AND po.supplier_id = $${queryParams.length}`;
+            }
+
+            const { rows: countResult } = await this.db.query(
+                `SELECT COUNT(*) AS total FROM purchase_orders po ${whereClause}`,
+                queryParams
+            );
+
+            const { rows: purchaseOrders } = await this.db.query(
+                `SELECT
+                    po.*, s.name AS supplier_name,
+                    COUNT(poi.id) AS item_count,
+                    COALESCE(SUM(poi.quantity_ordered), 0) AS quantity_ordered,
+                    COALESCE(SUM(poi.quantity_received), 0) AS quantity_received
+                FROM purchase_orders po
+                JOIN suppliers s ON po.supplier_id = s.id
+                LEFT JOIN purchase_order_items poi ON poi.purchase_order_id = po.id
+                ${whereClause}
+                GROUP BY po.id, s.name
+                ORDER BY po.created_at DESC, po.id DESC
+                LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+                [...queryParams, limit, offset]
+            );
+
+            const totalRecords = parseInt(countResult[0].total);
+            const totalPages = Math.ceil(totalRecords / limit);
+
+            return {
+                success: true,
+                data: {
+                    purchaseOrders: purchaseOrders.map(purchaseOrder => ({
+                        ...this.formatPurchaseOrder(purchaseOrder),
+                        itemCount: parseInt(purchaseOrder.item_count),
+                        quantityOrdered: parseInt(purchaseOrder.quantity_ordered),
+                        quantityReceived: parseInt(purchaseOrder.quantity_received)
+                    })),
+                    pagination: {
+                        currentPage: page,
+                        totalPages,
+                        totalRecords,
+                        limit,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('List purchase orders error:', error);
+            throw error;
+        }
+    }
+
+    validateItems(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw ValidationError.invalidFormat('items', 'non-empty array of { productId, quantityOrdered, unitCost }');
+        }
+
+        const seen = new Set();
+        for (const item of items) {
+            if (!item.productId) {
+                throw ValidationError.missingFields(['productId']);
+            }
+
+            if (seen.has(parseInt(item.productId))) {
+                throw BusinessLogicError.invalidOperation('add purchase order item', `Product ${item.productId} is listed more than once`);
+            }
+            seen.add(parseInt(item.productId));
+
+            if (!Number.isInteger(item.quantityOrdered) || item.quantityOrdered < 1) {
+                throw ValidationError.invalidNumber('quantityOrdered', item.quantityOrdered, 1);
+            }
+
+            if (item.unitCost !== undefined && !this.validator.validateNumber('unitCost', item.unitCost, 0)) {
+                throw ValidationError.invalidNumber('unitCost', item.unitCost, 0);
+            }
+        }
+    }
+
+    async replaceItems(client, purchaseOrderId, items) {
+        await client.query('DELETE FROM purchase_order_items WHERE purchase_order_id = $1', [purchaseOrderId]);
+
+        let totalCost = 0;
+        for (const item of items) {
+            const { rows: product } = await client.query('SELECT id FROM products WHERE id = $1', [item.productId]);
+            if (product.length === 0) {
+                throw NotFoundError.product(item.productId);
+            }
+
+            const unitCost = parseFloat(item.unitCost || 0);
+            totalCost += unitCost * item.quantityOrdered;
+
+            await client.query(
+                `INSERT INTO purchase_order_items (purchase_order_id, product_id, quantity_ordered, unit_cost)
+                VALUES ($1, $2, $3, $4)`,
+                [purchaseOrderId, item.productId, item.quantityOrdered, unitCost]
+            );
+        }
+
+        await client.query(
+            'UPDATE purchase_orders SET total_cost = $1 WHERE id = $2',
+            [Math.round(totalCost * 100) / 100, purchaseOrderId]
+        );
+    }
+
+    async assertActiveSupplier(client, supplierId) {
+        const { rows: suppliers } = await client.query('SELECT id, is_active FROM suppliers WHERE id = $1', [supplierId]);
+
+        if (suppliers.length === 0) {
+            throw NotFoundError.supplier(supplierId);
+        }
+
+        if (!suppliers[0].is_active) {
+            throw BusinessLogicError.invalidOperation('use supplier', `Supplier ${supplierId} is inactive`);
+        }
+    }
+
+    async lockPurchaseOrder(client, id) {
+        const { rows: purchaseOrders } = await client.query(
+            `SELECT po.*, s.name AS supplier_name
+            FROM purchase_orders po
+            JOIN suppliers s ON po.supplier_id = s.id
+            WHERE po.id = $1
+            FOR UPDATE OF po`,
+            [id]
+        );
+
+        if (purchaseOrders.length === 0) {
+            throw NotFoundError.purchaseOrder(id);
+        }
+
+        return purchaseOrders[0];
+    }
+
+    assertTransition(fromStatus, toStatus) {
+        const allowed = PURCHASE_ORDER_STATUS_TRANSITIONS[fromStatus] || [];
+        if (!allowed.includes(toStatus)) {
+            throw BusinessLogicError.invalidStatusTransition(fromStatus, toStatus, allowed);
+        }
+    }
+
+    async fetchPurchaseOrder(executor, id) {
+        const { rows: purchaseOrders } = await executor.query(
+            `SELECT po.*, s.name AS supplier_name
+            FROM purchase_orders po
+            JOIN suppliers s ON po.supplier_id = s.id
+            WHERE po.id = $1`,
+            [id]
+        );
+
+        if (purchaseOrders.length === 0) {
+            throw NotFoundError.purchaseOrder(id);
+        }
+
+        const { rows: items } = await executor.query(
+            `SELECT poi.*, p.title AS product_title, p.sku AS product_sku
+            FROM purchase_order_items poi
+            JOIN products p ON poi.product_id = p.id
+            WHERE poi.purchase_order_id = $1
+            ORDER BY poi.id`,
+            [id]
+        );
+
+        const { rows: batches } = await executor.query(
+            `SELECT id, product_id, lot_number, quantity_received, expiry_date, received_at
+            FROM product_batches
+            WHERE purchase_order_id = $1
+            ORDER BY received_at, id`,
+            [id]
+        );
+
+        return {
+            ...this.formatPurchaseOrder(purchaseOrders[0]),
+            items: items.map(item => ({
+                id: item.id,
+                productId: item.product_id,
+                productTitle: item.product_title,
+                productSku: item.product_sku,
+                quantityOrdered: item.quantity_ordered,
+                quantityReceived: item.quantity_received,
+                quantityOutstanding: item.quantity_ordered - item.quantity_received,
+                unitCost: parseFloat(item.unit_cost)
+            })),
+            batches: batches.map(batch => ({
+                id: batch.id,
+                productId: batch.product_id,
+                lotNumber: batch.lot_number,
+                quantityReceived: batch.quantity_received,
+                expiryDate: batch.expiry_date ? new Date(batch.expiry_date).toISOString().split('T')[0] : null,
+                receivedAt: batch.received_at
+            })),
+            allowedTransitions: PURCHASE_ORDER_STATUS_TRANSITIONS[purchaseOrders[0].status] || []
+        };
+    }
+
+    formatPurchaseOrder(purchaseOrder) {
+        return {
+            id: purchaseOrder.id,
+            supplierId: purchaseOrder.supplier_id,
+            supplierName: purchaseOrder.supplier_name,
+            status: purchaseOrder.status,
+            supplierReference: purchaseOrder.supplier_reference,
+            expectedDate: purchaseOrder.expected_date ? new Date(purchaseOrder.expected_date).toISOString().split('T')[0] : null,
+            notes: purchaseOrder.notes,
+            totalCost: parseFloat(purchaseOrder.total_cost),
+            createdBy: purchaseOrder.created_by,
+            orderedBy: purchaseOrder.ordered_by,
+            orderedAt: purchaseOrder.ordered_at,
+            receivedAt: purchaseOrder.received_at,
+            createdAt: purchaseOrder.created_at,
+            updatedAt: purchaseOrder.updated_at
+        };
+    }
+}
+
+module.exports = PurchaseOrder;
@@ -0,0 +1,475 @@
+const Database = require('../core/Database');
+const ServiceManager = require('../core/ServiceManager');
+const Inventory = require('./Inventory');
+const ProductBatch = require('./ProductBatch');
+const PrescriptionDispensing = require('./PrescriptionDispensing');
+const {
+    ValidationError,
+    NotFoundError,
+    BusinessLogicError,
+    ExternalServiceError
+} = require('../core/errors');
+
+class Refund {
+    constructor() {
+        this.db = new Database();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.serviceManager = serviceManager;
+        this.logger = serviceManager.getLogger();
+        this.inventoryModel = new Inventory();
+        this.batchModel = new ProductBatch();
+        this.dispensingModel = new PrescriptionDispensing();
+    }
+
+    /**
+     * Look up the configured payment provider only when a provider refund runs, so a missing or
+     * disallowed provider fails that refund instead of preventing the server from starting
+     * @returns {PaymentProvider}
+     */
+    getPaymentProvider() {
+        try {
+            return this.serviceManager.getPaymentProvider();
+        } catch (error) {
+            throw ExternalServiceError.paymentProviderError(process.env.PAYMENT_PROVIDER || 'mock', 'refund payment', error);
+        }
+    }
+
+    async create(orderId, refundData = {}, refundedBy = null) {
+        try {
+            if (!orderId) {
+                throw ValidationError.missingFields(['orderId']);
+            }
+
+            if (!refundData.reason || String(refundData.reason).trim() === '') {
+                throw ValidationError.missingFields(['reason']);
+            }
+
+            if (refundData.items !== undefined && !Array.isArray(refundData.items)) {
+                throw ValidationError.invalidFormat('items', 'array of { orderItemId, quantity }');
+            }
+
+            const client = await this.db.getClient();
+            let recorded;
+
+            try {
+                await client.query('BEGIN');
+
+                recorded = await this.refundWithinTransaction(client, orderId, refundData, refundedBy);
+
+                await client.query('COMMIT');
+
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+            const result = await this.settle(recorded);
+
+            if (result.status === 'failed') {
+                throw ExternalServiceError.paymentProviderError(
+                    result.provider,
+                    'refund payment',
+                    new Error(result.failureReason)
+                );
+            }
+
+            return {
+                success: true,
+                message: result.fullyRefunded ? 'Order fully refunded' : 'Order partially refunded',
+                data: result
+            };
+
+        } catch (error) {
+            this.logger.error('Create refund error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a refund of an order inside a caller-owned transaction (used directly by Order.cancel).
+     * Without items the whole remaining amount, including shipping, is refunded.
+     * A refund of a captured payment is recorded as pending: pass the result to settle() once the
+     * transaction has committed, so the provider is never called while rows are locked.
+     */
+    async refundWithinTransaction(client, orderId, { items = null, reason, restock = null } = {}, refundedBy = null) {
+        const { rows: orders } = await client.query(
+            'SELECT id, status, total_amount, shipping_cost, payment_status FROM orders WHERE id = $1 FOR UPDATE',
+            [orderId]
+        );
+
+        if (orders.length === 0) {
+            throw NotFoundError.order(orderId);
+        }
+
+        const order = orders[0];
+
+        if (order.payment_status !== 'paid') {
+            throw BusinessLogicError.invalidOperation('refund order', `Order payment status is '${order.payment_status}'`);
+        }
+
+        // Only a cancelled order's goods are certain to stay in the pharmacy; a live order may still
+        // ship the refunded units, so those go back on the shelf only when staff say so
+        const shouldRestock = restock === null || restock === undefined
+            ? order.status === 'cancelled'
+            : Boolean(restock);
+
+        const { rows: orderItems } = await client.query(
+            `SELECT id, product_id, quantity, unit_price, discount_amount, refunded_quantity, restocked_quantity
+            FROM order_items
+            WHERE order_id = $1
+            ORDER BY id
+            FOR UPDATE`,
+            [orderId]
+        );
+
+        const { rows: previousRefunds } = await client.query(
+            `SELECT COALESCE(SUM(amount), 0) AS refunded_amount, COALESCE(SUM(shipping_amount), 0) AS refunded_shipping,
+                COALESCE(SUM(amount) FILTER (WHERE status = 'completed'), 0) AS completed_amount
+            FROM refunds
+            WHERE order_id = $1 AND status IN ('pending', 'completed')`,
+            [orderId]
+        );
+
+        // Pending refunds already hold their share of the order; only completed ones count as paid back
+        const refundedAmount = parseFloat(previousRefunds[0].refunded_amount);
+        const refundableAmount = this.roundAmount(parseFloat(order.total_amount) - refundedAmount);
+
+        // Work out which quantities of which lines are being refunded
+        const refundLines = [];
+        let shippingAmount = 0;
+
+        if (!items || items.length === 0) {
+            for (const orderItem of orderItems) {
+                const remaining = orderItem.quantity - orderItem.refunded_quantity;
+                if (remaining > 0) {
+                    refundLines.push({ orderItem, quantity: remaining });
+                }
+            }
+            shippingAmount = this.roundAmount(
+                parseFloat(order.shipping_cost || 0) - parseFloat(previousRefunds[0].refunded_shipping)
+            );
+        } else {
+            for (const item of items) {
+                const orderItem = orderItems.find(row => row.id === parseInt(item.orderItemId));
+                if (!orderItem) {
+                    throw BusinessLogicError.invalidOperation(
+                        'refund order item',
+                        `Order item ${item.orderItemId} does not belong to order ${orderId}`
+                    );
+                }
+
+                const remaining = orderItem.quantity - orderItem.refunded_quantity;
+                if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > remaining) {
+                    throw ValidationError.invalidNumber('quantity', item.quantity, 1, remaining);
+                }
+
+                refundLines.push({ orderItem, quantity: item.quantity });
+            }
+        }
+
+        // Lines are refunded at what was charged: the unit price less the line's share of order discounts
+        for (const line of refundLines) {
+            line.amount = this.roundAmount(line.quantity * (
+                parseFloat(line.orderItem.unit_price) -
+                parseFloat(line.orderItem.discount_amount || 0) / line.orderItem.quantity
+            ));
+        }
+
+        const linesAmount = refundLines.reduce((total, line) => total + line.amount, 0);
+        const amount = Math.min(this.roundAmount(linesAmount + shippingAmount), refundableAmount);
+
+        if (amount <= 0) {
+            throw BusinessLogicError.invalidOperation('refund order', 'Nothing left to refund');
+        }
+
+        // Refund against the captured payment; orders paid outside the gateway are refunded manually
+        const { rows: payments } = await client.query(
+            `SELECT id, provider, provider_reference FROM payments
+            WHERE order_id = $1 AND status = 'captured'
+            ORDER BY captured_at DESC
+            LIMIT 1`,
+            [orderId]
+        );
+
+        const payment = payments[0] || null;
+
+        if (payment && payment.provider !== this.getPaymentProvider().name) {
+            throw BusinessLogicError.invalidOperation(
+                'refund order',
+                `Payment was captured with provider '${payment.provider}'`
+            );
+        }
+
+        // Manual refunds are complete once recorded; provider refunds wait for settle()
+        const provider = payment ? payment.provider : 'manual';
+        const status = payment ? 'pending' : 'completed';
+
+        const { rows: newRefund } = await client.query(
+            `INSERT INTO refunds (
+                order_id, payment_id, provider, amount, shipping_amount, reason, status, refunded_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id, created_at`,
+            [orderId, payment ? payment.id : null, provider, amount, shippingAmount, reason, status, refundedBy]
+        );
+
+        const refundId = newRefund[0].id;
+        const refundItems = [];
+
+        for (const line of refundLines) {
+            const { orderItem, quantity, amount: lineAmount } = line;
+
+            // Only restock what has not been put back already (e.g. by a cancellation)
+            const restockQuantity = shouldRestock
+                ? Math.min(quantity, orderItem.quantity - orderItem.restocked_quantity)
+                : 0;
+
+            await client.query(
+                `INSERT INTO refund_items (refund_id, order_item_id, quantity, amount, restocked)
+                VALUES ($1, $2, $3, $4, $5)`,
+                [refundId, orderItem.id, quantity, lineAmount, restockQuantity > 0]
+            );
+
+            await client.query(
+                `UPDATE order_items SET
+                    refunded_quantity = refunded_quantity + $1,
+                    restocked_quantity = restocked_quantity + $2
+                WHERE id = $3`,
+                [quantity, restockQuantity, orderItem.id]
+            );
+
+            // Refunded units no longer count against the prescription's refills
+            await this.dispensingModel.reverseForOrderItem(client, orderItem.id, orderItem.refunded_quantity + quantity);
+
+            if (restockQuantity > 0) {
+                await this.batchModel.returnToBatches(client, orderItem.id, restockQuantity);
+                await this.inventoryModel.adjustStock(client, orderItem.product_id, restockQuantity, 'refund_restock', {
+                    referenceType: 'refund',
+                    referenceId: refundId,
+                    performedBy: refundedBy
+                });
+            }
+
+            refundItems.push({
+                orderItemId: orderItem.id,
+                productId: orderItem.product_id,
+                quantity,
+                amount: lineAmount,
+                restockedQuantity: restockQuantity
+            });
+        }
+
+        const fullyRefunded = status === 'completed' &&
+            parseFloat(previousRefunds[0].completed_amount) + amount >= parseFloat(order.total_amount) - 0.01;
+        if (fullyRefunded) {
+            await client.query(
+                `UPDATE orders SET payment_status = 'refunded', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [orderId]
+            );
+        }
+
+        this.logger.info(`Refund recorded - ID: ${refundId}, Order: ${orderId}, Amount: ${amount}, Status: ${status}, By: ${refundedBy}`);
+
+        return {
+            id: refundId,
+            orderId: order.id,
+            paymentId: payment ? payment.id : null,
+            provider,
+            providerReference: null,
+            amount,
+            shippingAmount,
+            reason,
+            status,
+            failureReason: null,
+            items: refundItems,
+            fullyRefunded,
+            paymentStatus: fullyRefunded ? 'refunded' : order.payment_status,
+            createdAt: newRefund[0].created_at
+        };
+    }
+
+    /**
+     * Send a pending refund to the payment provider and record the outcome. Call only after the
+     * transaction that recorded the refund has committed. A failed refund gives its quantities
+     * back to the order lines so it can be retried; restocked goods stay restocked.
+     * @param {Object} refund - result of refundWithinTransaction
+     * @returns {Promise<Object>} the refund with its final status
+     */
+    async settle(refund) {
+        if (refund.status !== 'pending') {
+            return refund;
+        }
+
+        const { rows: payments } = await this.db.query(
+            'SELECT provider_reference FROM payments WHERE id = $1',
+            [refund.paymentId]
+        );
+
+        let providerResult;
+        try {
+            providerResult = await this.getPaymentProvider().refundPayment({
+                providerReference: payments[0].provider_reference,
+                amount: refund.amount,
+                currency: 'VND',
+                reason: refund.reason
+            });
+        } catch (providerError) {
+            this.logger.error(`Refund provider error - ID: ${refund.id}, Order: ${refund.orderId}:`, providerError);
+            providerResult = { status: 'failed', failureReason: providerError.message };
+        }
+
+        const completed = providerResult.status === 'completed';
+        const failureReason = completed ? null : (providerResult.failureReason || 'Refund was declined');
+
+        const client = await this.db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            const { rows: orders } = await client.query(
+                'SELECT total_amount, payment_status FROM orders WHERE id = $1 FOR UPDATE',
+                [refund.orderId]
+            );
+
+            await client.query(
+                `UPDATE refunds SET status = $1, provider_reference = $2, failure_reason = $3
+                WHERE id = $4`,
+                [completed ? 'completed' : 'failed', providerResult.providerReference || null, failureReason, refund.id]
+            );
+
+            let fullyRefunded = false;
+            let paymentStatus = orders[0].payment_status;
+
+            if (completed) {
+                const { rows: refunded } = await client.query(
+                    `SELECT COALESCE(SUM(amount), 0) AS refunded_amount FROM refunds
+                    WHERE order_id = $1 AND status = 'completed'`,
+                    [refund.orderId]
+                );
+
+                fullyRefunded = parseFloat(refunded[0].refunded_amount) >= parseFloat(orders[0].total_amount) - 0.01;
+                if (fullyRefunded) {
+                    await client.query(
+                        `UPDATE orders SET payment_status = 'refunded', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                        [refund.orderId]
+                    );
+                    paymentStatus = 'refunded';
+                }
+            } else {
+                await client.query(
+                    `UPDATE order_items oi SET refunded_quantity = oi.refunded_quantity - ri.quantity
+                    FROM refund_items ri
+                    WHERE ri.refund_id = $1 AND ri.order_item_id = oi.id`,
+                    [refund.id]
+                );
+            }
+
+            await client.query('COMMIT');
+
+            this.logger.info(`Refund settled - ID: ${refund.id}, Order: ${refund.orderId}, Status: ${completed ? 'completed' : 'failed'}, Full: ${fullyRefunded}`);
+
+            return {
+                ...refund,
+                status: completed ? 'completed' : 'failed',
+                providerReference: providerResult.providerReference || null,
+                failureReason,
+                fullyRefunded,
+                paymentStatus
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            this.logger.error('Settle refund error:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async listForOrder(orderId, userId = null) {
+        try {
+            if (!orderId) {
+                throw ValidationError.missingFields(['orderId']);
+            }
+
+            let query = 'SELECT id, total_amount, payment_status FROM orders WHERE id = $1';
+            const queryParams = [orderId];
+
+            if (userId) {
+                query += ' AND user_id = $2';
+                queryParams.push(userId);
+            }
+
+            const { rows: orders } = await this.db.query(query, queryParams);
+
+            if (orders.length === 0) {
+                throw NotFoundError.order(orderId);
+            }
+
+            const { rows: refunds } = await this.db.query(
+                `SELECT
+                    r.id, r.payment_id, r.provider, r.provider_reference, r.amount, r.shipping_amount,
+                    r.reason, r.status, r.failure_reason, r.refunded_by, r.created_at,
+                    COALESCE(
+                        JSON_AGG(JSON_BUILD_OBJECT(
+                            'orderItemId', ri.order_item_id,
+                            'quantity', ri.quantity,
+                            'amount', ri.amount,
+                            'restocked', ri.restocked
+                        ) ORDER BY ri.id) FILTER (WHERE ri.id IS NOT NULL),
+                        '[]'
+                    ) AS items
+                FROM refunds r
+                LEFT JOIN refund_items ri ON ri.refund_id = r.id
+                WHERE r.order_id = $1
+                GROUP BY r.id
+                ORDER BY r.created_at DESC`,
+                [orderId]
+            );
+
+            const totalRefunded = refunds
+                .filter(refund => refund.status === 'completed')
+                .reduce((total, refund) => total + parseFloat(refund.amount), 0);
+
+            return {
+                success: true,
+                data: {
+                    orderId: orders[0].id,
+                    paymentStatus: orders[0].payment_status,
+                    totalAmount: parseFloat(orders[0].total_amount),
+                    totalRefunded: this.roundAmount(totalRefunded),
+                    refunds: refunds.map(refund => ({
+                        id: refund.id,
+                        paymentId: refund.payment_id,
+                        provider: refund.provider,
+                        providerReference: refund.provider_reference,
+                        amount: parseFloat(refund.amount),
+                        shippingAmount: parseFloat(refund.shipping_amount),
+                        reason: refund.reason,
+                        status: refund.status,
+                        failureReason: refund.failure_reason,
+                        refundedBy: refund.refunded_by,
+                        items: refund.items.map(item => ({
+                            ...item,
+                            amount: parseFloat(item.amount)
+                        })),
+                        createdAt: refund.created_at
+                    }))
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('List order refunds error:', error);
+            throw error;
+        }
+    }
+
+    roundAmount(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+module.exports = Refund;
@@ -0,0 +1,375 @@
+const Database = require('../core/Database');
+const Validator = require('../core/Validator');
+const ServiceManager = require('../core/ServiceManager');
+const {
+    ValidationError,
+    NotFoundError
+} = require('../core/errors');
+
+// Methods allowed by chk_orders_shipping_method; a method is offered where an active rate covers the address
+const SHIPPING_METHODS = ['standard', 'express', 'same_day', 'grab'];
+// Used for products without a weight_grams
+const DEFAULT_ITEM_WEIGHT_GRAMS = 200;
+// Cutoffs and delivery dates are in the pharmacy's local time
+const STORE_TIME_ZONE = process.env.STORE_TIME_ZONE || 'Asia/Ho_Chi_Minh';
+
+const RATE_FIELDS = {
+    shippingMethod: 'shipping_method',
+    province: 'province',
+    district: 'district',
+    minOrderValue: 'min_order_value',
+    baseFee: 'base_fee',
+    baseWeightGrams: 'base_weight_grams',
+    feePerExtraKg: 'fee_per_extra_kg',
+    maxWeightGrams: 'max_weight_grams',
+    freeShippingThreshold: 'free_shipping_threshold',
+    minDays: 'min_days',
+    maxDays: 'max_days',
+    cutoffTime: 'cutoff_time',
+    isActive: 'is_active'
+};
+
+class ShippingRate {
+    constructor() {
+        this.db = new Database();
+        this.validator = new Validator();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    async create(rateData) {
+        try {
+            const requiredFields = ['shippingMethod', 'baseFee'];
+            if (!this.validator.validateRequired(rateData, requiredFields)) {
+                const missingFields = requiredFields.filter(field =>
+                    rateData[field] === undefined || rateData[field] === null || rateData[field] === ''
+                );
+                throw ValidationError.missingFields(missingFields);
+            }
+
+            const rate = this.normalize(rateData);
+            this.validateRate(rate);
+
+            const fields = Object.keys(RATE_FIELDS).filter(field => rate[field] !== undefined);
+            const values = fields.map(field => rate[field]);
+
+            const { rows: rates } = await this.db.query(
+                `INSERT INTO shipping_rates (${fields.map(field => RATE_FIELDS[field]).join(', ')})
+                VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')})
+                RETURNING *`,
+                values
+            );
+
+            this.logger.info(`Shipping rate created (ID: ${rates[0].id}, Method: ${rate.shippingMethod}, Province: ${rate.province || 'any'})`);
+
+            return {
+                success: true,
+                message: 'Shipping rate created successfully',
+                data: this.formatRate(rates[0])
+            };
+
+        } catch (error) {
+            this.logger.error('Create shipping rate error:', error);
+            throw error;
+        }
+    }
+
+    async update(id, updateData) {
+        try {
+            const { rows: existing } = await this.db.query('SELECT * FROM shipping_rates WHERE id = $1', [id]);
+            if (existing.length === 0) {
+                throw NotFoundError.shippingRate(id);
+            }
+
+            const changes = this.normalize(updateData);
+            const fields = Object.keys(RATE_FIELDS).filter(field => changes[field] !== undefined);
+
+            if (fields.length === 0) {
+                throw ValidationError.missingFields(Object.keys(RATE_FIELDS));
+            }
+
+            // Validate the rate as it will be after the update
+            this.validateRate({ ...this.formatRate(existing[0]), ...changes });
+
+            const values = fields.map(field => changes[field]);
+            values.push(id);
+
+            const { rows: rates } = await this.db.query(
+                `UPDATE shipping_rates SET ${fields.map((field, index) => `${RATE_FIELDS[field]} = $${index + 1}`).join(', ')}
+                WHERE id = $${values.length}
+                RETURNING *`,
+                values
+            );
+
+            this.logger.info(`Shipping rate updated (ID: ${id}) - Updated fields: ${fields.join(', ')}`);
+
+            return {
+                success: true,
+                message: 'Shipping rate updated successfully',
+                data: this.formatRate(rates[0])
+            };
+
+        } catch (error) {
+            this.logger.error('Update shipping rate error:', error);
+            throw error;
+        }
+    }
+
+    async list(filters = {}) {
+        try {
+            const queryParams = [];
+            let whereClause = 'WHERE 1=1';
+
+            if (filters.shippingMethod) {
+                if (!SHIPPING_METHODS.includes(filters.shippingMethod)) {
+                    throw ValidationError.invalidEnum('shippingMethod', filters.shippingMethod, SHIPPING_METHODS);
+                }
+                queryParams.push(filters.shippingMethod);
+                whereClause += ` AND shipping_method = $${queryParams.length}`;
+            }
+
+            if (filters.province) {
+                queryParams.push(`%${filters.province}%`);
+                whereClause += ` AND province ILIKE $${queryParams.length}`;
+            }
+
+            if (filters.isActive !== undefined) {
+                queryParams.push(filters.isActive === 'true' || filters.isActive === true);
+                whereClause += ` AND is_active = $${queryParams.length}`;
+            }
+
+            const { rows: rates } = await this.db.query(
+                `SELECT * FROM shipping_rates ${whereClause}
+                ORDER BY shipping_method, province NULLS FIRST, district NULLS FIRST, min_order_value, id`,
+                queryParams
+            );
+
+            return {
+                success: true,
+                data: {
+                    rates: rates.map(rate => this.formatRate(rate))
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('List shipping rates error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Price every shipping method for an address and a set of items
+     * @param {Object} executor - Database or transaction client
+     * @param {Object} options
+     * @param {Object} options.shippingAddress - reads province and district
+     * @param {Array<{ quantity: number, weightGrams: ?number }>} options.items
+     * @param {number} options.orderValue - merchandise value after discounts; drives tiers and free shipping
+     * @param {Array<string>} [options.shippingMethods] - defaults to every method
+     * @param {Date} [options.at] - when the order is placed, for cutoffs and delivery dates
+     * @returns {Promise<Array<Object>>} one quote per method; unavailable methods have available: false and a reason
+     */
+    async quote(executor, { shippingAddress, items, orderValue, shippingMethods = SHIPPING_METHODS, at = new Date() }) {
+        const { rows: rates } = await executor.query(
+            'SELECT * FROM shipping_rates WHERE is_active AND shipping_method = ANY($1::text[])',
+            [shippingMethods]
+        );
+
+        const address = shippingAddress || {};
+        const province = this.normalizeRegion(address.province);
+        const district = this.normalizeRegion(address.district);
+        const weightGrams = items.reduce(
+            (total, item) => total + (item.weightGrams || DEFAULT_ITEM_WEIGHT_GRAMS) * item.quantity,
+            0
+        );
+        const local = this.getLocalTime(at);
+
+        return shippingMethods.map(shippingMethod => {
+            const unavailable = reason => ({ shippingMethod, available: false, reason, weightGrams });
+
+            const coveringRates = rates
+                .filter(rate => rate.shipping_method === shippingMethod)
+                .filter(rate => rate.province === null || this.normalizeRegion(rate.province) === province)
+                .filter(rate => rate.district === null || this.normalizeRegion(rate.district) === district);
+
+            if (coveringRates.length === 0) {
+                return unavailable('not available for this address');
+            }
+
+            const withinWeight = coveringRates.filter(rate => rate.max_weight_grams === null || weightGrams <= rate.max_weight_grams);
+            if (withinWeight.length === 0) {
+                return unavailable(`parcel is too heavy (${weightGrams} g)`);
+            }
+
+            const minOrderValue = Math.min(...withinWeight.map(rate => parseFloat(rate.min_order_value)));
+            if (orderValue < minOrderValue) {
+                return unavailable(`requires an order value of at least ${minOrderValue}`);
+            }
+
+            // Most specific rate the order qualifies for, then the highest order-value tier reached
+            const rate = withinWeight
+                .filter(candidate => orderValue >= parseFloat(candidate.min_order_value))
+                .sort((a, b) => this.specificity(b) - this.specificity(a) ||
+                    parseFloat(b.min_order_value) - parseFloat(a.min_order_value))[0];
+
+            const afterCutoff = rate.cutoff_time !== null && local.time > rate.cutoff_time.slice(0, 5);
+            if (afterCutoff && shippingMethod === 'same_day') {
+                return unavailable(`same-day orders close at ${rate.cutoff_time.slice(0, 5)}`);
+            }
+
+            const freeShippingThreshold = rate.free_shipping_threshold !== null ? parseFloat(rate.free_shipping_threshold) : null;
+            const extraKg = Math.ceil(Math.max(0, weightGrams - rate.base_weight_grams) / 1000);
+            const cost = freeShippingThreshold !== null && orderValue >= freeShippingThreshold
+                ? 0
+                : parseFloat(rate.base_fee) + extraKg * parseFloat(rate.fee_per_extra_kg);
+
+            const dispatchDays = afterCutoff ? 1 : 0;
+
+            return {
+                shippingMethod,
+                available: true,
+                rateId: rate.id,
+                cost,
+                weightGrams,
+                freeShippingThreshold,
+                amountToFreeShipping: freeShippingThreshold !== null && cost > 0
+                    ? Math.max(0, freeShippingThreshold - orderValue)
+                    : null,
+                earliestDeliveryDate: this.addDays(local.date, dispatchDays + rate.min_days),
+                estimatedDeliveryDate: this.addDays(local.date, dispatchDays + rate.max_days)
+            };
+        });
+    }
+
+    specificity(rate) {
+        return rate.district !== null ? 2 : rate.province !== null ? 1 : 0;
+    }
+
+    /**
+     * "TP. Hồ Chí Minh" and "ho chi minh" match, as do "Quận 1" and "quan 1"
+     */
+    normalizeRegion(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        return value
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[đĐ]/g, 'd')
+            .toLowerCase()
+            .replace(/[.,]/g, ' ')
+            .replace(/^\s*(thanh pho|tp|tinh|quan|huyen|thi xa|q)\s+/, '')
+            .replace(/\s+/g, ' ')
+            .trim() || null;
+    }
+
+    // Local date (YYYY-MM-DD) and time (HH:MM) in the store's time zone
+    getLocalTime(at) {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+            timeZone: STORE_TIME_ZONE,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(at).map(part => [part.type, part.value]));
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            time: `${parts.hour}:${parts.minute}`
+        };
+    }
+
+    addDays(date, days) {
+        const result = new Date(`${date}T00:00:00Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().split('T')[0];
+    }
+
+    // Request body -> column values; empty strings clear optional fields
+    normalize(data) {
+        const rate = {};
+
+        for (const field of Object.keys(RATE_FIELDS)) {
+            if (data[field] !== undefined) {
+                rate[field] = typeof data[field] === 'string' && data[field].trim() === '' ? null : data[field];
+            }
+        }
+
+        for (const field of ['province', 'district']) {
+            if (typeof rate[field] === 'string') {
+                rate[field] = rate[field].trim();
+            }
+        }
+
+        return rate;
+    }
+
+    validateRate(rate) {
+        this.validator.clearErrors();
+
+        if (!SHIPPING_METHODS.includes(rate.shippingMethod)) {
+            throw ValidationError.invalidEnum('shippingMethod', rate.shippingMethod, SHIPPING_METHODS);
+        }
+
+        for (const field of ['province', 'district']) {
+            if (!this.validator.validateString(field, rate[field], 1, 100)) {
+                throw ValidationError.invalidLength(field, String(rate[field]).length, 1, 100);
+            }
+        }
+
+        if (rate.district && !rate.province) {
+            throw ValidationError.missingFields(['province']);
+        }
+
+        if (typeof rate.baseFee !== 'number' || rate.baseFee < 0) {
+            throw ValidationError.invalidNumber('baseFee', rate.baseFee, 0);
+        }
+
+        for (const field of ['minOrderValue', 'feePerExtraKg', 'freeShippingThreshold']) {
+            if (!this.validator.validateNumber(field, rate[field], 0)) {
+                throw ValidationError.invalidNumber(field, rate[field], 0);
+            }
+        }
+
+        for (const [field, min] of [['baseWeightGrams', 0], ['maxWeightGrams', 1], ['minDays', 0], ['maxDays', 0]]) {
+            const value = rate[field];
+            if (value !== undefined && value !== null && (!Number.isInteger(value) || value < min)) {
+                throw ValidationError.invalidNumber(field, value, min);
+            }
+        }
+
+        if ((rate.maxDays ?? 0) < (rate.minDays ?? 0)) {
+            throw ValidationError.invalidNumber('maxDays', rate.maxDays, rate.minDays);
+        }
+
+        if (rate.cutoffTime !== undefined && rate.cutoffTime !== null &&
+            !/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(rate.cutoffTime)) {
+            throw ValidationError.invalidFormat('cutoffTime', 'HH:MM');
+        }
+    }
+
+    formatRate(rate) {
+        return {
+            id: rate.id,
+            shippingMethod: rate.shipping_method,
+            province: rate.province,
+            district: rate.district,
+            minOrderValue: parseFloat(rate.min_order_value),
+            baseFee: parseFloat(rate.base_fee),
+            baseWeightGrams: rate.base_weight_grams,
+            feePerExtraKg: parseFloat(rate.fee_per_extra_kg),
+            maxWeightGrams: rate.max_weight_grams,
+            freeShippingThreshold: rate.free_shipping_threshold !== null ? parseFloat(rate.free_shipping_threshold) : null,
+            minDays: rate.min_days,
+            maxDays: rate.max_days,
+            cutoffTime: rate.cutoff_time ? rate.cutoff_time.slice(0, 5) : null,
+            isActive: rate.is_active,
+            createdAt: rate.created_at,
+            updatedAt: rate.updated_at
+        };
+    }
+}
+
+ShippingRate.METHODS = SHIPPING_METHODS;
+
+module.exports = ShippingRate;
@@ -1,6 +1,7 @@
 const Database = require('../core/Database');
 const Logger = require('../core/Logger');
 const Validator = require('../core/Validator');
+const ListQuery = require('../core/ListQuery');
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 const { 
@@ -18,58 +19,28 @@ class Staff {
 
     async list(filters = {}) {
         try {
-            const page = parseInt(filters.page) || 1;
-            const limit = parseInt(filters.limit) || 10;
             const search = filters.search || '';
             const role = filters.role || '';
             const isActive = filters.isActive;
 
-            // Validate pagination parameters
-            if (page < 1 || limit < 1 || limit > 100) {
-                throw new Error('Invalid pagination parameters. Page must be >= 1, limit must be 1-100');
-            }
-
-            const offset = (page - 1) * limit;
-
-            // Build query conditions
-            let whereConditions = [];
-            let queryParams = [];
-            let paramCount = 0;
+            const listQuery = new ListQuery(filters);
 
             if (search) {
-                paramCount++;
-                whereConditions.push(`(email ILIKE $${paramCount} OR full_name ILIKE $${paramCount})`);
-                queryParams.push(`%${search}%`);
+                const pattern = listQuery.param(`%${search}%`);
+                listQuery.where(`(email ILIKE ${pattern} OR full_name ILIKE ${pattern})`);
             }
 
             if (role) {
-                paramCount++;
-                whereConditions.push(`role = $${paramCount}`);
-                queryParams.push(role);
+                listQuery.where(`role = ${listQuery.param(role)}`);
             }
 
             if (isActive !== undefined) {
-                paramCount++;
-                whereConditions.push(`is_active = $${paramCount}`);
-                queryParams.push(isActive === 'true');
+                listQuery.where(`is_active = ${listQuery.param(isActive === 'true')}`);
             }
 
-            const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-
-            // Count total records
-            const countQuery = `
-                SELECT COUNT(*) as total
-                FROM users
-                ${whereClause}
-            `;
-
-            const { rows: countResult } = await this.db.query(countQuery, queryParams);
-            const totalRecords = parseInt(countResult[0].total);
-            const totalPages = Math.ceil(totalRecords / limit);
-
             // Fetch users with pagination
-            const usersQuery = `
-                SELECT 
+            const { rows: users, pagination } = await listQuery.fetch(this.db, {
+                select: `
                     user_id,
                     email, 
                     full_name,
@@ -77,16 +48,14 @@ class Staff {
                     phone,
                     is_active,
                     last_login,
-                    (SELECT created_at FROM user_passwords WHERE user_id = users.user_id) as created_at
-                FROM users
-                ${whereClause}
-                ORDER BY full_name ASC, email ASC
-                LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
-            `;
-
-            queryParams.push(limit, offset);
-
-            const { rows: users } = await this.db.query(usersQuery, queryParams);
+                    (SELECT created_at FROM user_passwords WHERE user_id = users.user_id) as created_at`,
+                from: 'users',
+                orderBy: [
+                    { expression: "COALESCE(full_name, '')", direction: 'ASC' },
+                    { expression: 'email', direction: 'ASC' },
+                    { expression: 'user_id', direction: 'ASC' }
+                ]
+            });
 
             // Format response
             const formattedUsers = users.map(user => ({
@@ -104,14 +73,7 @@ class Staff {
                 success: true,
                 data: {
                     users: formattedUsers,
-                    pagination: {
-                        currentPage: page,
-                        totalPages,
-                        totalRecords,
-                        limit,
-                        hasNextPage: page < totalPages,
-                        hasPrevPage: page > 1
-                    },
+                    pagination,
                     filters: {
                         search,
                         role,
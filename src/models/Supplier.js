@@ -0,0 +1,219 @@
+const Database = require('../core/Database');
+const Validator = require('../core/Validator');
+const ServiceManager = require('../core/ServiceManager');
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError
+} = require('../core/errors');
+
+class Supplier {
+    constructor() {
+        this.db = new Database();
+        this.validator = new Validator();
+
+        // Use ServiceManager to get shared service instances
+        const serviceManager = ServiceManager.getInstance();
+        this.logger = serviceManager.getLogger();
+    }
+
+    async create(supplierData) {
+        try {
+            this.validator.clearErrors();
+
+            if (!supplierData.name || String(supplierData.name).trim() === '') {
+                throw ValidationError.missingFields(['name']);
+            }
+
+            if (supplierData.email && !this.validator.validateEmail('email', supplierData.email)) {
+                throw ValidationError.invalidFormat('email', 'valid email address');
+            }
+
+            const name = String(supplierData.name).trim();
+
+            const { rows: existing } = await this.db.query(
+                'SELECT id FROM suppliers WHERE LOWER(name) = LOWER($1)',
+                [name]
+            );
+
+            if (existing.length > 0) {
+                throw ConflictError.resourceTaken('Supplier name', name);
+            }
+
+            const { rows: suppliers } = await this.db.query(
+                `INSERT INTO suppliers (name, contact_name, email, phone, address, notes)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING *`,
+                [
+                    name, supplierData.contactName || null, supplierData.email || null,
+                    supplierData.phone || null, supplierData.address || null, supplierData.notes || null
+                ]
+            );
+
+            this.logger.info(`Supplier created: ${name} (ID: ${suppliers[0].id})`);
+
+            return {
+                success: true,
+                message: 'Supplier created successfully',
+                data: this.formatSupplier(suppliers[0])
+            };
+
+        } catch (error) {
+            this.logger.error('Create supplier error:', error);
+            throw error;
+        }
+    }
+
+    async update(id, updateData) {
+        try {
+            this.validator.clearErrors();
+
+            const { rows: existing } = await this.db.query('SELECT id FROM suppliers WHERE id = $1', [id]);
+            if (existing.length === 0) {
+                throw NotFoundError.supplier(id);
+            }
+
+            if (updateData.name !== undefined && String(updateData.name).trim() === '') {
+                throw ValidationError.missingFields(['name']);
+            }
+
+            if (updateData.email && !this.validator.validateEmail('email', updateData.email)) {
+                throw ValidationError.invalidFormat('email', 'valid email address');
+            }
+
+            if (updateData.name) {
+                const { rows: nameConflict } = await this.db.query(
+                    'SELECT id FROM suppliers WHERE LOWER(name) = LOWER($1) AND id != $2',
+                    [String(updateData.name).trim(), id]
+                );
+
+                if (nameConflict.length > 0) {
+                    throw ConflictError.resourceTaken('Supplier name', updateData.name);
+                }
+            }
+
+            const fieldMap = {
+                name: 'name',
+                contactName: 'contact_name',
+                email: 'email',
+                phone: 'phone',
+                address: 'address',
+                notes: 'notes',
+                isActive: 'is_active'
+            };
+
+            const updateFields = [];
+            const updateValues = [];
+
+            for (const [field, column] of Object.entries(fieldMap)) {
+                if (updateData[field] !== undefined) {
+                    updateValues.push(field === 'name' ? String(updateData[field]).trim() : updateData[field]);
+                    updateFields.push(`${column} = $${updateValues.length}`);
+                }
+            }
+
+            if (updateFields.length === 0) {
+                throw ValidationError.missingFields(Object.keys(fieldMap));
+            }
+
+            updateValues.push(id);
+
+            const { rows: suppliers } = await this.db.query(
+                `UPDATE suppliers SET ${updateFields.join(', ')} WHERE id = $${updateValues.length} RETURNING *`,
+                updateValues
+            );
+
+            this.logger.info(`Supplier updated (ID: ${id}) - Updated fields: ${Object.keys(updateData).join(', ')}`);
+
+            return {
+                success: true,
+                message: 'Supplier updated successfully',
+                data: this.formatSupplier(suppliers[0])
+            };
+
+        } catch (error) {
+            this.logger.error('Update supplier error:', error);
+            throw error;
+        }
+    }
+
+    async getById(id) {
+        try {
+            const { rows: suppliers } = await this.db.query(
+                `SELECT s.*,
+                    (SELECT COUNT(*) FROM purchase_orders po WHERE po.supplier_id = s.id) AS purchase_order_count,
+                    (SELECT MAX(po.received_at) FROM purchase_orders po WHERE po.supplier_id = s.id) AS last_received_at
+                FROM suppliers s
+                WHERE s.id = $1`,
+                [id]
+            );
+
+            if (suppliers.length === 0) {
+                throw NotFoundError.supplier(id);
+            }
+
+            return {
+                success: true,
+                data: {
+                    ...this.formatSupplier(suppliers[0]),
+                    purchaseOrderCount: parseInt(suppliers[0].purchase_order_count),
+                    lastReceivedAt: suppliers[0].last_received_at
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('Get supplier error:', error);
+            throw error;
+        }
+    }
+
+    async list(filters = {}) {
+        try {
+            const queryParams = [];
+            let whereClause = 'WHERE 1=1';
+
+            if (filters.search) {
+                queryParams.push(`%${filters.search}%`);
+                whereClause += ` AND (name ILIKE $${queryParams.length} OR contact_name ILIKE $${queryParams.length})`;
+            }
+
+            if (filters.isActive !== undefined) {
+                queryParams.push(filters.isActive === 'true' || filters.isActive === true);
+                whereClause += ` AND is_active = $${queryParams.length}`;
+            }
+
+            const { rows: suppliers } = await this.db.query(
+                `SELECT * FROM suppliers ${whereClause} ORDER BY name ASC`,
+                queryParams
+            );
+
+            return {
+                success: true,
+                data: {
+                    suppliers: suppliers.map(supplier => this.formatSupplier(supplier))
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('List suppliers error:', error);
+            throw error;
+        }
+    }
+
+    formatSupplier(supplier) {
+        return {
+            id: supplier.id,
+            name: supplier.name,
+            contactName: supplier.contact_name,
+            email: supplier.email,
+            phone: supplier.phone,
+            address: supplier.address,
+            notes: supplier.notes,
+            isActive: supplier.is_active,
+            createdAt: supplier.created_at,
+            updatedAt: supplier.updated_at
+        };
+    }
+}
+
+module.exports = Supplier;
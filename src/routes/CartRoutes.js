@@ -56,6 +56,30 @@ class CartRoutes {
             this.cartController.clearCart.bind(this.cartController)
         );
 
+        // Apply a coupon code to the cart
+        this.router.post('/coupon', 
+            this.authenticator.authenticateUser.bind(this.authenticator),
+            this.cartController.applyCoupon.bind(this.cartController)
+        );
+
+        // Remove the cart's coupon code
+        this.router.delete('/coupon', 
+            this.authenticator.authenticateUser.bind(this.authenticator),
+            this.cartController.removeCoupon.bind(this.cartController)
+        );
+
+        // Shipping cost and delivery estimate of each method for an address
+        this.router.post('/shipping-quote', 
+            this.authenticator.authenticateUser.bind(this.authenticator),
+            this.cartController.getShippingQuote.bind(this.cartController)
+        );
+
+        // Checkout session cart into an order
+        this.router.post('/checkout', 
+            this.authenticator.authenticateUser.bind(this.authenticator),
+            this.cartController.checkout.bind(this.cartController)
+        );
+
         // Sync cart with local storage (for when user logs in)
         this.router.post('/sync', 
             this.authenticator.authenticateUser.bind(this.authenticator),
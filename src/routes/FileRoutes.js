@@ -0,0 +1,49 @@
+const express = require('express');
+const FileController = require('../controllers/FileController');
+const Authenticator = require('../core/Authenticator');
+const TimeoutMiddleware = require('../middleware/timeoutMiddleware');
+
+/**
+ * FileRoutes - serves files kept by the local storage driver (STORAGE_DRIVER=local)
+ * Access is controlled per file: public product images are open, like public-read S3 objects,
+ * so they can be embedded anywhere. Private files (e.g. prescription scans) require a signed-in
+ * user as well as an unexpired signed URL.
+ */
+class FileRoutes {
+    constructor() {
+        this.router = express.Router();
+        this.fileController = new FileController();
+        this.authenticator = new Authenticator();
+        this.timeoutMiddleware = new TimeoutMiddleware();
+        
+        this.setupMiddleware();
+        this.setupRoutes();
+    }
+
+    setupMiddleware() {
+        // Apply timeout middleware to all routes
+        this.router.use(this.timeoutMiddleware.apiTimeout());
+    }
+
+    setupRoutes() {
+        // Get a stored file by key
+        this.router.get('/*key', 
+            this.authenticateSignedRequest.bind(this),
+            this.fileController.serveFile.bind(this.fileController)
+        );
+    }
+
+    // Signed URLs are only issued for private files, so a signed request must come from a session
+    authenticateSignedRequest(req, res, next) {
+        if (req.query.signature === undefined) {
+            return next();
+        }
+        return this.authenticator.authenticateUser(req, res, next);
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = FileRoutes;
@@ -51,12 +51,24 @@ class OrderRoutes {
             this.orderController.getOrder.bind(this.orderController)
         );
 
+        // Get order status history
+        this.router.get('/:id/history', 
+            this.authenticator.authenticateUser.bind(this.authenticator),
+            this.orderController.getOrderHistory.bind(this.orderController)
+        );
+
         // Cancel order (only order owner can cancel)
         this.router.post('/:id/cancel', 
             this.authenticator.authenticateUser.bind(this.authenticator),
             this.orderController.cancelOrder.bind(this.orderController)
         );
 
+        // List refunds issued for an order
+        this.router.get('/:id/refunds', 
+            this.authenticator.authenticateUser.bind(this.authenticator),
+            this.orderController.listOrderRefunds.bind(this.orderController)
+        );
+
         // Protected routes (require superuser or pharmacist role)
         
         // Update order status (only superuser/pharmacist)
@@ -65,6 +77,12 @@ class OrderRoutes {
             this.orderController.updateOrderStatus.bind(this.orderController)
         );
 
+        // Refund an order in full or for selected items (only superuser/pharmacist)
+        this.router.post('/:id/refunds', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.orderController.refundOrder.bind(this.orderController)
+        );
+
         // Get order statistics (only superuser/pharmacist)
         this.router.get('/admin/statistics', 
             this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
@@ -0,0 +1,61 @@
+const express = require('express');
+const PaymentController = require('../controllers/PaymentController');
+const Authenticator = require('../core/Authenticator');
+const TimeoutMiddleware = require('../middleware/timeoutMiddleware');
+
+class PaymentRoutes {
+    constructor() {
+        this.router = express.Router();
+        this.paymentController = new PaymentController();
+        this.authenticator = new Authenticator();
+        this.timeoutMiddleware = new TimeoutMiddleware();
+        
+        this.setupMiddleware();
+        this.setupRoutes();
+    }
+
+    setupMiddleware() {
+        // Apply timeout middleware to all routes
+        this.router.use(this.timeoutMiddleware.apiTimeout());
+        
+        // Parse JSON bodies
+        this.router.use(express.json({ limit: '1mb' }));
+        this.router.use(express.urlencoded({ extended: true, limit: '1mb' }));
+    }
+
+    setupRoutes() {
+        // All payment routes require authentication
+        // Customers start and view payments for their own orders, superusers/pharmacists for any order
+        // Confirming or failing a payment is settled by staff only, never by the paying customer
+
+        // Start a payment attempt for an order
+        this.router.post('/orders/:orderId', 
+            this.authenticator.authenticateUser.bind(this.authenticator),
+            this.paymentController.initiatePayment.bind(this.paymentController)
+        );
+
+        // List payment attempts for an order
+        this.router.get('/orders/:orderId', 
+            this.authenticator.authenticateUser.bind(this.authenticator),
+            this.paymentController.listOrderPayments.bind(this.paymentController)
+        );
+
+        // Confirm a pending payment with the provider
+        this.router.post('/:id/confirm', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.paymentController.confirmPayment.bind(this.paymentController)
+        );
+
+        // Mark a pending payment as failed
+        this.router.post('/:id/fail', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.paymentController.failPayment.bind(this.paymentController)
+        );
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = PaymentRoutes;
@@ -63,6 +63,12 @@ class PrescriptionRoutes {
             this.prescriptionController.listPrescriptions.bind(this.prescriptionController)
         );
 
+        // Pending prescriptions oldest first, with SLA flags (only superuser/pharmacist)
+        this.router.get('/review-queue', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.prescriptionController.getReviewQueue.bind(this.prescriptionController)
+        );
+
         // Get specific prescription by ID
         this.router.get('/:id', 
             this.authenticator.authenticateUser.bind(this.authenticator),
@@ -75,6 +81,12 @@ class PrescriptionRoutes {
             this.prescriptionController.deletePrescription.bind(this.prescriptionController)
         );
 
+        // Add every mapped prescription item to the owner's cart
+        this.router.post('/:id/cart', 
+            this.authenticator.authenticateUser.bind(this.authenticator),
+            this.prescriptionController.addItemsToCart.bind(this.prescriptionController)
+        );
+
         // Upload prescription image
         this.router.post('/:prescriptionId/images', 
             this.authenticator.authenticateUser.bind(this.authenticator),
@@ -97,6 +109,36 @@ class PrescriptionRoutes {
             this.prescriptionController.updatePrescriptionStatus.bind(this.prescriptionController)
         );
 
+        // Claim a pending prescription for review (only superuser/pharmacist)
+        this.router.post('/:id/claim', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.prescriptionController.claimPrescription.bind(this.prescriptionController)
+        );
+
+        // Assign a pending prescription to a reviewer (only superuser/pharmacist)
+        this.router.post('/:id/assign', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.prescriptionController.assignPrescription.bind(this.prescriptionController)
+        );
+
+        // Return a prescription to the unassigned queue (assignee or superuser)
+        this.router.post('/:id/release', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.prescriptionController.releasePrescription.bind(this.prescriptionController)
+        );
+
+        // Suggest catalog products for each prescription item (only superuser/pharmacist)
+        this.router.get('/:id/product-suggestions', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.prescriptionController.getProductSuggestions.bind(this.prescriptionController)
+        );
+
+        // Confirm the catalog product for a prescription item (only superuser/pharmacist)
+        this.router.put('/:id/items/:itemId/product', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.prescriptionController.mapItemProduct.bind(this.prescriptionController)
+        );
+
         // Get prescription statistics (only superuser/pharmacist)
         this.router.get('/admin/statistics', 
             this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
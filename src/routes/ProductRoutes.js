@@ -33,6 +33,21 @@ class ProductRoutes {
             }
         });
         
+        // Catalog files for bulk import
+        this.catalogUpload = multer({
+            storage: multer.memoryStorage(),
+            limits: {
+                fileSize: 10 * 1024 * 1024 // 10MB limit
+            },
+            fileFilter: (req, file, cb) => {
+                if (/\.(csv|json)$/i.test(file.originalname)) {
+                    cb(null, true);
+                } else {
+                    cb(new Error('Only CSV or JSON catalog files are allowed'), false);
+                }
+            }
+        });
+        
         this.setupMiddleware();
         this.setupRoutes();
     }
@@ -108,6 +123,62 @@ class ProductRoutes {
             this.productController.deleteProduct.bind(this.productController)
         );
 
+        this.router.post('/management/:id/variants', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.productController.createVariant.bind(this.productController)
+        );
+
+        // Bulk import/export routes (require superuser or pharmacist authentication)
+        this.router.post('/management/import', 
+            this.timeoutMiddleware.uploadTimeout(),
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.catalogUpload.single('file'),
+            this.handleCatalogUploadError.bind(this),
+            this.productController.importProducts.bind(this.productController)
+        );
+
+        this.router.get('/management/import/:importId', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.productController.getImportStatus.bind(this.productController)
+        );
+
+        this.router.get('/management/export', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.productController.exportProducts.bind(this.productController)
+        );
+
+        // Inventory ledger routes (require superuser or pharmacist authentication)
+        this.router.get('/management/low-stock', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.productController.listLowStock.bind(this.productController)
+        );
+
+        this.router.get('/management/:id/stock-history', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.productController.getStockHistory.bind(this.productController)
+        );
+
+        this.router.post('/management/:id/stock-adjustments', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.productController.adjustStock.bind(this.productController)
+        );
+
+        // Batch/lot routes (require superuser or pharmacist authentication)
+        this.router.get('/management/batches/expiring', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.productController.listExpiringBatches.bind(this.productController)
+        );
+
+        this.router.get('/management/:id/batches', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.productController.listBatches.bind(this.productController)
+        );
+
+        this.router.post('/management/:id/batches', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.productController.receiveBatch.bind(this.productController)
+        );
+
         // Image management routes (require superuser or pharmacist authentication)
         this.router.post('/management/:productId/images/upload', 
             this.timeoutMiddleware.uploadTimeout(),
@@ -127,6 +198,37 @@ class ProductRoutes {
         );
     }
 
+    // Catalog uploads have their own size limit and field name, so they get their own messages
+    handleCatalogUploadError(err, req, res, next) {
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({
+                    error: 'File too large',
+                    message: 'Maximum catalog file size is 10MB'
+                });
+            }
+            if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+                return res.status(400).json({
+                    error: 'Unexpected file field',
+                    message: 'Please use the correct field name: "file"'
+                });
+            }
+            return res.status(400).json({
+                error: 'File upload error',
+                message: err.message
+            });
+        }
+
+        if (err.message && err.message.includes('Only CSV or JSON catalog files are allowed')) {
+            return res.status(400).json({
+                error: 'Invalid file type',
+                message: err.message
+            });
+        }
+
+        next(err);
+    }
+
     getRouter() {
         return this.router;
     }
@@ -0,0 +1,59 @@
+const express = require('express');
+const PromotionController = require('../controllers/PromotionController');
+const Authenticator = require('../core/Authenticator');
+const TimeoutMiddleware = require('../middleware/timeoutMiddleware');
+
+class PromotionRoutes {
+    constructor() {
+        this.router = express.Router();
+        this.promotionController = new PromotionController();
+        this.authenticator = new Authenticator();
+        this.timeoutMiddleware = new TimeoutMiddleware();
+        
+        this.setupMiddleware();
+        this.setupRoutes();
+    }
+
+    setupMiddleware() {
+        // Apply timeout middleware to all routes
+        this.router.use(this.timeoutMiddleware.apiTimeout());
+        
+        // Parse JSON bodies
+        this.router.use(express.json({ limit: '1mb' }));
+        this.router.use(express.urlencoded({ extended: true, limit: '1mb' }));
+    }
+
+    setupRoutes() {
+        // All promotion routes require superuser or pharmacist role
+
+        // List promotions
+        this.router.get('/', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.promotionController.listPromotions.bind(this.promotionController)
+        );
+
+        // Create promotion
+        this.router.post('/', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.promotionController.createPromotion.bind(this.promotionController)
+        );
+
+        // Get specific promotion by ID, with usage so far
+        this.router.get('/:id', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.promotionController.getPromotion.bind(this.promotionController)
+        );
+
+        // Update promotion (including deactivation via isActive)
+        this.router.put('/:id', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.promotionController.updatePromotion.bind(this.promotionController)
+        );
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = PromotionRoutes;
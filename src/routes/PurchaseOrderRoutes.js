@@ -0,0 +1,77 @@
+const express = require('express');
+const PurchaseOrderController = require('../controllers/PurchaseOrderController');
+const Authenticator = require('../core/Authenticator');
+const TimeoutMiddleware = require('../middleware/timeoutMiddleware');
+
+class PurchaseOrderRoutes {
+    constructor() {
+        this.router = express.Router();
+        this.purchaseOrderController = new PurchaseOrderController();
+        this.authenticator = new Authenticator();
+        this.timeoutMiddleware = new TimeoutMiddleware();
+        
+        this.setupMiddleware();
+        this.setupRoutes();
+    }
+
+    setupMiddleware() {
+        // Apply timeout middleware to all routes
+        this.router.use(this.timeoutMiddleware.apiTimeout());
+        
+        // Parse JSON bodies
+        this.router.use(express.json({ limit: '1mb' }));
+        this.router.use(express.urlencoded({ extended: true, limit: '1mb' }));
+    }
+
+    setupRoutes() {
+        // All purchase order routes require superuser or pharmacist role
+
+        // List purchase orders
+        this.router.get('/', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.purchaseOrderController.listPurchaseOrders.bind(this.purchaseOrderController)
+        );
+
+        // Create draft purchase order
+        this.router.post('/', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.purchaseOrderController.createPurchaseOrder.bind(this.purchaseOrderController)
+        );
+
+        // Get specific purchase order by ID
+        this.router.get('/:id', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.purchaseOrderController.getPurchaseOrder.bind(this.purchaseOrderController)
+        );
+
+        // Update draft purchase order
+        this.router.put('/:id', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.purchaseOrderController.updatePurchaseOrder.bind(this.purchaseOrderController)
+        );
+
+        // Delete draft purchase order
+        this.router.delete('/:id', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.purchaseOrderController.deletePurchaseOrder.bind(this.purchaseOrderController)
+        );
+
+        // Place purchase order with supplier (draft -> ordered)
+        this.router.post('/:id/order', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.purchaseOrderController.placePurchaseOrder.bind(this.purchaseOrderController)
+        );
+
+        // Receive delivered quantities into stock
+        this.router.post('/:id/receive', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.purchaseOrderController.receivePurchaseOrder.bind(this.purchaseOrderController)
+        );
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = PurchaseOrderRoutes;
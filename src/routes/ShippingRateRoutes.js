@@ -0,0 +1,53 @@
+const express = require('express');
+const ShippingRateController = require('../controllers/ShippingRateController');
+const Authenticator = require('../core/Authenticator');
+const TimeoutMiddleware = require('../middleware/timeoutMiddleware');
+
+class ShippingRateRoutes {
+    constructor() {
+        this.router = express.Router();
+        this.shippingRateController = new ShippingRateController();
+        this.authenticator = new Authenticator();
+        this.timeoutMiddleware = new TimeoutMiddleware();
+        
+        this.setupMiddleware();
+        this.setupRoutes();
+    }
+
+    setupMiddleware() {
+        // Apply timeout middleware to all routes
+        this.router.use(this.timeoutMiddleware.apiTimeout());
+        
+        // Parse JSON bodies
+        this.router.use(express.json({ limit: '1mb' }));
+        this.router.use(express.urlencoded({ extended: true, limit: '1mb' }));
+    }
+
+    setupRoutes() {
+        // All shipping rate routes require superuser or pharmacist role
+
+        // List shipping rates
+        this.router.get('/', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.shippingRateController.listShippingRates.bind(this.shippingRateController)
+        );
+
+        // Create shipping rate
+        this.router.post('/', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.shippingRateController.createShippingRate.bind(this.shippingRateController)
+        );
+
+        // Update shipping rate (including deactivation via isActive)
+        this.router.put('/:id', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.shippingRateController.updateShippingRate.bind(this.shippingRateController)
+        );
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = ShippingRateRoutes;
@@ -0,0 +1,59 @@
+const express = require('express');
+const SupplierController = require('../controllers/SupplierController');
+const Authenticator = require('../core/Authenticator');
+const TimeoutMiddleware = require('../middleware/timeoutMiddleware');
+
+class SupplierRoutes {
+    constructor() {
+        this.router = express.Router();
+        this.supplierController = new SupplierController();
+        this.authenticator = new Authenticator();
+        this.timeoutMiddleware = new TimeoutMiddleware();
+        
+        this.setupMiddleware();
+        this.setupRoutes();
+    }
+
+    setupMiddleware() {
+        // Apply timeout middleware to all routes
+        this.router.use(this.timeoutMiddleware.apiTimeout());
+        
+        // Parse JSON bodies
+        this.router.use(express.json({ limit: '1mb' }));
+        this.router.use(express.urlencoded({ extended: true, limit: '1mb' }));
+    }
+
+    setupRoutes() {
+        // All supplier routes require superuser or pharmacist role
+
+        // List suppliers
+        this.router.get('/', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.supplierController.listSuppliers.bind(this.supplierController)
+        );
+
+        // Create supplier
+        this.router.post('/', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.supplierController.createSupplier.bind(this.supplierController)
+        );
+
+        // Get specific supplier by ID
+        this.router.get('/:id', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.supplierController.getSupplier.bind(this.supplierController)
+        );
+
+        // Update supplier (including deactivation via isActive)
+        this.router.put('/:id', 
+            this.authenticator.authenticateSuperuserOrPharmacist.bind(this.authenticator),
+            this.supplierController.updateSupplier.bind(this.supplierController)
+        );
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = SupplierRoutes;